@@ -0,0 +1,173 @@
+/**
+ * Ambisonic Renderer Worklet
+ *
+ * Real-time head-tracked rendering for pre-mixed (ZYZ) ambisonic fields.
+ * The B-format channels stay intact until here: every render quantum the
+ * field is counter-rotated by the listener's head orientation and then
+ * decoded to binaural stereo or to loudspeaker feeds.
+ *
+ * Inputs: one or more inputs of channelsPerInput discrete channels each,
+ * carrying ACN channels in order (AudioBuffers and node inputs are capped
+ * at 32 channels, so high orders are split across several inputs).
+ * Outputs, by processorOptions.mode:
+ *   'decode'   - one output with a channel per decoder row: binaural
+ *                (left, right, gain-only) or one per loudspeaker
+ *   'rotate'   - the head-frame field, grouped like the inputs, for
+ *                HRIR convolution downstream (ConvolverNodes per channel)
+ *
+ * Port messages:
+ *   { type: 'decoder', rows }        - Float32Array of weights per output channel
+ *   { type: 'rotation', matrix }     - (order+1)² SH rotation matrix of the head
+ *   { type: 'dispose' }              - stop processing
+ */
+
+class AmbisonicRendererProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        const { numChannels, channelsPerInput, mode = 'decode' } = options.processorOptions;
+        this.numChannels = numChannels;
+        this.channelsPerInput = channelsPerInput;
+        this.mode = mode;
+        this.active = true;
+
+        // Head-frame decode weights, one row per output channel
+        this.decodeRows = [];
+
+        // Head rotation (identity until the engine sends one); the rotate
+        // mode ramps from the matrix in use to the latest one
+        this.rotation = new Float32Array(numChannels * numChannels);
+        for (let i = 0; i < numChannels; i++) {
+            this.rotation[i * numChannels + i] = 1;
+        }
+        this.currentRotation = this.rotation.slice();
+
+        // World-frame weights: current (in use) and target (after latest rotation)
+        this.currentRows = [];
+        this.targetRows = [];
+
+        this.port.onmessage = (event) => this.handleMessage(event.data);
+    }
+
+    handleMessage(message) {
+        if (message.type === 'decoder') {
+            this.decodeRows = message.rows.map(row => Float32Array.from(row));
+            this.targetRows = this.decodeRows.map(() => new Float32Array(this.numChannels));
+            this.updateTargets();
+
+            // Start at the right weights instead of fading in from silence
+            this.currentRows = this.targetRows.map(row => row.slice());
+        } else if (message.type === 'rotation') {
+            this.rotation = message.matrix;
+            this.updateTargets();
+        } else if (message.type === 'dispose') {
+            this.active = false;
+        }
+    }
+
+    /**
+     * Fold the rotation into the decode weights
+     *
+     * Head-frame field = Mᵀ · world field, so each output is
+     * dᵀ · Mᵀ · b = (M · d)ᵀ · b.
+     * The matrix is block-diagonal by band, so only multiply within bands.
+     */
+    updateTargets() {
+        const size = this.numChannels;
+        const order = Math.round(Math.sqrt(size)) - 1;
+
+        for (let l = 0; l <= order; l++) {
+            const start = l * l;
+            const end = (l + 1) * (l + 1);
+            for (let i = start; i < end; i++) {
+                for (let r = 0; r < this.decodeRows.length; r++) {
+                    const decode = this.decodeRows[r];
+                    let weight = 0;
+                    for (let j = start; j < end; j++) {
+                        weight += this.rotation[i * size + j] * decode[j];
+                    }
+                    this.targetRows[r][i] = weight;
+                }
+            }
+        }
+    }
+
+    process(inputs, outputs) {
+        if (this.mode === 'rotate') {
+            this.rotateField(inputs, outputs);
+            return this.active;
+        }
+        
+        const output = outputs[0];
+        const rows = Math.min(output.length, this.targetRows.length);
+        const frames = output[0].length;
+
+        // Input n carries ACN channels n·channelsPerInput onwards; an input
+        // with no active source arrives with zero channels
+        for (let n = 0; n < inputs.length; n++) {
+            const input = inputs[n];
+            for (let c = 0; c < input.length; c++) {
+                const channel = n * this.channelsPerInput + c;
+                if (channel >= this.numChannels) break;
+                const samples = input[c];
+
+                // Ramp weights across the quantum so rotation never zippers
+                for (let r = 0; r < rows; r++) {
+                    const out = output[r];
+                    let weight = this.currentRows[r][channel];
+                    const step = (this.targetRows[r][channel] - weight) / frames;
+                    if (weight === 0 && step === 0) continue;
+
+                    for (let i = 0; i < frames; i++) {
+                        weight += step;
+                        out[i] += samples[i] * weight;
+                    }
+                }
+            }
+        }
+
+        for (let r = 0; r < rows; r++) {
+            this.currentRows[r].set(this.targetRows[r]);
+        }
+
+        return this.active;
+    }
+
+    /**
+     * Head-frame field = Mᵀ · world field, band by band, with each
+     * coefficient ramped across the quantum
+     */
+    rotateField(inputs, outputs) {
+        const size = this.numChannels;
+        const perGroup = this.channelsPerInput;
+        const order = Math.round(Math.sqrt(size)) - 1;
+        const frames = outputs[0][0].length;
+
+        for (let l = 0; l <= order; l++) {
+            const start = l * l;
+            const end = (l + 1) * (l + 1);
+            for (let i = start; i < end; i++) {
+                const out = outputs[Math.floor(i / perGroup)][i % perGroup];
+
+                for (let j = start; j < end; j++) {
+                    const input = inputs[Math.floor(j / perGroup)];
+                    const samples = input[j % perGroup];
+                    if (!samples) continue;  // no active source on this input
+
+                    let weight = this.currentRotation[j * size + i];
+                    const step = (this.rotation[j * size + i] - weight) / frames;
+                    if (weight === 0 && step === 0) continue;
+
+                    for (let k = 0; k < frames; k++) {
+                        weight += step;
+                        out[k] += samples[k] * weight;
+                    }
+                }
+            }
+        }
+
+        this.currentRotation.set(this.rotation);
+    }
+}
+
+registerProcessor('ambisonic-renderer', AmbisonicRendererProcessor);
@@ -9,9 +9,14 @@ class SHACPlayer {
         this.zusLoader = new ZusFileLoader();
         this.audioEngine = new SpatialAudioEngine();
         this.visualizer = new SpatialVisualizer(document.getElementById('visualizer'));
+        this.visualizer.setTimeSource(() => this.audioEngine.getCurrentTime());
         this.controls = new PlayerControls();
+        this.mixer = new MixerPanel(this.audioEngine);
+        this.mixer.onLayersChanged = () => this.updateVisualization();
         
         this.currentSHAC = null;
+        this.loadController = null;
+        this.exportController = null;
         this.updateInterval = null;
         this.isInitialized = false;
         
@@ -41,6 +46,15 @@ class SHACPlayer {
             // Setup info buttons
             this.setupInfoButtons();
             
+            // Setup settings overlay
+            this.setupSettings();
+            
+            // Setup walkthrough export
+            this.setupExport();
+            
+            // Setup file details dialog
+            this.setupFileDetails();
+            
             // Setup PWA install
             this.setupPWAInstall();
             
@@ -85,6 +99,14 @@ class SHACPlayer {
             }
         };
 
+        // Seek (progress bar and Shift + Left/Right)
+        this.controls.onSeek = (time) => {
+            if (!this.currentSHAC) return;
+            
+            const position = this.audioEngine.seek(time);
+            this.controls.updateTime(position, this.audioEngine.duration || 0);
+        };
+
         // Movement (view-relative, for mouse/visualizer)
         this.controls.onMove = (dx, dy, dz) => {
             this.audioEngine.moveListener(dx, dy, dz);
@@ -271,16 +293,27 @@ class SHACPlayer {
                     cacheStatus.textContent += ` - Storage: ${usedMB}MB / ${quotaMB}MB (${cacheInfo.quota.usagePercent.toFixed(1)}%)`;
                 }
                 
-                // Display cached files
-                cacheFiles.innerHTML = cacheInfo.files.map(file => `
+                // Display cached files, with layer count and length read
+                // from their headers (unreadable files just show the size)
+                const infos = await Promise.all(cacheInfo.files.map(file =>
+                    this.zusLoader.getFromCache(file.id)
+                        .then(cached => this.fileLoader.createFileInfo(cached.data, file.id))
+                        .catch(() => null)
+                ));
+                cacheFiles.innerHTML = cacheInfo.files.map((file, i) => {
+                    const info = infos[i];
+                    const summary = info ? `${info.layers} layers • ${info.duration} • ` : '';
+                    return `
                     <div class="cache-item">
                         <div class="file-info">
                             <div class="file-name">${file.id}</div>
-                            <div class="file-details">${file.sizeMB} MB • ${file.timestamp}</div>
+                            <div class="file-details">${summary}${file.sizeMB} MB • ${file.timestamp}</div>
                         </div>
+                        ${info ? `<button onclick="player.showCachedFileDetails('${file.id}')">Info</button>` : ''}
                         <button onclick="player.loadCachedFile('${file.id}')">Load</button>
                     </div>
-                `).join('');
+                `;
+                }).join('');
             }
         } catch (error) {
             console.error('Error updating cache display:', error);
@@ -303,7 +336,7 @@ class SHACPlayer {
             progressLabel.textContent = 'Connecting to Züs...';
             
             // Load from Züs with progress tracking
-            const arrayBuffer = await this.zusLoader.loadFromZus(url, {
+            const file = await this.zusLoader.loadFromZus(url, {
                 onProgress: (info) => {
                     const percent = Math.round(info.percent);
                     progressFill.style.width = `${percent}%`;
@@ -326,25 +359,28 @@ class SHACPlayer {
             });
             
             // Decode and load the file
+            const signal = this.beginLoad();
             progressLabel.textContent = 'Decoding SHAC file...';
-            const shacData = await this.fileLoader.decode(arrayBuffer, '.shac');
+            const shacData = await this.fileLoader.decode(file, '.shac');
             
             // Load into audio engine
-            progressLabel.textContent = 'Loading spatial audio...';
-            await this.audioEngine.loadSHAC(shacData);
+            await this.audioEngine.loadSHAC(shacData, {
+                signal,
+                onProgress: ({ index, total, layerName }) => {
+                    progressLabel.textContent = `Decoding layer ${index + 1} of ${total}...`;
+                    progressDetails.textContent = layerName;
+                }
+            });
             
             // Store current SHAC
             this.currentSHAC = shacData;
             
-            // Update visualization
+            // Update visualization and mixer
             this.updateVisualization();
+            this.mixer.refresh();
             
-            // Extract filename from URL
-            const fileName = this.zusLoader.extractFileId(url);
-            this.controls.updateTrackInfo(
-                fileName,
-                `${shacData.layerNames.length} spatial layers • ${(shacData.header.n_samples / shacData.header.sample_rate).toFixed(0)}s`
-            );
+            // Title from the file, or the file name from the URL
+            this.showTrackInfo(shacData, this.zusLoader.extractFileId(url));
             
             // Update time display
             const duration = this.audioEngine.duration || 0;
@@ -359,8 +395,9 @@ class SHACPlayer {
             await this.updateCacheDisplay();
             
         } catch (error) {
+            if (error.name === 'AbortError') return;
             console.error('Error loading from Züs:', error);
-            alert(`Error loading file from Züs: ${error.message}`);
+            alert(`Error loading file from Züs: ${this.formatError(error)}`);
         } finally {
             progressSection.style.display = 'none';
             loadBtn.disabled = false;
@@ -377,17 +414,19 @@ class SHACPlayer {
                 document.getElementById('zus-dialog').classList.remove('show');
                 
                 // Load the cached file
+                const signal = this.beginLoad();
                 this.controls.showLoading('Loading from cache...', `Loading ${fileId}...`);
                 const shacData = await this.fileLoader.decode(cached.data, '.shac');
-                await this.audioEngine.loadSHAC(shacData);
+                await this.audioEngine.loadSHAC(shacData, {
+                    signal,
+                    onProgress: (progress) => this.showDecodeProgress(progress)
+                });
                 
                 this.currentSHAC = shacData;
                 this.updateVisualization();
+                this.mixer.refresh();
                 
-                this.controls.updateTrackInfo(
-                    fileId,
-                    `${shacData.layerNames.length} spatial layers • ${(shacData.header.n_samples / shacData.header.sample_rate).toFixed(0)}s`
-                );
+                this.showTrackInfo(shacData, fileId);
                 
                 const duration = this.audioEngine.duration || 0;
                 this.controls.updateTime(0, duration);
@@ -396,8 +435,9 @@ class SHACPlayer {
                 this.controls.showInstructions();
             }
         } catch (error) {
+            if (error.name === 'AbortError') return;
             console.error('Error loading cached file:', error);
-            alert(`Error loading cached file: ${error.message}`);
+            alert(`Error loading cached file: ${this.formatError(error)}`);
         }
     }
 
@@ -443,8 +483,585 @@ class SHACPlayer {
         }
     }
 
+    setupSettings() {
+        const settingsBtn = document.getElementById('settings-btn');
+        const settingsOverlay = document.getElementById('settings-overlay');
+        if (!settingsBtn || !settingsOverlay) return;
+        
+        settingsBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.refreshOutputLayouts();
+            this.updateDiagnostics();
+            settingsOverlay.classList.add('show');
+        });
+        
+        document.getElementById('refresh-diagnostics').addEventListener('click', () => {
+            this.updateDiagnostics();
+        });
+        
+        // Arrow keys on the selects must not move the listener
+        settingsOverlay.addEventListener('keydown', (e) => e.stopPropagation());
+        
+        // Click outside to close
+        settingsOverlay.addEventListener('click', (e) => {
+            if (e.target === settingsOverlay) {
+                settingsOverlay.classList.remove('show');
+            }
+        });
+        
+        // HRTF selection
+        const sofaInput = document.getElementById('sofa-input');
+        document.getElementById('load-sofa').addEventListener('click', () => {
+            sofaInput.click();
+        });
+        sofaInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            sofaInput.value = '';
+            if (file) {
+                await this.loadHRTFFile(file);
+            }
+        });
+        // Back to the built-in model: its note says what it is again
+        const hrtfStatus = document.getElementById('hrtf-status');
+        const modelNote = hrtfStatus.textContent;
+        document.getElementById('use-default-hrtf').addEventListener('click', async () => {
+            hrtfStatus.textContent = modelNote;
+            await this.applyHRIRSet(HRIRSet.createDefault(48000, this.audioEngine.headRadius));
+        });
+        
+        // Head radius (cm on the slider, metres in the engine)
+        const headRadius = document.getElementById('head-radius');
+        const headRadiusValue = document.getElementById('head-radius-value');
+        headRadius.addEventListener('input', () => {
+            headRadiusValue.textContent = `${parseFloat(headRadius.value).toFixed(2)} cm`;
+        });
+        headRadius.addEventListener('change', async () => {
+            await this.applyHeadRadius(parseFloat(headRadius.value) / 100);
+        });
+        
+        if (this.audioEngine.hrirSet) {
+            document.getElementById('hrtf-name').textContent = this.audioEngine.hrirSet.name;
+        }
+        
+        // Output layout
+        const layoutInput = document.getElementById('layout-input');
+        document.getElementById('output-layout').addEventListener('change', () => this.applyOutputLayout());
+        document.getElementById('speaker-decoder').addEventListener('change', () => this.applyOutputLayout());
+        document.getElementById('decoder-weighting').addEventListener('change', async (e) => {
+            await this.applyDecoderWeighting(e.target.value);
+        });
+        document.getElementById('load-layout').addEventListener('click', () => {
+            layoutInput.click();
+        });
+        layoutInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            layoutInput.value = '';
+            if (file) {
+                await this.loadLayoutFile(file);
+            }
+        });
+    }
+
+    /**
+     * Fill the layout list, disabling layouts the audio device has too
+     * few channels for
+     */
+    refreshOutputLayouts() {
+        const select = document.getElementById('output-layout');
+        const selected = this.audioEngine.outputLayout ? this.audioEngine.outputLayout.id : 'binaural';
+        const context = this.audioEngine.audioContext;
+        const available = context ? context.destination.maxChannelCount : null;
+        
+        select.innerHTML = '<option value="binaural">Headphones (binaural)</option>';
+        for (const layout of SpeakerLayouts.list()) {
+            const option = document.createElement('option');
+            option.value = layout.id;
+            option.textContent = layout.name;
+            if (available !== null && layout.channels > available) {
+                option.disabled = true;
+                option.textContent += ` (needs ${layout.channels} channels)`;
+            }
+            select.appendChild(option);
+        }
+        select.value = selected;
+    }
+
+    /**
+     * Switch output to the selected layout and decoder, re-decoding the
+     * current file so it takes effect
+     */
+    async applyOutputLayout() {
+        const select = document.getElementById('output-layout');
+        const status = document.getElementById('output-status');
+        const layout = select.value === 'binaural' ? null : SpeakerLayouts.get(select.value);
+        
+        try {
+            await this.audioEngine.createAudioContext();
+            this.audioEngine.setOutputLayout(layout, document.getElementById('speaker-decoder').value);
+        } catch (error) {
+            console.error('Error switching output:', error);
+            status.textContent = error.message;
+            this.refreshOutputLayouts();
+            return;
+        }
+        
+        status.textContent = layout
+            ? `${layout.name}: ${layout.speakers.map(speaker => speaker.label).join(' ')}`
+            : 'Binaural rendering for headphones';
+        
+        if (this.currentSHAC) {
+            document.getElementById('settings-overlay').classList.remove('show');
+            await this.reloadCurrentFile();
+        }
+    }
+
+    /**
+     * Show the engine's cache and buffer pool statistics in the settings
+     */
+    updateDiagnostics() {
+        const { rotationCache, shCache, bufferPool } = this.audioEngine.getDiagnostics();
+        const formatKB = (bytes) => `${(bytes / 1024).toFixed(0)} KB`;
+        const describeCache = (stats) => stats
+            ? `${stats.entries} entries • ${formatKB(stats.bytes)} of ${formatKB(stats.maxBytes)} • ${(stats.hitRatio * 100).toFixed(1)}% hits`
+            : '-';
+        
+        document.getElementById('diag-rotation-cache').textContent = describeCache(rotationCache);
+        document.getElementById('diag-sh-cache').textContent = describeCache(shCache);
+        document.getElementById('diag-buffer-pool').textContent =
+            `${bufferPool.currentPoolSize} buffers • ${formatKB(bufferPool.pooledBytes)} • ${(bufferPool.reuseRatio * 100).toFixed(1)}% reused`;
+    }
+
+    /**
+     * Read a custom speaker layout (JSON) and switch to it
+     */
+    async loadLayoutFile(file) {
+        const status = document.getElementById('output-status');
+        try {
+            SpeakerLayouts.register('custom', await file.text());
+        } catch (error) {
+            console.error('Error loading speaker layout:', error);
+            status.textContent = `Could not load ${file.name}: ${error.message}`;
+            return;
+        }
+        
+        this.refreshOutputLayouts();
+        document.getElementById('output-layout').value = 'custom';
+        await this.applyOutputLayout();
+    }
+
+    setupExport() {
+        const exportBtn = document.getElementById('export-btn');
+        const exportOverlay = document.getElementById('export-overlay');
+        if (!exportBtn || !exportOverlay) return;
+        
+        const pathInput = document.getElementById('export-path');
+        
+        exportBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            
+            // Start from where the listener is now
+            if (!pathInput.value.trim()) {
+                pathInput.value = this.formatPath([this.getCurrentKeyframe(0)]);
+            }
+            const endInput = document.getElementById('export-end');
+            if (!endInput.value) {
+                endInput.value = (this.audioEngine.duration || 0).toFixed(1);
+            }
+            exportOverlay.classList.add('show');
+        });
+        
+        // Click outside to close
+        exportOverlay.addEventListener('click', (e) => {
+            if (e.target === exportOverlay) {
+                exportOverlay.classList.remove('show');
+            }
+        });
+        
+        // Typing a path must not move the listener or toggle playback
+        exportOverlay.addEventListener('keydown', (e) => e.stopPropagation());
+        
+        document.getElementById('export-add-keyframe').addEventListener('click', () => {
+            let path = [];
+            try {
+                path = OfflineRenderer.parsePath(pathInput.value);
+            } catch (error) {
+                // Start a new path rather than lose the position
+            }
+            path.push(this.getCurrentKeyframe(this.audioEngine.getCurrentTime()));
+            pathInput.value = this.formatPath(OfflineRenderer.parsePath(path));
+        });
+        
+        document.getElementById('export-render').addEventListener('click', () => {
+            if (this.exportController) {
+                this.exportController.abort();
+            } else {
+                this.exportWalkthrough();
+            }
+        });
+        
+        document.getElementById('export-shac').addEventListener('click', () => this.saveSceneFile());
+    }
+
+    /**
+     * Listener pose as an export keyframe
+     */
+    getCurrentKeyframe(time) {
+        const { x, y, z } = this.audioEngine.listenerPosition;
+        const { azimuth, elevation } = this.audioEngine.listenerRotation;
+        const round = (value) => Math.round(value * 100) / 100;
+        
+        return {
+            time: round(time),
+            position: [round(x), round(y), round(z)],
+            rotation: { azimuth: round(azimuth), elevation: round(elevation) }
+        };
+    }
+
+    /**
+     * Keyframes as JSON text, one per line
+     */
+    formatPath(path) {
+        return '[\n' + path.map(keyframe => '  ' + JSON.stringify(keyframe)).join(',\n') + '\n]';
+    }
+
+    /**
+     * Render the listener path offline and download it as a WAV file
+     */
+    async exportWalkthrough() {
+        const status = document.getElementById('export-status');
+        const renderBtn = document.getElementById('export-render');
+        
+        if (!this.currentSHAC) {
+            status.textContent = 'Load a file first';
+            return;
+        }
+        
+        this.exportController = new AbortController();
+        renderBtn.textContent = 'Cancel';
+        
+        try {
+            const bitDepth = parseInt(document.getElementById('export-bit-depth').value, 10);
+            const buffer = await OfflineRenderer.render(this.audioEngine, {
+                path: document.getElementById('export-path').value,
+                start: parseFloat(document.getElementById('export-start').value) || 0,
+                end: parseFloat(document.getElementById('export-end').value) || this.audioEngine.duration,
+                signal: this.exportController.signal,
+                onProgress: (progress) => {
+                    status.textContent = `Rendering... ${Math.round(progress * 100)}%`;
+                }
+            });
+            
+            status.textContent = 'Writing WAV...';
+            const blob = OfflineRenderer.encodeWAV(buffer, bitDepth);
+            
+            const title = document.getElementById('track-title').textContent || 'walkthrough';
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${title} - walkthrough.wav`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+            
+            status.textContent = `Exported ${buffer.duration.toFixed(1)}s, ${bitDepth}-bit, ${buffer.sampleRate} Hz`;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                status.textContent = 'Export cancelled';
+            } else {
+                console.error('Export failed:', error);
+                status.textContent = `Export failed: ${error.message}`;
+            }
+        } finally {
+            this.exportController = null;
+            renderBtn.textContent = 'Render WAV';
+        }
+    }
+
+    /**
+     * Save the loaded file again as .shac, with each layer's gain taken
+     * from its mixer fader
+     */
+    async saveSceneFile() {
+        const status = document.getElementById('export-shac-status');
+        const saveBtn = document.getElementById('export-shac');
+        
+        if (!this.currentSHAC) {
+            status.textContent = 'Load a file first';
+            return;
+        }
+        
+        saveBtn.disabled = true;
+        try {
+            status.textContent = 'Reading layers...';
+            const metadata = {};
+            for (const layer of this.audioEngine.getLayerInfo()) {
+                metadata[layer.name] = { ...layer.metadata, gain: layer.gain };
+            }
+            const compression = document.getElementById('export-shac-compression').value;
+            const encoder = await SHACEncoder.fromDecoder(this.currentSHAC.decoder, {
+                metadata,
+                compression: compression === 'none' ? null : 'zlib',
+                predictor: compression === 'delta' ? 'delta' : null
+            });
+            
+            status.textContent = 'Writing file...';
+            const blob = encoder.encode();
+            
+            const title = document.getElementById('track-title').textContent || 'scene';
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${title}.shac`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+            
+            status.textContent = `Saved ${encoder.layers.length} layers, ${(blob.size / 1048576).toFixed(1)} MB`;
+        } catch (error) {
+            console.error('Save failed:', error);
+            status.textContent = `Save failed: ${error.message}`;
+        } finally {
+            saveBtn.disabled = false;
+        }
+    }
+
+    setupFileDetails() {
+        const overlay = document.getElementById('file-details-overlay');
+        const trackTitle = document.getElementById('track-title');
+        if (!overlay || !trackTitle) return;
+        
+        // The title opens the loaded file's details
+        trackTitle.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.showCurrentFileDetails();
+        });
+        
+        // Click outside to close
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                overlay.classList.remove('show');
+            }
+        });
+    }
+    
+    async showCurrentFileDetails() {
+        if (!this.currentSHAC || !this.currentSHAC.decoder) return;
+        
+        try {
+            const title = document.getElementById('track-title').textContent;
+            const info = await this.fileLoader.createFileInfo(this.currentSHAC.decoder.source, title);
+            this.showFileDetails(info);
+        } catch (error) {
+            console.error('Error reading file details:', error);
+        }
+    }
+    
+    async showCachedFileDetails(fileId) {
+        try {
+            const cached = await this.zusLoader.getFromCache(fileId);
+            if (cached) {
+                this.showFileDetails(await this.fileLoader.createFileInfo(cached.data, fileId));
+            }
+        } catch (error) {
+            console.error('Error reading cached file details:', error);
+            alert(`Error reading cached file: ${this.formatError(error)}`);
+        }
+    }
+    
+    /**
+     * Fill in and open the file details dialog
+     * @param {Object} info - From UniversalFileLoader.createFileInfo()
+     */
+    showFileDetails(info) {
+        const overlay = document.getElementById('file-details-overlay');
+        const content = document.getElementById('file-details-content');
+        const formatTime = UniversalFileLoader.formatDuration;
+        
+        // Metadata is untrusted text, so everything goes in as textContent
+        const addSection = (title, rows) => {
+            const section = document.createElement('div');
+            section.className = 'controls-section';
+            const heading = document.createElement('h3');
+            heading.textContent = title;
+            section.appendChild(heading);
+            
+            for (const [label, value] of rows) {
+                const item = document.createElement('div');
+                item.className = 'control-item';
+                const desc = document.createElement('span');
+                desc.className = 'control-desc';
+                desc.textContent = label;
+                const key = document.createElement('span');
+                key.className = 'control-key';
+                key.textContent = value;
+                item.append(desc, key);
+                section.appendChild(item);
+            }
+            content.appendChild(section);
+        };
+        
+        content.innerHTML = '';
+        const fileMetadata = info.fileMetadata;
+        document.getElementById('file-details-title').textContent = (fileMetadata && fileMetadata.title) || info.name;
+        
+        if (fileMetadata) {
+            if (fileMetadata.artwork) {
+                const artwork = document.createElement('img');
+                artwork.className = 'details-artwork';
+                artwork.alt = '';
+                artwork.src = URL.createObjectURL(fileMetadata.artwork);
+                artwork.addEventListener('load', () => URL.revokeObjectURL(artwork.src), { once: true });
+                content.appendChild(artwork);
+            }
+            
+            const about = [
+                ['Artist', fileMetadata.artist],
+                ['Album', fileMetadata.album],
+                ['Year', fileMetadata.year],
+                ['Description', fileMetadata.description]
+            ].filter(([label, value]) => value);
+            if (about.length) {
+                addSection('ℹ️ About', about);
+            }
+            if (fileMetadata.chapters.length) {
+                addSection(`📖 Chapters (${fileMetadata.chapters.length})`,
+                    fileMetadata.chapters.map(chapter => [formatTime(chapter.time), chapter.title]));
+            }
+            if (fileMetadata.credits.length) {
+                addSection('🎬 Credits', fileMetadata.credits.map(credit => [credit.role || '', credit.name]));
+            }
+        }
+        
+        addSection('📄 Format', [
+            ['Format', `${info.format.toUpperCase()} version ${info.version}`],
+            ['Ambisonics', `Order ${info.order}, ${info.channels} channels`],
+            ['Convention', info.convention],
+            ['Samples', `${info.sampleFormat}, ${info.sampleRate} Hz`],
+            ['Duration', info.duration],
+            ['Size', `${info.sizeMB} MB${info.compressed ? ', compressed' : ''}`]
+        ].concat(info.recovery ? [
+            ['Damaged', `${info.recovery.skippedLayers} layers skipped: ${info.recovery.error.message}`]
+        ] : []));
+        
+        addSection(`🎚️ Layers (${info.layers})`, info.layerDetails.map(layer => {
+            const position = Array.isArray(layer.position)
+                ? `[${layer.position.map(value => Number(value).toFixed(1)).join(', ')}]`
+                : 'no position';
+            const extent = `${formatTime(layer.startTime)}–${formatTime(layer.startTime + layer.duration)}`;
+            const rate = layer.sampleRate !== info.sampleRate ? ` • ${layer.sampleRate} Hz` : '';
+            const warning = layer.metadataWarning ? ` • ⚠ ${layer.metadataWarning}` : '';
+            return [layer.id, `${position} • ${extent}${rate}${warning}`];
+        }));
+        
+        overlay.classList.add('show');
+    }
+
+    /**
+     * Load a SOFA file and use it for binaural rendering
+     */
+    async loadHRTFFile(file) {
+        const status = document.getElementById('hrtf-status');
+        try {
+            status.textContent = `Reading ${file.name}...`;
+            const hrirSet = await SOFALoader.load(file);
+            status.textContent = `${hrirSet.directions.length} measurements at ${hrirSet.sampleRate} Hz`;
+            await this.applyHRIRSet(hrirSet);
+        } catch (error) {
+            console.error('Error loading SOFA file:', error);
+            status.textContent = `Could not load ${file.name}: ${error.message}`;
+        }
+    }
+
+    /**
+     * Switch HRIR sets, re-rendering the current file so it takes effect
+     */
+    async applyHRIRSet(hrirSet) {
+        this.audioEngine.setHRIRSet(hrirSet);
+        document.getElementById('hrtf-name').textContent = hrirSet.name;
+        
+        if (this.currentSHAC) {
+            document.getElementById('settings-overlay').classList.remove('show');
+            await this.reloadCurrentFile();
+        }
+    }
+
+    /**
+     * Change the listener's head radius, re-rendering the current file so
+     * it takes effect
+     */
+    async applyHeadRadius(radius) {
+        const used = this.audioEngine.setHeadRadius(radius);
+        document.getElementById('head-radius-value').textContent = `${(used * 100).toFixed(2)} cm`;
+        
+        if (this.currentSHAC) {
+            document.getElementById('settings-overlay').classList.remove('show');
+            await this.reloadCurrentFile();
+        }
+    }
+
+    /**
+     * Change how sharply the decoders image sources, re-rendering the
+     * current file so it takes effect
+     */
+    async applyDecoderWeighting(weighting) {
+        this.audioEngine.setDecoderWeighting(weighting);
+        
+        if (this.currentSHAC) {
+            document.getElementById('settings-overlay').classList.remove('show');
+            await this.reloadCurrentFile();
+        }
+    }
+
+    /**
+     * Decode the current file again, keeping the playback position, the mix
+     * and which layers are loaded
+     */
+    async reloadCurrentFile() {
+        const wasPlaying = this.audioEngine.isPlaying;
+        const position = this.audioEngine.getCurrentTime();
+        const mix = this.audioEngine.getLayerInfo();
+        if (wasPlaying) {
+            this.audioEngine.pause();
+            this.controls.setPlaying(false);
+            this.stopUpdateLoop();
+        }
+        
+        try {
+            const signal = this.beginLoad();
+            await this.audioEngine.loadSHAC(this.currentSHAC, {
+                signal,
+                onProgress: (progress) => this.showDecodeProgress(progress),
+                layers: mix.filter(layer => layer.active).map(layer => layer.name)
+            });
+            this.audioEngine.pauseTime = position;
+            
+            for (const { name, gain, muted, soloed } of mix) {
+                this.audioEngine.setLayerGain(name, gain);
+                this.audioEngine.setLayerMute(name, muted);
+                this.audioEngine.setLayerSolo(name, soloed);
+            }
+            
+            this.updateVisualization();
+            this.mixer.refresh();
+            this.controls.showPlayer();
+            
+            if (wasPlaying) {
+                await this.audioEngine.play();
+                this.controls.setPlaying(true);
+                this.startUpdateLoop();
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error reloading file:', error);
+            this.controls.showPlayer();
+            alert(`Error reloading file: ${this.formatError(error)}`);
+        }
+    }
+
     async loadFile(file) {
         try {
+            // Picking another file cancels whatever is still decoding
+            const signal = this.beginLoad();
+            
             this.controls.showLoading('Loading file...', `Processing ${file.name}...`);
             this.controls.hideNoFileOverlay();
             
@@ -452,20 +1069,20 @@ class SHACPlayer {
             const shacData = await this.fileLoader.load(file);
             
             // Load into audio engine
-            await this.audioEngine.loadSHAC(shacData);
+            await this.audioEngine.loadSHAC(shacData, {
+                signal,
+                onProgress: (progress) => this.showDecodeProgress(progress)
+            });
             
             // Store current SHAC
             this.currentSHAC = shacData;
             
-            // Update visualization
+            // Update visualization and mixer
             this.updateVisualization();
+            this.mixer.refresh();
             
             // Update UI with file info
-            const fileName = file.name.replace('.shac', '');
-            this.controls.updateTrackInfo(
-                fileName,
-                `${shacData.layerNames.length} spatial layers • ${(shacData.header.n_samples / shacData.header.sample_rate).toFixed(0)}s`
-            );
+            this.showTrackInfo(shacData, file.name.replace('.shac', ''));
             
             // Update time display
             const duration = this.audioEngine.duration || 0;
@@ -476,11 +1093,95 @@ class SHACPlayer {
             this.controls.showInstructions();
             
         } catch (error) {
+            // Superseded by a newer load - that one owns the UI now
+            if (error.name === 'AbortError') return;
             console.error('Error loading file:', error);
             this.controls.showPlayer();
             this.controls.showNoFileOverlay();
-            alert(`Error loading file: ${error.message}`);
+            alert(`Error loading file: ${this.formatError(error)}`);
+        }
+    }
+
+    /**
+     * Show a loaded file's title, subtitle, artwork and chapters
+     * @param {string} fileName - Title for files whose metadata has none
+     */
+    showTrackInfo(shacData, fileName) {
+        const fileMetadata = shacData.fileMetadata;
+        this.controls.updateTrackInfo(
+            (fileMetadata && fileMetadata.title) || fileName,
+            this.describeFile(shacData),
+            fileMetadata ? fileMetadata.artwork : null
+        );
+        this.controls.setChapters(fileMetadata ? fileMetadata.chapters : [], this.audioEngine.duration || 0);
+    }
+
+    /**
+     * Track subtitle for a loaded file: artist and album when the file
+     * names them, layer count and length, plus the channel convention when
+     * it isn't ACN/SN3D or the audio contradicts it
+     */
+    describeFile(shacData) {
+        const { header, decoder, fileMetadata } = shacData;
+        const parts = [];
+        if (fileMetadata) {
+            parts.push(...[fileMetadata.artist, fileMetadata.album].filter(Boolean));
+        }
+        parts.push(
+            `${shacData.layerIndex.length} spatial layers`,
+            `${header.duration.toFixed(0)}s`
+        );
+        if (header.convention && header.convention.label !== 'ACN/SN3D') {
+            parts.push(header.convention.label);
+        }
+        
+        const warning = decoder ? decoder.getConventionWarning() : null;
+        if (warning) {
+            console.warn(`Channel convention: ${warning}`);
+            parts.push(`⚠ ${warning}`);
+        }
+        
+        // Layers whose metadata could not be read sit at the origin
+        const unreadable = shacData.layerIndex.filter(layer => layer.metadataWarning);
+        if (unreadable.length) {
+            parts.push(`⚠ ${unreadable.length} layers with unreadable metadata`);
+        }
+        
+        // Damaged files load up to the first bad layer
+        if (shacData.recovery) {
+            parts.push(`⚠ ${shacData.recovery.skippedLayers} damaged layers skipped`);
+        }
+        return parts.join(' • ');
+    }
+    
+    /**
+     * Error text for an alert, with the decoder's suggestion when it has one
+     */
+    formatError(error) {
+        return error.hint ? `${error.message}\n\n${error.hint}` : error.message;
+    }
+
+    /**
+     * Cancel any load in progress and start tracking a new one
+     * @returns {AbortSignal} Signal for the new load
+     */
+    beginLoad() {
+        if (this.loadController) {
+            this.loadController.abort();
         }
+        this.loadController = new AbortController();
+        return this.loadController.signal;
+    }
+
+    /**
+     * Show per-layer decode progress on the loading screen
+     */
+    showDecodeProgress({ index, total, layerName, stage }) {
+        const action = stage === 'rendering' ? 'Rendering' : 'Decoding';
+        this.controls.showLoading(
+            `${action} layer ${index + 1} of ${total}...`,
+            layerName
+        );
     }
 
     updateVisualization() {
@@ -504,6 +1205,7 @@ class SHACPlayer {
                 const currentTime = this.audioEngine.getCurrentTime();
                 const duration = this.audioEngine.duration || 0;
                 this.controls.updateTime(currentTime, duration);
+                this.audioEngine.updateAutomation(currentTime);
                 
                 // Auto-stop at end
                 if (currentTime >= duration) {
@@ -8,6 +8,9 @@ class PlayerControls {
         this.isPlaying = false;
         this.duration = 0;
         this.currentTime = 0;
+        this.isScrubbing = false;  // Progress handle being dragged
+        this.chapters = [];        // [{ time, title }] from the file metadata
+        this.artworkUrl = null;    // Object URL of the shown cover image
         
         // Callbacks
         this.onPlayPause = null;
@@ -31,6 +34,8 @@ class PlayerControls {
         this.progressHandle = document.querySelector('.progress-handle');
         this.currentTimeEl = document.getElementById('current-time');
         this.totalTimeEl = document.getElementById('total-time');
+        this.currentChapterEl = document.getElementById('current-chapter');
+        this.artworkEl = document.getElementById('track-artwork');
         this.fullscreenBtn = document.getElementById('fullscreen');
         this.instructionsOverlay = document.getElementById('instructions');
         this.startExperienceBtn = document.getElementById('start-experience');
@@ -75,12 +80,40 @@ class PlayerControls {
             }
         });
         
-        // Progress bar
-        this.progressTrack.addEventListener('click', (e) => {
+        // Progress bar: click to seek, or drag the handle to scrub. The
+        // position is previewed while dragging and applied on release.
+        const timeAtPointer = (e) => {
             const rect = this.progressTrack.getBoundingClientRect();
-            const percent = (e.clientX - rect.left) / rect.width;
-            const time = percent * this.duration;
-            if (this.onSeek) this.onSeek(time);
+            const percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+            return percent * this.duration;
+        };
+        
+        this.progressTrack.addEventListener('pointerdown', (e) => {
+            if (this.duration <= 0) return;
+            e.preventDefault();
+            this.isScrubbing = true;
+            this.progressTrack.classList.add('scrubbing');
+            this.progressTrack.setPointerCapture(e.pointerId);
+            this.renderTime(timeAtPointer(e), this.duration);
+        });
+        
+        this.progressTrack.addEventListener('pointermove', (e) => {
+            if (this.isScrubbing) {
+                this.renderTime(timeAtPointer(e), this.duration);
+            }
+        });
+        
+        this.progressTrack.addEventListener('pointerup', (e) => {
+            if (!this.isScrubbing) return;
+            this.isScrubbing = false;
+            this.progressTrack.classList.remove('scrubbing');
+            if (this.onSeek) this.onSeek(timeAtPointer(e));
+        });
+        
+        this.progressTrack.addEventListener('pointercancel', () => {
+            this.isScrubbing = false;
+            this.progressTrack.classList.remove('scrubbing');
+            this.renderTime(this.currentTime, this.duration);
         });
         
         // Fullscreen
@@ -132,6 +165,14 @@ class PlayerControls {
         const keys = new Set();
         
         document.addEventListener('keydown', (e) => {
+            // Shift + Left/Right seeks instead of turning
+            if (e.shiftKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+                e.preventDefault();
+                const step = e.key === 'ArrowLeft' ? -PlayerControls.SEEK_STEP : PlayerControls.SEEK_STEP;
+                if (this.onSeek) this.onSeek(this.currentTime + step);
+                return;
+            }
+            
             keys.add(e.key);
             
             // Play/pause on space
@@ -609,6 +650,16 @@ class PlayerControls {
         this.currentTime = current;
         this.duration = duration;
         
+        // Leave the bar where the user is dragging it
+        if (!this.isScrubbing) {
+            this.renderTime(current, duration);
+        }
+    }
+
+    /**
+     * Draw a position on the progress bar and time text
+     */
+    renderTime(current, duration) {
         // Update progress bar
         const percent = duration > 0 ? (current / duration) * 100 : 0;
         this.progressFill.style.width = percent + '%';
@@ -617,6 +668,54 @@ class PlayerControls {
         // Update time text
         this.currentTimeEl.textContent = this.formatTime(current);
         this.totalTimeEl.textContent = this.formatTime(duration);
+        
+        if (this.currentChapterEl) {
+            const chapter = this.getChapterAt(current);
+            this.currentChapterEl.textContent = chapter ? chapter.title : '';
+        }
+    }
+
+    /**
+     * Mark chapter starts on the progress bar; a marker jumps to its chapter
+     * @param {Array<{time: number, title: string}>} chapters - In time order
+     * @param {number} duration - Seconds, to place the markers
+     */
+    setChapters(chapters, duration) {
+        this.progressTrack.querySelectorAll('.chapter-marker').forEach(marker => marker.remove());
+        this.chapters = chapters;
+        
+        if (duration > 0) {
+            for (const chapter of chapters) {
+                if (chapter.time > duration) continue;
+                
+                const marker = document.createElement('div');
+                marker.className = 'chapter-marker';
+                marker.style.left = `${(chapter.time / duration) * 100}%`;
+                marker.title = `${this.formatTime(chapter.time)} ${chapter.title}`;
+                
+                // Not a scrub of the track underneath
+                marker.addEventListener('pointerdown', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    if (this.onSeek) this.onSeek(chapter.time);
+                });
+                this.progressTrack.appendChild(marker);
+            }
+        }
+        
+        this.renderTime(this.currentTime, this.duration);
+    }
+
+    /**
+     * The chapter playing at a time, or null before the first one
+     */
+    getChapterAt(time) {
+        let current = null;
+        for (const chapter of this.chapters) {
+            if (chapter.time > time) break;
+            current = chapter;
+        }
+        return current;
     }
 
     /**
@@ -678,12 +777,30 @@ class PlayerControls {
 
     /**
      * Update track info
+     * @param {Blob} [artwork] - Cover image to show above the title
      */
-    updateTrackInfo(title, subtitle) {
+    updateTrackInfo(title, subtitle, artwork = null) {
         document.getElementById('track-title').textContent = title;
         document.getElementById('track-subtitle').textContent = subtitle;
+        
+        if (this.artworkUrl) {
+            URL.revokeObjectURL(this.artworkUrl);
+            this.artworkUrl = null;
+        }
+        if (!this.artworkEl) return;
+        
+        if (artwork) {
+            this.artworkUrl = URL.createObjectURL(artwork);
+            this.artworkEl.src = this.artworkUrl;
+        } else {
+            this.artworkEl.removeAttribute('src');
+        }
+        this.artworkEl.hidden = !artwork;
     }
 }
 
+// Seconds jumped by Shift + Left/Right
+PlayerControls.SEEK_STEP = 10;
+
 // Export for use in other modules
 window.PlayerControls = PlayerControls;
\ No newline at end of file
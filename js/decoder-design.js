@@ -0,0 +1,316 @@
+/**
+ * Decoder Design - Virtual speaker layouts and order weighting for
+ * ambisonic decoding
+ *
+ * Binaural rendering decodes the sound field to virtual speakers and
+ * filters each one with its HRIR. The speakers sit on spherical t-designs
+ * with t = 2N + 1: point sets on which the average of any polynomial up to
+ * degree t equals its mean over the sphere. A sampling decoder on them is
+ * exact for order N (a product of two order-N harmonics has degree 2N) and
+ * treats every direction alike.
+ *
+ * Weightings trade spatial sharpness against smoothness:
+ *   'basic'     - Plain mode matching: the sharpest image, with side lobes
+ *                 that leak some of the sound to the opposite side
+ *   'max-re'    - Maximises the energy vector, concentrating the energy
+ *                 in the source direction (the default)
+ *   'in-phase'  - No out-of-phase lobes at all, at the cost of a wider image
+ *   'dual-band' - Basic below CROSSOVER_FREQUENCY, where localisation goes
+ *                 by interaural phase, and max-rE above it. Paths that only
+ *                 apply gains (no filtering) use max-rE throughout.
+ * Every weighting is scaled to the basic decoder's plane-wave energy, so
+ * switching doesn't change loudness.
+ */
+
+class DecoderDesign {
+    /**
+     * Virtual speakers for decoding an order, on its t-design
+     *
+     * Orders above MAX_ORDER reuse the largest design, which no longer
+     * samples them exactly.
+     * @returns {Array<{azimuth: number, elevation: number, gain: number}>}
+     *   Directions in radians (ambisonic frame), gains summing to one
+     */
+    static getVirtualSpeakers(order) {
+        const designOrder = Math.max(1, Math.min(DecoderDesign.MAX_ORDER, order));
+        if (!DecoderDesign.speakerCache.has(designOrder)) {
+            const directions = DecoderDesign.T_DESIGNS[designOrder];
+            const count = directions.length / 2;
+            const speakers = [];
+            for (let i = 0; i < count; i++) {
+                speakers.push({
+                    azimuth: (directions[2 * i] * Math.PI) / 180,
+                    elevation: (directions[2 * i + 1] * Math.PI) / 180,
+                    gain: 1 / count
+                });
+            }
+            DecoderDesign.speakerCache.set(designOrder, speakers);
+        }
+        return DecoderDesign.speakerCache.get(designOrder);
+    }
+
+    /**
+     * Per-order weights w_l (l = 0..order) of a single-band weighting
+     * @param {string} weighting - 'basic', 'max-re' or 'in-phase'
+     * @returns {number[]}
+     */
+    static getOrderWeights(order, weighting) {
+        const weights = [];
+        if (weighting === 'basic') {
+            for (let l = 0; l <= order; l++) weights.push(1);
+        } else if (weighting === 'max-re') {
+            // P_l(cos(137.9° / (N + 1.51))), by the Legendre recursion
+            const x = Math.cos((137.9 * Math.PI) / 180 / (order + 1.51));
+            let prev = 1;
+            let curr = x;
+            weights.push(1);
+            for (let l = 1; l <= order; l++) {
+                weights.push(curr);
+                const next = ((2 * l + 1) * x * curr - l * prev) / (l + 1);
+                prev = curr;
+                curr = next;
+            }
+        } else if (weighting === 'in-phase') {
+            // N! (N+1)! / ((N+l+1)! (N-l)!), built up from w_0 = 1
+            let weight = 1;
+            weights.push(1);
+            for (let l = 1; l <= order; l++) {
+                weight *= (order - l + 1) / (order + l + 1);
+                weights.push(weight);
+            }
+        } else {
+            throw new Error(`Unknown decoder weighting: ${weighting}`);
+        }
+        return weights;
+    }
+
+    /**
+     * Decode weights per ACN channel for the low and high bands
+     *
+     * Each weight is (2l+1)·w_l, the sampling decoder's factor for a
+     * t-design, scaled to the basic decoder's energy. Single-band weightings
+     * return the same array for both bands.
+     * @param {string} weighting - One of WEIGHTINGS
+     * @returns {{low: Float32Array, high: Float32Array}}
+     */
+    static getBandWeights(order, weighting) {
+        if (weighting === 'dual-band') {
+            return {
+                low: DecoderDesign.getChannelWeights(order, 'basic'),
+                high: DecoderDesign.getChannelWeights(order, 'max-re')
+            };
+        }
+        const weights = DecoderDesign.getChannelWeights(order, weighting);
+        return { low: weights, high: weights };
+    }
+
+    /**
+     * Single-band weights per ACN channel (see getBandWeights)
+     */
+    static getChannelWeights(order, weighting) {
+        const weights = DecoderDesign.getOrderWeights(order, weighting);
+        let energy = 0;
+        for (let l = 0; l <= order; l++) energy += (2 * l + 1) * weights[l] * weights[l];
+        const scale = (order + 1) / Math.sqrt(energy);
+
+        const channels = new Float32Array((order + 1) * (order + 1));
+        for (let l = 0; l <= order; l++) {
+            channels.fill((2 * l + 1) * weights[l] * scale, l * l, (l + 1) * (l + 1));
+        }
+        return channels;
+    }
+
+    /**
+     * Linkwitz-Riley crossover (two cascaded Butterworth sections per band)
+     * at CROSSOVER_FREQUENCY. The bands sum to an allpass, so weighting them
+     * alike leaves the signal's spectrum untouched.
+     * @returns {{low: Object, high: Object}} Biquad coefficients
+     */
+    static createCrossover(sampleRate) {
+        const w = (2 * Math.PI * DecoderDesign.CROSSOVER_FREQUENCY) / sampleRate;
+        const alpha = Math.sin(w) / Math.SQRT2;
+        const cos = Math.cos(w);
+        const a0 = 1 + alpha;
+        const a1 = (-2 * cos) / a0;
+        const a2 = (1 - alpha) / a0;
+        const low = (1 - cos) / 2 / a0;
+        const high = (1 + cos) / 2 / a0;
+
+        return {
+            low: { b0: low, b1: 2 * low, b2: low, a1, a2 },
+            high: { b0: high, b1: -2 * high, b2: high, a1, a2 }
+        };
+    }
+
+    /**
+     * Split a signal at the crossover and recombine the bands with their
+     * own gains: output = lowGain·LP(input) + highGain·HP(input)
+     *
+     * Output may be the input array.
+     */
+    static applyCrossover(crossover, input, lowGain, highGain, output) {
+        const low = [crossover.low, crossover.low].map(DecoderDesign.createBiquad);
+        const high = [crossover.high, crossover.high].map(DecoderDesign.createBiquad);
+
+        for (let i = 0; i < input.length; i++) {
+            const x = input[i];
+            output[i] = lowGain * low[1](low[0](x)) + highGain * high[1](high[0](x));
+        }
+        return output;
+    }
+
+    /**
+     * Impulse response of applyCrossover(), long enough for the filters'
+     * ringing to die away
+     */
+    static getCrossoverImpulse(sampleRate, lowGain, highGain) {
+        const impulse = new Float32Array(Math.ceil(DecoderDesign.CROSSOVER_IMPULSE_SECONDS * sampleRate));
+        impulse[0] = 1;
+        return DecoderDesign.applyCrossover(DecoderDesign.createCrossover(sampleRate), impulse, lowGain, highGain, impulse);
+    }
+
+    /**
+     * Stateful biquad (direct form I) as a function of the next sample
+     */
+    static createBiquad({ b0, b1, b2, a1, a2 }) {
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+        return (x) => {
+            const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+            x2 = x1;
+            x1 = x;
+            y2 = y1;
+            y1 = y;
+            return y;
+        };
+    }
+}
+
+DecoderDesign.WEIGHTINGS = ['basic', 'max-re', 'in-phase', 'dual-band'];
+DecoderDesign.DEFAULT_WEIGHTING = 'max-re';
+DecoderDesign.CROSSOVER_FREQUENCY = 700;       // Hz
+DecoderDesign.CROSSOVER_IMPULSE_SECONDS = 0.01;
+DecoderDesign.MAX_ORDER = 7;
+DecoderDesign.speakerCache = new Map();
+
+// t-designs by the order they decode, as flattened [azimuth, elevation]
+// pairs in degrees: the octahedron (t = 3), the icosahedron (t = 5), and
+// numerically optimised designs of 24, 48, 72, 100 and 132 points
+// (t = 7 to 15) whose harmonic sums vanish to rounding error
+DecoderDesign.T_DESIGNS = {
+    1: [
+        0, 0, 90, 0, 180, 0, -90, 0,
+        0, 90, 0, -90
+    ],
+    2: [
+        0, 90, 0, -90,
+        0, 26.5651, 72, 26.5651, 144, 26.5651, -144, 26.5651, -72, 26.5651,
+        36, -26.5651, 108, -26.5651, 180, -26.5651, -108, -26.5651, -36, -26.5651
+    ],
+    3: [
+        8.4540, 70.6690, 140.8339, 64.0069, -79.3560, 51.9009, -145.6383, 47.9166,
+        78.9101, 37.3842, -20.6209, 28.9266, 30.6439, 27.6686, 126.8174, 20.2168,
+        170.9829, 19.7897, -105.6220, 12.4215, -59.9728, 9.9810, -146.3790, 3.1264,
+        83.7011, -3.7515, -2.7410, -8.6845, 42.7167, -12.0186, 126.2096, -21.1553,
+        170.7962, -21.5862, -92.5704, -26.9663, -41.8309, -27.4750, -140.4353, -37.8814,
+        81.5262, -48.5075, 15.3970, -50.9007, 157.0088, -65.4690, -68.5137, -69.5126
+    ],
+    4: [
+        158.8039, 77.4082, -16.6818, 70.8188, -102.1093, 62.5696, 55.0520, 60.7456,
+        118.8893, 53.2860, -165.0027, 51.6273, -62.2414, 44.5080, -14.5226, 42.7619,
+        27.6196, 37.6162, 159.4993, 37.1159, -120.9639, 36.9987, 81.3431, 36.6297,
+        126.0400, 24.6035, -153.4700, 23.7103, -86.6457, 23.6491, -40.8435, 21.1435,
+        51.9634, 19.1920, 1.2384, 16.8520, 175.6864, 13.0428, 95.5781, 12.5804,
+        -114.9516, 8.3304, -66.8394, 3.0946, 146.0061, 2.3459, 26.2462, 0.7160,
+        -24.6652, -1.0255, -144.4304, -2.0644, 68.4402, -3.2250, 116.5797, -8.1814,
+        -94.0710, -12.5516, -174.1101, -12.7014, 0.3441, -17.1947, -50.4736, -19.4066,
+        42.5155, -21.3995, 155.1181, -23.4015, 88.3790, -23.6640, -124.5842, -24.4054,
+        -80.0115, -36.6852, -158.0095, -36.7965, 122.7657, -36.8177, -26.1564, -37.9218,
+        16.1903, -43.0924, 64.1261, -44.6626, 166.6912, -51.2950, -117.7094, -53.1236,
+        -53.9689, -60.9446, 104.3343, -62.4912, 18.5661, -71.1454, -157.7808, -77.0898
+    ],
+    5: [
+        0.6389, 80.5134, 156.0054, 73.3324, -92.9326, 70.0498, 63.1338, 63.1726,
+        -155.6808, 59.6838, 114.0097, 58.0404, -18.4675, 56.6384, 25.1650, 51.3418,
+        -58.0175, 50.9728, -111.0892, 48.6422, 168.5418, 45.6639, 79.3619, 40.0917,
+        138.1642, 40.0415, -145.0601, 37.5578, -83.4985, 35.8983, -2.0168, 34.8886,
+        50.8468, 33.7260, -34.8164, 31.9723, 105.3992, 31.7297, -175.3301, 28.4043,
+        -119.5732, 24.7625, 24.8544, 24.3020, -59.9839, 22.0477, 150.8465, 18.8795,
+        123.2700, 15.5977, -97.0963, 14.9315, -152.2192, 14.9154, 66.7093, 13.8955,
+        -20.7407, 13.4056, 89.1296, 11.1913, 3.4270, 9.4612, 170.8346, 8.2461,
+        40.9580, 6.2803, -76.6651, 3.9859, -129.7928, 3.5851, -45.7808, 3.0226,
+        -167.9816, -2.8982, 108.0313, -3.1873, 138.9241, -3.7637, 21.2396, -6.9965,
+        -108.6882, -7.6912, 58.8434, -10.1047, -27.0417, -11.5755, 83.0915, -13.8540,
+        -145.5796, -14.1898, 159.4582, -14.4812, -4.6044, -14.4860, -61.2604, -15.5690,
+        -88.8478, -18.5177, 122.4902, -22.0320, -178.0532, -24.1282, 37.3942, -25.0245,
+        -122.6299, -27.7530, -43.6218, -31.9238, 97.4458, -32.2665, 11.1986, -34.4097,
+        64.5100, -35.4963, 146.1854, -35.5929, -152.6910, -36.8325, -76.5329, -39.8248,
+        -17.6119, -40.5735, -106.8258, -45.1265, 173.7995, -48.0660, 121.1265, -50.9782,
+        37.1431, -52.0647, 81.5329, -57.1057, -52.9569, -58.1229, -142.2504, -58.9620,
+        -1.7025, -63.7862, 156.7696, -69.6344, -95.7344, -72.9064, 63.9341, -81.1323
+    ],
+    6: [
+        38.6303, 82.7865, -69.1474, 75.5131, 149.6897, 73.8847, -156.6771, 66.4572,
+        65.8864, 63.3057, -113.2756, 61.6833, -17.5474, 60.4239, 19.6506, 59.6753,
+        109.0235, 59.3277, -60.3228, 55.5775, 172.2594, 52.0030, 137.8170, 50.0156,
+        -92.5201, 46.3956, 45.9578, 45.2426, -140.2541, 45.2112, 81.8881, 44.0635,
+        -36.6567, 42.3557, -3.0978, 40.4761, -165.9808, 39.7868, 105.7142, 35.7302,
+        -119.7755, 35.5521, 21.3221, 35.4385, -69.3904, 34.9154, 155.8934, 34.1488,
+        126.2735, 30.2397, 62.2343, 30.0023, -21.6284, 26.7631, -98.4456, 26.2806,
+        176.9327, 24.7848, -50.2149, 24.4614, -149.7195, 23.1971, 37.6886, 22.0612,
+        84.6381, 21.5615, 3.2160, 19.3314, 143.1712, 16.8283, -130.2612, 16.6646,
+        -78.3939, 16.3707, 104.1312, 13.0710, -167.0985, 12.0834, 58.5620, 10.7156,
+        -35.1122, 9.9302, 162.9095, 9.5913, -111.3901, 9.5723, 20.4393, 9.0078,
+        122.4010, 7.5879, -12.9073, 6.4358, -60.0009, 5.8560, 79.1929, 3.2437,
+        -91.6904, 2.0508, -147.2385, 0.6230, 40.8732, 0.4152, 179.9064, -3.5756,
+        140.4978, -4.4301, 5.5790, -5.5221, -127.6938, -6.3250, 98.9623, -6.7174,
+        -42.9325, -7.9004, -71.2262, -9.2876, 63.5682, -10.6663, 158.9518, -10.9440,
+        -20.6313, -11.1429, -161.6321, -12.6413, -108.1643, -12.9766, 119.2593, -13.4247,
+        25.8012, -14.0201, 84.3209, -19.9585, -87.9585, -20.0488, 47.2866, -21.2059,
+        -140.3376, -22.5414, -1.6098, -23.1270, -54.8687, -23.7638, 177.3312, -25.3369,
+        137.0723, -25.8856, -30.2420, -28.6298, 106.8223, -29.8339, -118.3929, -31.0218,
+        20.7234, -32.5446, 157.1910, -33.8599, -161.1973, -34.4801, 69.5559, -34.6244,
+        -71.1707, -36.8239, -97.4156, -40.0074, -9.6356, -41.6188, 44.7965, -41.9652,
+        125.2262, -44.3147, -138.4178, -45.2375, 91.2634, -45.7720, -43.1158, -45.9382,
+        -179.7853, -49.8728, 15.5689, -52.9248, 149.3936, -56.0169, -72.1360, -58.3923,
+        -112.4741, -58.6893, 60.6682, -59.4942, -23.5954, -62.5659, -155.7642, -64.8605,
+        105.4888, -64.9889, 27.3603, -74.1211, -77.9471, -78.8737, 152.1594, -79.0951
+    ],
+    7: [
+        154.1118, 81.7576, -82.7014, 77.3742, 10.2099, 77.1185, 65.7192, 68.9856,
+        121.5107, 68.1242, -165.4158, 66.6593, -116.8213, 65.5236, -27.3969, 64.3759,
+        26.7783, 58.5596, -61.7085, 58.1150, 166.0156, 57.5319, 81.8716, 55.1873,
+        -88.5712, 53.0498, -2.1615, 52.4712, 133.6625, 52.3813, -143.0574, 51.4107,
+        46.9669, 48.1713, 106.3676, 47.8482, -118.2558, 45.8090, -40.3750, 45.7871,
+        -168.3231, 45.4380, 157.0663, 41.2318, -16.9373, 39.7590, 67.2868, 39.5773,
+        16.2774, 38.6974, -74.4697, 37.4374, -99.8218, 35.7507, 123.2051, 34.2766,
+        88.9534, 33.8623, -54.8469, 33.7612, 176.9508, 33.2382, 35.3778, 32.4266,
+        -153.1478, 31.7192, -133.4364, 31.3000, 142.4007, 29.7669, 2.4980, 27.4262,
+        -30.3538, 26.7654, 104.5847, 25.4156, 55.7517, 25.2198, -115.0749, 23.4636,
+        -82.9459, 22.3857, -167.8981, 20.3250, 76.3751, 19.6913, 165.7998, 19.3869,
+        -10.8650, 18.3270, 23.0974, 17.5294, -58.3096, 17.4296, 124.5478, 15.9381,
+        -140.3244, 14.6278, -39.5033, 14.5364, 149.8223, 14.3660, -98.7858, 14.3188,
+        42.5119, 13.6051, 88.7327, 9.1679, -73.0256, 8.4256, -122.5287, 8.3993,
+        106.5341, 8.0152, -157.4090, 8.0024, 10.7968, 7.9178, 178.3660, 7.5769,
+        63.4862, 7.3438, -20.3919, 5.1325, 133.0686, 3.9651, -53.0327, -0.6687,
+        -1.4179, -1.0317, 31.1944, -1.1097, -99.8559, -1.1283, -140.7324, -2.9395,
+        150.5630, -3.7542, -82.4180, -4.0595, -34.7903, -4.1723, 49.4083, -4.2806,
+        165.7980, -4.3812, -117.1375, -6.0867, -170.9211, -6.2050, 112.3854, -6.3528,
+        87.3671, -7.1117, 70.3837, -7.3557, 20.3089, -11.8005, -62.5654, -12.1756,
+        -156.3153, -12.9596, 127.9138, -13.2270, -15.5578, -13.2274, -132.7896, -17.2016,
+        4.6484, -18.4901, 99.4347, -18.5039, 175.9060, -19.5437, -39.9691, -19.6529,
+        -96.9942, -19.7525, 44.4284, -19.9300, 143.1536, -20.4975, -77.3508, -21.6889,
+        62.9822, -23.5440, -113.5580, -24.4988, 159.7084, -26.5421, -21.4206, -27.6414,
+        80.4737, -27.6934, 27.9350, -27.9523, 115.2943, -29.1179, -147.6475, -29.5437,
+        -168.5058, -29.5787, -53.8960, -29.7785, -0.2896, -34.1028, 130.6370, -37.1397,
+        -128.1441, -37.2925, -92.3971, -37.7733, 95.2829, -38.9623, 47.7272, -39.4641,
+        -70.1246, -39.7175, -35.5204, -41.6409, 176.8926, -42.1663, 18.4269, -42.3954,
+        151.5888, -43.2942, 68.1241, -45.1180, -155.0472, -47.0922, -110.6498, -47.4635,
+        -13.8228, -49.0127, 110.4368, -51.9398, -52.2450, -54.4377, 37.1145, -55.9381,
+        -83.5479, -58.0597, -137.8286, -58.0723, 176.4332, -58.7623, 137.8601, -58.8266,
+        81.1277, -59.3271, 4.0542, -61.8049, -35.4839, -69.2072, -107.3069, -70.2374,
+        51.0575, -72.3847, -171.4345, -74.0072, 118.4344, -74.2976, -37.7940, -85.1648
+    ]
+};
+
+// Export for use in other modules
+window.DecoderDesign = DecoderDesign;
@@ -0,0 +1,79 @@
+/**
+ * SHAC Decoder Worker
+ *
+ * Reads layer PCM from the source Blob, inflating compressed layers,
+ * de-interleaves it and renders ambisonic layers to binaural stereo off
+ * the main thread, so the loading screen stays responsive. Results go
+ * back as transferable Float32Arrays.
+ *
+ * Messages in:  { type: 'decodeLayer', jobId, source, header, layerInfo, renderBinaural, binauralFilters, headRadius, decoderWeighting }
+ *               { type: 'cancel', jobId }
+ * Messages out: { type: 'progress', jobId, stage }
+ *               { type: 'layer', jobId, channels, conventionCheck }
+ *               { type: 'error', jobId, message, decodeError }
+ * (decodeError holds a SHACDecodeError's code, offset, layerIndex and hint)
+ */
+
+// The decoder and engine modules export through window
+self.window = self;
+importScripts('pako.min.js', 'fft.js', 'lru-cache.js', 'shac-decoder.js', 'hrir-set.js', 'decoder-design.js', 'spatial-audio.js');
+
+const decoder = new SHACDecoder();
+const renderer = new SpatialAudioEngine();
+
+// Jobs the main thread no longer waits for; they stop at the next stage
+const cancelledJobs = new Set();
+
+self.onmessage = async (event) => {
+    const { type, jobId } = event.data;
+    if (type === 'cancel') {
+        cancelledJobs.add(jobId);
+        return;
+    }
+    if (type !== 'decodeLayer') return;
+
+    const { source, header, layerInfo, renderBinaural, binauralFilters, headRadius, decoderWeighting } = event.data;
+
+    try {
+        // Point the worker's decoder at the same file
+        decoder.source = source;
+        decoder.header = header;
+
+        self.postMessage({ type: 'progress', jobId, stage: 'reading' });
+        const audioData = await decoder.readLayerAudioDirect(layerInfo);
+        if (cancelledJobs.has(jobId)) {
+            decoder.conventionChecks.delete(layerInfo.id);
+            return;
+        }
+
+        let channels = audioData;
+        if (renderBinaural && audioData.length >= 4) {
+            self.postMessage({ type: 'progress', jobId, stage: 'rendering' });
+
+            const numSamples = audioData[0].length;
+            const order = Math.sqrt(audioData.length) - 1;
+            const left = new Float32Array(numSamples);
+            const right = new Float32Array(numSamples);
+            renderer.sampleRate = layerInfo.sampleRate;
+            if (headRadius) renderer.headRadius = headRadius;
+            if (decoderWeighting) renderer.decoderWeighting = decoderWeighting;
+            renderer.decodeBinauralHRTF(audioData, left, right, numSamples, order, binauralFilters);
+            channels = [left, right];
+        }
+
+        // Hand the sample memory over instead of copying it
+        const conventionCheck = decoder.conventionChecks.get(layerInfo.id) || null;
+        decoder.conventionChecks.delete(layerInfo.id);
+        self.postMessage(
+            { type: 'layer', jobId, channels, conventionCheck },
+            channels.map(channel => channel.buffer)
+        );
+    } catch (error) {
+        const decodeError = error instanceof SHACDecodeError
+            ? { code: error.code, offset: error.offset, layerIndex: error.layerIndex, hint: error.hint }
+            : null;
+        self.postMessage({ type: 'error', jobId, message: error.message, decodeError });
+    } finally {
+        cancelledJobs.delete(jobId);
+    }
+};
@@ -0,0 +1,101 @@
+/**
+ * FFT - Radix-2 complex fast Fourier transform
+ * Used for block convolution of HRIR filters
+ */
+
+class FFT {
+    /**
+     * @param {number} size - Transform size, a power of two
+     */
+    constructor(size) {
+        if (size < 2 || (size & (size - 1)) !== 0) {
+            throw new Error(`FFT size must be a power of two, got ${size}`);
+        }
+
+        this.size = size;
+
+        // Twiddle factors for the largest stage
+        this.cosTable = new Float64Array(size / 2);
+        this.sinTable = new Float64Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            this.cosTable[i] = Math.cos((2 * Math.PI * i) / size);
+            this.sinTable[i] = Math.sin((2 * Math.PI * i) / size);
+        }
+
+        // Bit-reversal permutation
+        const bits = Math.log2(size);
+        this.reverse = new Uint32Array(size);
+        for (let i = 0; i < size; i++) {
+            let reversed = 0;
+            for (let b = 0; b < bits; b++) {
+                reversed |= ((i >> b) & 1) << (bits - 1 - b);
+            }
+            this.reverse[i] = reversed;
+        }
+    }
+
+    /**
+     * Forward transform in place
+     */
+    transform(re, im) {
+        this.run(re, im, -1);
+    }
+
+    /**
+     * Inverse transform in place, scaled by 1/size
+     */
+    inverse(re, im) {
+        this.run(re, im, 1);
+
+        const scale = 1 / this.size;
+        for (let i = 0; i < this.size; i++) {
+            re[i] *= scale;
+            im[i] *= scale;
+        }
+    }
+
+    /**
+     * Iterative Cooley-Tukey butterflies; sign selects the direction
+     */
+    run(re, im, sign) {
+        const n = this.size;
+
+        for (let i = 0; i < n; i++) {
+            const j = this.reverse[i];
+            if (j > i) {
+                let t = re[i]; re[i] = re[j]; re[j] = t;
+                t = im[i]; im[i] = im[j]; im[j] = t;
+            }
+        }
+
+        for (let half = 1; half < n; half *= 2) {
+            const step = n / (half * 2);
+            for (let start = 0; start < n; start += half * 2) {
+                for (let k = 0; k < half; k++) {
+                    const wr = this.cosTable[k * step];
+                    const wi = sign * this.sinTable[k * step];
+                    const a = start + k;
+                    const b = a + half;
+                    const tr = re[b] * wr - im[b] * wi;
+                    const ti = re[b] * wi + im[b] * wr;
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                }
+            }
+        }
+    }
+
+    /**
+     * Smallest power of two >= n
+     */
+    static nextPowerOfTwo(n) {
+        let size = 1;
+        while (size < n) size *= 2;
+        return size;
+    }
+}
+
+// Export for use in other modules
+window.FFT = FFT;
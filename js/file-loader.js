@@ -13,12 +13,13 @@ class UniversalFileLoader {
 
     /**
      * Load a file from either URL or File object
+     * @param {Object} [options] - Decode options (see SHACDecoder.decode())
      */
-    async load(source) {
+    async load(source, options = {}) {
         if (typeof source === 'string') {
-            return await this.loadFromURL(source);
+            return await this.loadFromURL(source, options);
         } else if (source instanceof File) {
-            return await this.loadFromFile(source);
+            return await this.loadFromFile(source, options);
         } else {
             throw new Error('Invalid source: must be URL string or File object');
         }
@@ -27,7 +28,7 @@ class UniversalFileLoader {
     /**
      * Load from URL with progress tracking
      */
-    async loadFromURL(url) {
+    async loadFromURL(url, options = {}) {
         console.log(`Loading spatial audio from: ${url}`);
         
         const response = await fetch(url);
@@ -39,26 +40,21 @@ class UniversalFileLoader {
         const fileSizeMB = contentLength ? parseInt(contentLength) / 1024 / 1024 : 0;
         console.log(`File size: ${fileSizeMB.toFixed(2)} MB`);
         
-        // Check size limits
-        if (fileSizeMB > 2048) {
-            throw new Error(`File too large (${(fileSizeMB / 1024).toFixed(1)}GB). Maximum supported size is 2GB.`);
-        }
-        
         // Get file extension from URL
         const extension = this.getFileExtension(url);
         
-        // Download the file
-        const arrayBuffer = await response.arrayBuffer();
-        console.log(`Downloaded ${arrayBuffer.byteLength} bytes`);
+        // Download the file as a Blob so the decoder can read it in ranges
+        const blob = await response.blob();
+        console.log(`Downloaded ${blob.size} bytes`);
         
         // Decode based on format
-        return await this.decode(arrayBuffer, extension);
+        return await this.decode(blob, extension, options);
     }
 
     /**
      * Load from File object
      */
-    async loadFromFile(file) {
+    async loadFromFile(file, options = {}) {
         console.log(`Loading file: ${file.name} (${(file.size / 1024 / 1024).toFixed(2)} MB)`);
         
         // Validate file extension
@@ -67,48 +63,41 @@ class UniversalFileLoader {
             throw new Error(`Unsupported file format: ${extension}. Supported formats: ${Object.keys(this.supportedFormats).join(', ')}`);
         }
         
-        // Read file
-        const arrayBuffer = await file.arrayBuffer();
-        
-        // Decode based on format
-        return await this.decode(arrayBuffer, extension);
+        // Decode based on format - the decoder reads the File lazily,
+        // so nothing is loaded into memory up front
+        return await this.decode(file, extension, options);
     }
 
     /**
      * Decode the file based on its format
+     * @param {Blob|ArrayBuffer} source - File, Blob or in-memory buffer
+     * @param {string} extension - '.shac' or '.zyz'
+     * @param {Object} [options] - strict, layers (see SHACDecoder.decode())
+     * @throws {SHACDecodeError} When the file cannot be read
      */
-    async decode(arrayBuffer, extension) {
+    async decode(source, extension, options = {}) {
         // Both .shac and .zyz use the same decoder (ZYZ is just SHAC with one pre-mixed layer)
         if ((extension === '.shac' || extension === '.zyz') && typeof SHACDecoder === 'undefined') {
             throw new Error('SHAC decoder not loaded. Please ensure shac-decoder.js is included.');
         }
 
-        try {
-            const formatName = extension === '.zyz' ? 'ZYZ (pre-mixed)' : 'SHAC';
-            console.log(`Decoding ${formatName} format...`);
-
-            const decoder = new SHACDecoder();
-            const result = await decoder.decode(arrayBuffer);
-            result.format = extension === '.zyz' ? 'zyz' : 'shac';
+        const formatName = extension === '.zyz' ? 'ZYZ (pre-mixed)' : 'SHAC';
+        console.log(`Decoding ${formatName} format...`);
 
-            // Check if this is a pre-mixed ZYZ file
-            if (result.layerNames.length === 1 && result.layers.get(result.layerNames[0])?.metadata?.pre_mixed) {
-                console.log('Detected ZYZ format: single pre-mixed ambisonic field');
-                result.format = 'zyz';
-                result.preMixed = true;
-            }
+        // Unreadable files throw a SHACDecodeError saying what and where
+        const decoder = new SHACDecoder();
+        const result = await decoder.decode(source, options);
+        result.format = extension === '.zyz' ? 'zyz' : 'shac';
 
-            return result;
-        } catch (error) {
-            // Provide more helpful error messages
-            if (error.message.includes('alignment')) {
-                throw new Error(`File alignment issue detected. The file may be corrupted or incompatible with this player version.`);
-            } else if (error.message.includes('magic')) {
-                throw new Error(`Invalid file format. Expected ${extension} file but got different format.`);
-            } else {
-                throw error;
-            }
+        // Check if this is a pre-mixed ZYZ file (by the whole file, not
+        // just the layers chosen to decode)
+        if (result.layerIndex.length === 1 && result.layerIndex[0].metadata.pre_mixed) {
+            console.log('Detected ZYZ format: single pre-mixed ambisonic field');
+            result.format = 'zyz';
+            result.preMixed = true;
         }
+
+        return result;
     }
 
     /**
@@ -126,12 +115,7 @@ class UniversalFileLoader {
      * Validate file before loading
      */
     validateFile(file) {
-        // Check file size
-        const maxSizeGB = 2;
-        const maxSizeBytes = maxSizeGB * 1024 * 1024 * 1024;
-        if (file.size > maxSizeBytes) {
-            throw new Error(`File too large: ${(file.size / 1024 / 1024 / 1024).toFixed(1)}GB. Maximum size is ${maxSizeGB}GB.`);
-        }
+        // No size limit - files are read in ranges, never as one ArrayBuffer
         
         // Check extension
         const extension = this.getFileExtension(file.name);
@@ -143,29 +127,46 @@ class UniversalFileLoader {
     }
 
     /**
-     * Create a file info object from loaded data
+     * Create a file info object from a file's headers (no audio is read,
+     * see SHACDecoder.probe())
+     * @param {Blob|ArrayBuffer} source - File, Blob or in-memory buffer
+     * @param {string} filename
      */
-    createFileInfo(data, filename) {
-        const duration = data.header.n_samples / data.header.sample_rate;
-        const minutes = Math.floor(duration / 60);
-        const seconds = Math.floor(duration % 60);
+    async createFileInfo(source, filename) {
+        const probe = await SHACDecoder.probe(source);
+        const { header } = probe;
+        const preMixed = probe.layers.length === 1 && Boolean(probe.layers[0].metadata.pre_mixed);
 
         return {
             name: filename.replace(/\.(shac|zyz)$/, ''),
-            format: data.format,
-            compressed: false,
-            preMixed: data.preMixed || false,
-            duration: `${minutes}:${seconds.toString().padStart(2, '0')}`,
-            durationSeconds: duration,
-            layers: data.layerNames.length,
-            sampleRate: data.header.sample_rate,
-            channels: data.header.n_channels,
-            order: data.header.order,
-            bitDepth: data.header.bit_depth,
-            samples: data.header.n_samples,
-            qualitySettings: data.qualityLevel || null
+            format: preMixed || /\.zyz$/.test(filename) ? 'zyz' : 'shac',
+            version: header.version,
+            compressed: probe.layers.some(layer => layer.compression),
+            preMixed,
+            duration: UniversalFileLoader.formatDuration(header.duration),
+            durationSeconds: header.duration,
+            layers: probe.layers.length,
+            layerDetails: probe.layers,
+            sampleRate: header.sample_rate,
+            channels: header.n_channels,
+            order: header.order,
+            bitDepth: header.sample_format.bits,
+            sampleFormat: header.sample_format.label,
+            convention: header.convention.label,
+            samples: header.n_samples,
+            sizeMB: (probe.fileSize / 1024 / 1024).toFixed(2),
+            recovery: probe.recovery,
+            fileMetadata: probe.fileMetadata
         };
     }
+
+    /**
+     * Seconds as m:ss
+     */
+    static formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+    }
 }
 
 // Export for use
@@ -0,0 +1,304 @@
+/**
+ * HRIR Set - Head-related impulse responses for binaural decoding
+ * Holds measured (SOFA) or built-in impulse responses and looks them up
+ * for arbitrary directions
+ *
+ * Directions use the ambisonic convention: azimuth counter-clockwise from
+ * the front (left is +90°), elevation up from the horizon, both in radians.
+ */
+
+class HRIRSet {
+    /**
+     * @param {Object} data
+     * @param {string} data.name - Display name
+     * @param {number} data.sampleRate - Sample rate of the impulse responses
+     * @param {Array<{azimuth: number, elevation: number}>} data.directions
+     * @param {Float32Array[]} data.left - Left-ear impulse response per direction
+     * @param {Float32Array[]} data.right - Right-ear impulse response per direction
+     * @param {number|null} [data.headRadius] - Head radius of a model set (null if measured)
+     */
+    constructor({ name, sampleRate, directions, left, right, headRadius = null }) {
+        if (directions.length === 0 || directions.length !== left.length || left.length !== right.length) {
+            throw new Error('HRIR set needs one left and right impulse response per direction');
+        }
+
+        this.name = name;
+        this.sampleRate = sampleRate;
+        this.directions = directions;
+        this.left = left;
+        this.right = right;
+        this.length = left[0].length;
+        this.headRadius = headRadius;
+
+        // Unit vectors for nearest-neighbour search
+        this.vectors = new Float64Array(directions.length * 3);
+        directions.forEach(({ azimuth, elevation }, i) => {
+            this.vectors[i * 3] = Math.cos(elevation) * Math.cos(azimuth);
+            this.vectors[i * 3 + 1] = Math.cos(elevation) * Math.sin(azimuth);
+            this.vectors[i * 3 + 2] = Math.sin(elevation);
+        });
+
+        // Resampled copies, by sample rate
+        this.resampled = new Map();
+    }
+
+    /**
+     * Impulse responses for a direction
+     *
+     * Uses the measurement when one lies within half a degree, otherwise
+     * blends the nearest measurements weighted by inverse angular distance.
+     * @returns {{left: Float32Array, right: Float32Array}}
+     */
+    getHRIR(azimuth, elevation) {
+        const x = Math.cos(elevation) * Math.cos(azimuth);
+        const y = Math.cos(elevation) * Math.sin(azimuth);
+        const z = Math.sin(elevation);
+
+        // Keep the closest few measurements, sorted by angle
+        const count = Math.min(HRIRSet.INTERPOLATION_NEIGHBOURS, this.directions.length);
+        const nearest = [];
+        for (let i = 0; i < this.directions.length; i++) {
+            const dot = x * this.vectors[i * 3] + y * this.vectors[i * 3 + 1] + z * this.vectors[i * 3 + 2];
+            const angle = Math.acos(Math.max(-1, Math.min(1, dot)));
+
+            if (nearest.length < count || angle < nearest[nearest.length - 1].angle) {
+                nearest.push({ index: i, angle });
+                nearest.sort((a, b) => a.angle - b.angle);
+                if (nearest.length > count) nearest.pop();
+            }
+        }
+
+        if (nearest[0].angle < HRIRSet.EXACT_MATCH_ANGLE) {
+            const index = nearest[0].index;
+            return { left: this.left[index], right: this.right[index] };
+        }
+
+        const weights = nearest.map(({ angle }) => 1 / angle);
+        const total = weights.reduce((sum, w) => sum + w, 0);
+
+        const left = new Float32Array(this.length);
+        const right = new Float32Array(this.length);
+        nearest.forEach(({ index }, n) => {
+            const weight = weights[n] / total;
+            for (let i = 0; i < this.length; i++) {
+                left[i] += this.left[index][i] * weight;
+                right[i] += this.right[index][i] * weight;
+            }
+        });
+
+        return { left, right };
+    }
+
+    /**
+     * This set at another sample rate (band-limited resampling, cached)
+     */
+    atSampleRate(sampleRate) {
+        if (sampleRate === this.sampleRate) return this;
+
+        if (!this.resampled.has(sampleRate)) {
+            const ratio = sampleRate / this.sampleRate;
+            this.resampled.set(sampleRate, new HRIRSet({
+                name: this.name,
+                sampleRate,
+                directions: this.directions,
+                left: this.left.map(ir => HRIRSet.resampleImpulse(ir, ratio)),
+                right: this.right.map(ir => HRIRSet.resampleImpulse(ir, ratio)),
+                headRadius: this.headRadius
+            }));
+        }
+        return this.resampled.get(sampleRate);
+    }
+
+    /**
+     * Windowed-sinc resampling of one impulse response
+     * @param {Float32Array} input - Impulse response
+     * @param {number} ratio - Output rate / input rate
+     */
+    static resampleImpulse(input, ratio) {
+        const output = new Float32Array(Math.ceil(input.length * ratio));
+
+        // Lower the cutoff when downsampling so nothing aliases
+        const cutoff = Math.min(1, ratio);
+        const halfWidth = HRIRSet.RESAMPLE_HALF_WIDTH / cutoff;
+
+        for (let n = 0; n < output.length; n++) {
+            const t = n / ratio;
+            const first = Math.max(0, Math.ceil(t - halfWidth));
+            const last = Math.min(input.length - 1, Math.floor(t + halfWidth));
+
+            let sum = 0;
+            for (let k = first; k <= last; k++) {
+                const d = t - k;
+                const window = 0.5 + 0.5 * Math.cos((Math.PI * d) / halfWidth);
+                const arg = Math.PI * cutoff * d;
+                const sinc = arg === 0 ? 1 : Math.sin(arg) / arg;
+                sum += input[k] * cutoff * sinc * window;
+            }
+            output[n] = sum;
+        }
+
+        return output;
+    }
+
+    /**
+     * Built-in HRIR set, available offline
+     *
+     * An approximation, not a measured set: synthesised from the Brown-Duda
+     * structural model (IEEE Trans. Speech Audio Proc., 1998) -
+     * spherical-head delay and head-shadow filter per ear, followed by
+     * pinna echoes that move with elevation. Interaural time and level
+     * cues are close to a real head's; the spectral cues for elevation
+     * and front/back are much coarser than a measured (SOFA) set's.
+     * @param {number} headRadius - Spherical head radius in metres
+     */
+    static createDefault(sampleRate = 48000, headRadius = HRIRSet.MODEL.headRadius) {
+        const directions = [];
+        const left = [];
+        const right = [];
+
+        for (let elevationDeg = -40; elevationDeg <= 90; elevationDeg += 10) {
+            const elevation = (elevationDeg * Math.PI) / 180;
+            const count = elevationDeg === 90 ? 1 : Math.round(36 * Math.cos(elevation));
+
+            for (let i = 0; i < count; i++) {
+                const azimuth = (i * 2 * Math.PI) / count;
+                directions.push({ azimuth, elevation });
+                left.push(HRIRSet.modelImpulse(azimuth, elevation, 1, sampleRate, headRadius));
+                right.push(HRIRSet.modelImpulse(azimuth, elevation, -1, sampleRate, headRadius));
+            }
+        }
+
+        // Diffuse-field normalise: unit energy averaged over all directions and ears
+        let energy = 0;
+        for (const ir of [...left, ...right]) {
+            for (let i = 0; i < ir.length; i++) energy += ir[i] * ir[i];
+        }
+        const scale = 1 / Math.sqrt(energy / (left.length + right.length));
+        for (const ir of [...left, ...right]) {
+            for (let i = 0; i < ir.length; i++) ir[i] *= scale;
+        }
+
+        return new HRIRSet({ name: 'Built-in model (approximate)', sampleRate, directions, left, right, headRadius });
+    }
+
+    /**
+     * One ear of the structural model
+     * @param {number} side - 1 for the left ear, -1 for the right
+     */
+    static modelImpulse(azimuth, elevation, side, sampleRate, headRadius = HRIRSet.MODEL.headRadius) {
+        const { length } = HRIRSet.MODEL;
+        const ir = new Float32Array(length);
+
+        const incidence = HRIRSet.earIncidence(azimuth, elevation, side);
+        HRIRSet.addImpulse(ir, HRIRSet.MODEL.lead + HRIRSet.headDelay(incidence, headRadius) * sampleRate, 1);
+
+        const { b0, b1, a1 } = HRIRSet.headShadow(incidence, headRadius, sampleRate);
+        let previousIn = 0;
+        let previousOut = 0;
+        for (let n = 0; n < length; n++) {
+            const input = ir[n];
+            const out = b0 * input + b1 * previousIn - a1 * previousOut;
+            previousIn = input;
+            previousOut = out;
+            ir[n] = out;
+        }
+
+        // Pinna echoes, timed by elevation (front hemisphere of this ear)
+        let earAzimuth = side * azimuth;
+        earAzimuth = Math.atan2(Math.sin(earAzimuth), Math.abs(Math.cos(earAzimuth)));
+        const shadowed = ir.slice();
+        const scale = sampleRate / 44100;
+        HRIRSet.MODEL.pinna.forEach(({ rho, A, B, D }) => {
+            const tau = (A * Math.cos(earAzimuth / 2) * Math.sin(D * (Math.PI / 2 - elevation)) + B) * scale;
+            const whole = Math.floor(tau);
+            const fraction = tau - whole;
+            for (let n = 0; n + whole + 1 < length; n++) {
+                ir[n + whole] += rho * (1 - fraction) * shadowed[n];
+                ir[n + whole + 1] += rho * fraction * shadowed[n];
+            }
+        });
+
+        return ir;
+    }
+
+    /**
+     * Angle between a source direction and one ear's axis
+     * @param {number} side - 1 for the left ear, -1 for the right
+     */
+    static earIncidence(azimuth, elevation, side) {
+        const lateral = side * Math.cos(elevation) * Math.sin(azimuth);
+        return Math.acos(Math.max(-1, Math.min(1, lateral)));
+    }
+
+    /**
+     * Spherical-head delay to an ear (Woodworth): straight to the ear on
+     * its own side, then around the head
+     * @returns {number} Seconds, 0 for a source on the ear's axis
+     */
+    static headDelay(incidence, headRadius) {
+        const radiusTime = headRadius / HRIRSet.MODEL.soundSpeed;
+        return incidence < Math.PI / 2
+            ? radiusTime * (1 - Math.cos(incidence))
+            : radiusTime * (1 + incidence - Math.PI / 2);
+    }
+
+    /**
+     * Head-shadow shelf for an ear: one pole, one zero, bilinear transformed.
+     * Unity gain at low frequencies and alpha at high ones - a boost facing
+     * the source, a cut behind the head - with the corner set by the radius.
+     * @returns {{b0: number, b1: number, a1: number, alpha: number}} Normalised (a0 = 1)
+     */
+    static headShadow(incidence, headRadius, sampleRate) {
+        const alphaMin = 0.1;
+        const thetaMin = (150 * Math.PI) / 180;
+        const alpha = (1 + alphaMin / 2) + (1 - alphaMin / 2) * Math.cos((incidence / thetaMin) * Math.PI);
+        const k = 2 * sampleRate;
+        const omega = HRIRSet.MODEL.soundSpeed / headRadius;
+        const a0 = 1 + k / (2 * omega);
+
+        return {
+            b0: (1 + (alpha * k) / (2 * omega)) / a0,
+            b1: (1 - (alpha * k) / (2 * omega)) / a0,
+            a1: (1 - k / (2 * omega)) / a0,
+            alpha
+        };
+    }
+
+    /**
+     * Add a band-limited impulse at a fractional sample position
+     */
+    static addImpulse(buffer, position, gain) {
+        const halfWidth = 8;
+        const centre = Math.floor(position);
+        for (let n = centre - halfWidth + 1; n <= centre + halfWidth; n++) {
+            if (n < 0 || n >= buffer.length) continue;
+            const d = n - position;
+            const window = 0.5 + 0.5 * Math.cos((Math.PI * d) / halfWidth);
+            const sinc = d === 0 ? 1 : Math.sin(Math.PI * d) / (Math.PI * d);
+            buffer[n] += gain * sinc * window;
+        }
+    }
+}
+
+// Measurements closer than this are used as-is (radians)
+HRIRSet.EXACT_MATCH_ANGLE = (0.5 * Math.PI) / 180;
+HRIRSet.INTERPOLATION_NEIGHBOURS = 3;
+HRIRSet.RESAMPLE_HALF_WIDTH = 16;
+
+// Structural model constants (pinna values from Brown & Duda, at 44.1 kHz)
+HRIRSet.MODEL = {
+    headRadius: 0.0875,
+    soundSpeed: 343,
+    length: 256,
+    lead: 10,
+    pinna: [
+        { rho: 0.5, A: 1, B: 2, D: 1 },
+        { rho: -1, A: 5, B: 4, D: 0.5 },
+        { rho: 0.5, A: 5, B: 7, D: 0.5 },
+        { rho: -0.25, A: 5, B: 11, D: 0.5 },
+        { rho: 0.25, A: 5, B: 13, D: 0.5 }
+    ]
+};
+
+// Export for use in other modules
+window.HRIRSet = HRIRSet;
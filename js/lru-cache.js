@@ -0,0 +1,104 @@
+/**
+ * LRU Cache - Least-recently-used cache with a byte budget
+ *
+ * A Map kept in use order: get() moves an entry to the back, and set()
+ * evicts from the front until the entries fit the budget again, so the
+ * memory held stays flat however long the cache is used. Entry sizes are
+ * the values' byteLength (typed arrays) plus a fixed allowance for the
+ * Map entry itself.
+ */
+
+class LRUCache {
+    /**
+     * @param {number} maxBytes - Byte budget (0 disables caching)
+     */
+    constructor(maxBytes) {
+        this.entries = new Map();  // Key → { value, bytes }, oldest first
+        this.maxBytes = maxBytes;
+        this.bytes = 0;
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+    }
+
+    /**
+     * Look up a value, marking it as most recently used
+     * @returns {*} The value, or undefined on a miss
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.stats.misses++;
+            return undefined;
+        }
+
+        this.stats.hits++;
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Store a value, evicting the least recently used entries to make room.
+     * A value larger than the whole budget is not stored.
+     */
+    set(key, value) {
+        this.delete(key);
+
+        const bytes = (value.byteLength || 0) + LRUCache.ENTRY_OVERHEAD;
+        if (bytes > this.maxBytes) return;
+
+        this.entries.set(key, { value, bytes });
+        this.bytes += bytes;
+        this.evict();
+    }
+
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+            this.bytes -= entry.bytes;
+        }
+    }
+
+    /**
+     * Change the byte budget, evicting at once if it shrank
+     */
+    setBudget(maxBytes) {
+        this.maxBytes = maxBytes;
+        this.evict();
+    }
+
+    evict() {
+        for (const [key, entry] of this.entries) {
+            if (this.bytes <= this.maxBytes) break;
+            this.entries.delete(key);
+            this.bytes -= entry.bytes;
+            this.stats.evictions++;
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+        this.bytes = 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            entries: this.entries.size,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes,
+            hitRatio: lookups ? this.stats.hits / lookups : 0
+        };
+    }
+}
+
+// Approximate bytes a Map entry, its numeric key and the wrapper take
+LRUCache.ENTRY_OVERHEAD = 64;
+
+// Export for use in other modules
+window.LRUCache = LRUCache;
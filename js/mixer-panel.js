@@ -0,0 +1,252 @@
+/**
+ * Mixer Panel - Per-layer fader, mute, solo and level meter
+ * Lists every layer of the loaded composition so its balance can be
+ * checked while walking through it. The power button unloads a layer to
+ * free its memory, or decodes it again (see SpatialAudioEngine.activateLayer).
+ */
+
+class MixerPanel {
+    /**
+     * @param {SpatialAudioEngine} audioEngine
+     */
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.isOpen = false;
+        this.rows = new Map();  // Layer name → row elements and meter state
+        this.meterFrame = null;
+        this.onLayersChanged = null;  // Called when a layer is activated or deactivated
+
+        // DOM elements
+        this.panel = document.getElementById('mixer-panel');
+        this.toggleBtn = document.getElementById('mixer-toggle');
+        this.layerList = document.getElementById('mixer-layers');
+
+        this.toggleBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.setOpen(!this.isOpen);
+        });
+
+        // Keys typed into the panel (arrows on a fader, space on a button)
+        // must not also move the listener or toggle playback
+        this.panel.addEventListener('keydown', (e) => e.stopPropagation());
+    }
+
+    /**
+     * Rebuild the layer list from the engine (call after loading a file)
+     */
+    refresh() {
+        const layers = this.audioEngine.getLayerInfo();
+
+        this.layerList.innerHTML = '';
+        this.rows.clear();
+        layers.forEach(layer => this.createRow(layer));
+
+        this.panel.classList.toggle('show', layers.length > 0);
+        this.updateStates();
+    }
+
+    /**
+     * One row: name, power/mute/solo buttons, fader and meter
+     */
+    createRow(layer) {
+        const row = document.createElement('div');
+        row.className = 'mixer-row';
+        row.innerHTML = `
+            <div class="mixer-row-header">
+                <span class="mixer-name"></span>
+                <button class="mixer-btn power-btn" title="Load or unload the layer">⏻</button>
+                <button class="mixer-btn mute-btn" title="Mute">M</button>
+                <button class="mixer-btn solo-btn" title="Solo">S</button>
+            </div>
+            <div class="mixer-fader">
+                <input type="range" min="${MixerPanel.FADER_MIN_DB}" max="${MixerPanel.FADER_MAX_DB}" step="0.5">
+                <span class="mixer-gain"></span>
+            </div>
+            <div class="mixer-meter">
+                <div class="mixer-meter-fill"></div>
+                <div class="mixer-meter-peak"></div>
+            </div>
+        `;
+
+        const name = row.querySelector('.mixer-name');
+        name.textContent = layer.name;
+        name.title = layer.name;
+        if (layer.metadataWarning) {
+            name.textContent = `⚠ ${layer.name}`;
+            name.title = layer.metadataWarning;
+            name.classList.add('warning');
+        }
+
+        const entry = {
+            row,
+            powerBtn: row.querySelector('.power-btn'),
+            muteBtn: row.querySelector('.mute-btn'),
+            soloBtn: row.querySelector('.solo-btn'),
+            fader: row.querySelector('input'),
+            gainLabel: row.querySelector('.mixer-gain'),
+            meterFill: row.querySelector('.mixer-meter-fill'),
+            meterPeak: row.querySelector('.mixer-meter-peak'),
+            fileGain: Number.isFinite(layer.metadata.gain) ? layer.metadata.gain : 1,
+            peakHold: MixerPanel.METER_FLOOR_DB,
+            peakTime: 0
+        };
+
+        entry.fader.value = MixerPanel.toDecibels(layer.gain);
+        entry.gainLabel.textContent = MixerPanel.formatDecibels(layer.gain);
+
+        entry.fader.addEventListener('input', () => {
+            const db = parseFloat(entry.fader.value);
+            const gain = db <= MixerPanel.FADER_MIN_DB ? 0 : Math.pow(10, db / 20);
+            this.audioEngine.setLayerGain(layer.name, gain);
+            entry.gainLabel.textContent = MixerPanel.formatDecibels(gain);
+        });
+
+        // Double-click returns the fader to the file's own gain
+        entry.fader.addEventListener('dblclick', () => {
+            this.audioEngine.setLayerGain(layer.name, entry.fileGain);
+            entry.fader.value = MixerPanel.toDecibels(entry.fileGain);
+            entry.gainLabel.textContent = MixerPanel.formatDecibels(entry.fileGain);
+        });
+
+        entry.muteBtn.addEventListener('click', () => {
+            this.audioEngine.setLayerMute(layer.name, !entry.muteBtn.classList.contains('active'));
+            this.updateStates();
+        });
+
+        entry.soloBtn.addEventListener('click', () => {
+            this.audioEngine.setLayerSolo(layer.name, !entry.soloBtn.classList.contains('active'));
+            this.updateStates();
+        });
+
+        // Unload (or cancel loading), or decode again and join playback
+        entry.powerBtn.addEventListener('click', async () => {
+            if (entry.powerBtn.classList.contains('active') || entry.powerBtn.classList.contains('pending')) {
+                this.audioEngine.deactivateLayer(layer.name);
+            } else {
+                const activation = this.audioEngine.activateLayer(layer.name);
+                this.updateStates();
+                try {
+                    await activation;
+                } catch (error) {
+                    console.error(`Could not load layer ${layer.name}:`, error);
+                }
+            }
+            this.updateStates();
+            if (this.onLayersChanged) this.onLayersChanged();
+        });
+
+        this.layerList.appendChild(row);
+        this.rows.set(layer.name, entry);
+    }
+
+    /**
+     * Sync buttons with the engine and dim rows that are unloaded or that
+     * solo is silencing
+     */
+    updateStates() {
+        const layers = this.audioEngine.getLayerInfo();
+        const anySolo = layers.some(layer => layer.active && layer.soloed);
+
+        for (const layer of layers) {
+            const entry = this.rows.get(layer.name);
+            if (!entry) continue;
+
+            entry.powerBtn.classList.toggle('active', layer.active);
+            entry.powerBtn.classList.toggle('pending', Boolean(layer.pending));
+            entry.muteBtn.classList.toggle('active', layer.muted);
+            entry.soloBtn.classList.toggle('active', layer.soloed);
+            entry.row.classList.toggle('inactive', !layer.active);
+            entry.row.classList.toggle('silenced', layer.active && (layer.muted || (anySolo && !layer.soloed)));
+        }
+    }
+
+    /**
+     * Expand or collapse the panel; meters only run while it is open
+     */
+    setOpen(open) {
+        this.isOpen = open;
+        this.panel.classList.toggle('open', open);
+
+        if (open) {
+            this.startMeters();
+        } else {
+            this.stopMeters();
+        }
+    }
+
+    startMeters() {
+        if (this.meterFrame) return;
+
+        const tick = (timestamp) => {
+            this.updateMeters(timestamp);
+            this.meterFrame = requestAnimationFrame(tick);
+        };
+        this.meterFrame = requestAnimationFrame(tick);
+    }
+
+    stopMeters() {
+        if (this.meterFrame) {
+            cancelAnimationFrame(this.meterFrame);
+            this.meterFrame = null;
+        }
+    }
+
+    /**
+     * Draw each layer's RMS level as a bar and its peak as a held marker
+     */
+    updateMeters(timestamp) {
+        for (const [name, entry] of this.rows) {
+            const level = this.audioEngine.getLayerLevel(name);
+            const rmsDb = level ? MixerPanel.toDecibels(level.rms, MixerPanel.METER_FLOOR_DB) : MixerPanel.METER_FLOOR_DB;
+            const peakDb = level ? MixerPanel.toDecibels(level.peak, MixerPanel.METER_FLOOR_DB) : MixerPanel.METER_FLOOR_DB;
+
+            // Hold peaks briefly, then let them fall
+            if (peakDb >= entry.peakHold) {
+                entry.peakHold = peakDb;
+                entry.peakTime = timestamp;
+            } else if (timestamp - entry.peakTime > MixerPanel.PEAK_HOLD_TIME) {
+                const elapsed = (timestamp - entry.peakTime - MixerPanel.PEAK_HOLD_TIME) / 1000;
+                entry.peakHold = Math.max(peakDb, entry.peakHold - MixerPanel.PEAK_FALL_RATE * elapsed);
+                entry.peakTime = timestamp - MixerPanel.PEAK_HOLD_TIME;
+            }
+
+            entry.meterFill.style.width = MixerPanel.meterPercent(rmsDb) + '%';
+            entry.meterPeak.style.left = MixerPanel.meterPercent(entry.peakHold) + '%';
+            entry.meterPeak.classList.toggle('clip', entry.peakHold >= 0);
+        }
+    }
+
+    /**
+     * Linear gain to decibels, floored (silence would be -Infinity)
+     */
+    static toDecibels(gain, floor = MixerPanel.FADER_MIN_DB) {
+        return gain > 0 ? Math.max(floor, 20 * Math.log10(gain)) : floor;
+    }
+
+    static formatDecibels(gain) {
+        if (gain <= 0) return '-∞ dB';
+        const db = 20 * Math.log10(gain);
+        return `${db > 0 ? '+' : ''}${db.toFixed(1)} dB`;
+    }
+
+    /**
+     * Meter position of a level, 0% at the floor to 100% at 0 dBFS
+     */
+    static meterPercent(db) {
+        const floor = MixerPanel.METER_FLOOR_DB;
+        return Math.max(0, Math.min(100, ((db - floor) / -floor) * 100));
+    }
+}
+
+// Fader range and meter scale (dB)
+MixerPanel.FADER_MIN_DB = -60;
+MixerPanel.FADER_MAX_DB = 12;
+MixerPanel.METER_FLOOR_DB = -60;
+
+// Peak marker: hold time (ms), then fall rate (dB per second)
+MixerPanel.PEAK_HOLD_TIME = 1000;
+MixerPanel.PEAK_FALL_RATE = 20;
+
+// Export for use in other modules
+window.MixerPanel = MixerPanel;
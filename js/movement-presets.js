@@ -6,6 +6,7 @@
 class MovementPresets {
     constructor() {
         this.currentPreset = null;
+        this.onPresetChange = null;  // (name, preset) after every switch
         this.presets = this.initializePresets();
         this.activePresetName = 'explorer'; // Explorer is now default
         
@@ -31,7 +32,8 @@ class MovementPresets {
                 },
                 constraints: "explorer_freedom",  // Complete freedom
                 home_position: [0, 0, -3],  // Just back from center
-                pull_strength: 0
+                pull_strength: 0,
+                room: { size: 12, rt60: 0.6, predelay: 0.012, damping: 0.5, early_level: 0.5, wet: 0.12 }  // Open studio
             },
 
             venue: {
@@ -51,6 +53,7 @@ class MovementPresets {
                 constraints: "venue_with_source_barriers",
                 home_position: [0, 0, -8],  // Back of the main floor
                 pull_strength: 0,
+                room: { size: 25, rt60: 1.3, predelay: 0.02, damping: 0.65, early_level: 0.7, wet: 0.25 },  // Club room
                 source_barriers: {
                     enabled: true,
                     radius: 0.8,       // Just the size of the person/instrument
@@ -79,7 +82,8 @@ class MovementPresets {
                 },
                 constraints: "directional_bias",
                 home_position: [0, 0, -2],  // Closer to the action
-                pull_strength: 0
+                pull_strength: 0,
+                room: { size: 15, rt60: 0.9, predelay: 0.015, damping: 0.5, early_level: 0.6, wet: 0.18 }  // Dance floor
             },
 
             stadium: {
@@ -98,7 +102,8 @@ class MovementPresets {
                 },
                 constraints: "soft_boundaries",
                 home_position: [0, 2, -15],  // Up in the stands
-                pull_strength: 0
+                pull_strength: 0,
+                room: { size: 150, rt60: 4.0, predelay: 0.08, damping: 0.45, early_level: 0.8, wet: 0.45 }  // Open-air bowl, long slap and tail
             },
 
             elastic: {
@@ -119,7 +124,8 @@ class MovementPresets {
                 home_position: [0, 1, -1],   // Slightly elevated, close to center
                 pull_strength: 0.25,         // Gentle but noticeable
                 comfort_zone: 6,             // Closer comfort zone
-                max_pull: 0.6                // Not overwhelming
+                max_pull: 0.6,               // Not overwhelming
+                room: { size: 10, rt60: 0.8, predelay: 0.01, damping: 0.4, early_level: 0.5, wet: 0.15 }  // Small bright room
             }
         };
     }
@@ -193,6 +199,10 @@ class MovementPresets {
         if (presetSelect) {
             presetSelect.value = presetName;
         }
+        
+        if (this.onPresetChange) {
+            this.onPresetChange(presetName, this.currentPreset);
+        }
     }
 
     /**
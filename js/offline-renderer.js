@@ -0,0 +1,258 @@
+/**
+ * Offline Renderer - Render a scripted walkthrough to a WAV file
+ *
+ * The loaded scene is rebuilt in an OfflineAudioContext by a second
+ * SpatialAudioEngine, so the export goes through exactly the same panner,
+ * renderer, mixer and reverb chain as live playback, just faster than
+ * real time and without touching the live context. With a loudspeaker
+ * layout selected the file holds one channel per speaker instead of the
+ * binaural pair.
+ *
+ * Listener paths are keyframe lists:
+ *   [{ time, position: [x, y, z], rotation: { azimuth, elevation } }, ...]
+ * with time in seconds from the start of the file and rotation in degrees
+ * (the engine's listenerRotation convention). The pose is interpolated
+ * linearly between keyframes and held before the first and after the last.
+ */
+
+class OfflineRenderer {
+    /**
+     * Render part of the loaded scene along a listener path
+     * @param {SpatialAudioEngine} engine - Engine with a loaded file
+     * @param {Object} options
+     * @param {Array|string} options.path - Listener keyframes, or their JSON
+     * @param {number} [options.start=0] - Start position in the file, seconds
+     * @param {number} [options.end] - End position, defaults to the file's end
+     * @param {Function} [options.onProgress] - Called with 0..1 while rendering
+     * @param {AbortSignal} [options.signal] - Abandons the render with an AbortError
+     * @returns {Promise<AudioBuffer>} Stereo render, or one channel per speaker
+     */
+    static async render(engine, options) {
+        const { start = 0, onProgress = null, signal = null } = options;
+        const path = OfflineRenderer.parsePath(options.path);
+        const end = Math.min(options.end !== undefined ? options.end : engine.duration, engine.duration);
+
+        if (!engine.layers.size) {
+            throw new Error('No file loaded');
+        }
+        if (!(end > start)) {
+            throw new Error('The export range is empty');
+        }
+
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const sampleRate = engine.sampleRate;
+        const length = Math.ceil((end - start) * sampleRate);
+        const channels = engine.outputLayout ? engine.outputLayout.speakers.length : 2;
+        const context = new OfflineContext(channels, length, sampleRate);
+
+        const renderer = new SpatialAudioEngine();
+        renderer.audioContext = context;
+        await renderer.copySceneFrom(engine);
+
+        const applyPose = (time) => {
+            renderer.updateAutomation(start + time);
+            const { position, rotation } = OfflineRenderer.interpolatePath(path, start + time);
+            renderer.updateListenerPosition(position[0], position[1], position[2]);
+            renderer.updateListenerRotation(rotation.azimuth, rotation.elevation);
+        };
+        applyPose(0);
+
+        for (const [name, layer] of renderer.layers) {
+            renderer.startLayer(layer, start);
+        }
+
+        return new Promise((resolve, reject) => {
+            // Pause at every control step to move the listener; suspend
+            // times have to fall on render quantum boundaries
+            const quantum = OfflineRenderer.RENDER_QUANTUM;
+            const stepFrames = Math.max(1, Math.round((OfflineRenderer.CONTROL_INTERVAL * sampleRate) / quantum)) * quantum;
+            let aborted = false;
+
+            // Stop and drop the layers, so nothing holds on to their buffers
+            const abort = () => {
+                aborted = true;
+                for (const [name, layer] of renderer.layers) {
+                    layer.sourceNodes.forEach(sourceNode => sourceNode.stop());
+                }
+                renderer.clear();
+                reject(SHACDecoder.createAbortError());
+            };
+
+            // Cancelled while the scene was being copied
+            if (signal && signal.aborted) {
+                abort();
+                return;
+            }
+
+            for (let frame = stepFrames; frame < length; frame += stepFrames) {
+                const time = frame / sampleRate;
+                context.suspend(time).then(() => {
+                    if (aborted) {
+                        context.resume();
+                        return;
+                    }
+                    if (signal && signal.aborted) {
+                        // A suspended context would keep the graph alive,
+                        // so let the render run out in silence
+                        abort();
+                        context.resume();
+                        return;
+                    }
+
+                    applyPose(time);
+                    if (onProgress) onProgress(frame / length);
+                    context.resume();
+                });
+            }
+
+            context.startRendering().then((buffer) => {
+                if (aborted) return;
+                // Cancelled after the last control step
+                if (signal && signal.aborted) {
+                    reject(SHACDecoder.createAbortError());
+                    return;
+                }
+                if (onProgress) onProgress(1);
+                resolve(buffer);
+            }, reject);
+        });
+    }
+
+    /**
+     * Validate a listener path and sort it by time
+     * @param {string|Array} input - Keyframe array, or its JSON text
+     * @returns {Array<{time: number, position: number[], rotation: {azimuth: number, elevation: number}}>}
+     */
+    static parsePath(input) {
+        let keyframes = input;
+        if (typeof input === 'string') {
+            try {
+                keyframes = JSON.parse(input);
+            } catch (error) {
+                throw new Error(`Listener path is not valid JSON: ${error.message}`);
+            }
+        }
+
+        if (!Array.isArray(keyframes) || keyframes.length === 0) {
+            throw new Error('Listener path needs at least one keyframe');
+        }
+
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+        return keyframes.map((keyframe, index) => {
+            const { time, position, rotation = {} } = keyframe || {};
+            if (!isNumber(time) || time < 0) {
+                throw new Error(`Keyframe ${index + 1}: time must be a number of seconds`);
+            }
+            if (!Array.isArray(position) || position.length !== 3 || !position.every(isNumber)) {
+                throw new Error(`Keyframe ${index + 1}: position must be [x, y, z]`);
+            }
+
+            const azimuth = rotation.azimuth !== undefined ? rotation.azimuth : 0;
+            const elevation = rotation.elevation !== undefined ? rotation.elevation : 0;
+            if (!isNumber(azimuth) || !isNumber(elevation)) {
+                throw new Error(`Keyframe ${index + 1}: rotation must be { azimuth, elevation } in degrees`);
+            }
+
+            return { time, position: position.slice(), rotation: { azimuth, elevation } };
+        }).sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Listener pose at a time along a (parsed) path
+     *
+     * Azimuth takes the shorter way round, so 350° → 10° turns 20°.
+     */
+    static interpolatePath(path, time) {
+        if (time <= path[0].time) return path[0];
+        const last = path[path.length - 1];
+        if (time >= last.time) return last;
+
+        let next = 1;
+        while (path[next].time < time) next++;
+        const a = path[next - 1];
+        const b = path[next];
+        const t = (time - a.time) / (b.time - a.time);
+
+        const turn = ((((b.rotation.azimuth - a.rotation.azimuth) % 360) + 540) % 360) - 180;
+
+        return {
+            time,
+            position: a.position.map((value, i) => value + (b.position[i] - value) * t),
+            rotation: {
+                azimuth: a.rotation.azimuth + turn * t,
+                elevation: a.rotation.elevation + (b.rotation.elevation - a.rotation.elevation) * t
+            }
+        };
+    }
+
+    /**
+     * Encode an AudioBuffer as a PCM WAV file
+     * @param {AudioBuffer} buffer
+     * @param {number} bitDepth - 16 or 24
+     * @returns {Blob}
+     */
+    static encodeWAV(buffer, bitDepth = 16) {
+        if (bitDepth !== 16 && bitDepth !== 24) {
+            throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+        }
+
+        const numChannels = buffer.numberOfChannels;
+        const numFrames = buffer.length;
+        const bytesPerSample = bitDepth / 8;
+        const blockAlign = numChannels * bytesPerSample;
+        const dataSize = numFrames * blockAlign;
+
+        const bytes = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(bytes);
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+        };
+
+        // RIFF header and fmt chunk (integer PCM)
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, numChannels, true);
+        view.setUint32(24, buffer.sampleRate, true);
+        view.setUint32(28, buffer.sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bitDepth, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        // Interleaved samples, clipped to full scale
+        const channels = [];
+        for (let ch = 0; ch < numChannels; ch++) channels.push(buffer.getChannelData(ch));
+        const fullScale = bitDepth === 16 ? 32767 : 8388607;
+
+        let offset = 44;
+        for (let i = 0; i < numFrames; i++) {
+            for (let ch = 0; ch < numChannels; ch++) {
+                const sample = Math.max(-1, Math.min(1, channels[ch][i]));
+                const value = Math.round(sample * fullScale);
+                if (bitDepth === 16) {
+                    view.setInt16(offset, value, true);
+                } else {
+                    view.setUint8(offset, value & 0xFF);
+                    view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                    view.setUint8(offset + 2, (value >> 16) & 0xFF);
+                }
+                offset += bytesPerSample;
+            }
+        }
+
+        return new Blob([bytes], { type: 'audio/wav' });
+    }
+}
+
+// Seconds of audio between listener updates, which are aligned to the
+// Web Audio render quantum (frames)
+OfflineRenderer.CONTROL_INTERVAL = 0.02;
+OfflineRenderer.RENDER_QUANTUM = 128;
+
+// Export for use in other modules
+window.OfflineRenderer = OfflineRenderer;
@@ -0,0 +1,342 @@
+/**
+ * Python Literal - Parser for Python literal syntax
+ *
+ * Old encoders wrote layer metadata with str(dict) instead of JSON. This
+ * reads what repr() produces for plain data, and nothing else:
+ *   dicts         {'key': value, ...}
+ *   lists, tuples [1, 2] (1, 2) (1,) - both become arrays
+ *   strings       '...' "..." with escapes, optional r/u/b prefix;
+ *                 adjacent ones are joined, 'a' 'b' is 'ab'
+ *   numbers       1 -2.5 1e-3 0x1F inf nan (1e400 is inf, as in Python)
+ *   constants     True False None
+ * Dict keys become strings, as in JSON. Anything else (names, calls, sets,
+ * expressions) is a SyntaxError giving the line and column, and so are
+ * \N{name} escapes, which would need Python's table of Unicode names.
+ */
+
+class PythonLiteral {
+    /**
+     * Parse a Python literal
+     * @param {string} text
+     * @returns {*} The value, with dicts as plain objects
+     * @throws {SyntaxError} With the line and column of the problem
+     */
+    static parse(text) {
+        const parser = new PythonLiteral(text);
+        parser.skipWhitespace();
+        const value = parser.parseValue(0);
+        parser.skipWhitespace();
+        if (parser.pos < text.length) {
+            parser.fail(`Unexpected ${parser.describeNext()} after the value`);
+        }
+        return value;
+    }
+
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+    }
+
+    parseValue(depth) {
+        if (depth > PythonLiteral.MAX_DEPTH) {
+            this.fail(`Nested deeper than ${PythonLiteral.MAX_DEPTH} levels`);
+        }
+
+        const char = this.text[this.pos];
+        if (char === '{') return this.parseDict(depth);
+        if (char === '[') return this.parseSequence(']', depth);
+        if (char === '(') return this.parseParenthesized(depth);
+        if (this.stringPrefix() !== null) return this.parseStrings();
+
+        return this.parseAtom();
+    }
+
+    /**
+     * The r/u/b prefix of a string starting at this.pos ('' for none), or
+     * null if no string starts there
+     */
+    stringPrefix() {
+        const prefix = /^(?:[rRbBuU]|[rR][bB]|[bB][rR])?(?=['"])/.exec(this.text.slice(this.pos, this.pos + 3));
+        return prefix ? prefix[0] : null;
+    }
+
+    /**
+     * One string, or several in a row joined into one - which can't mix
+     * bytes and text, as in Python
+     */
+    parseStrings() {
+        let result = '';
+        let bytes = null;
+        while (true) {
+            const start = this.pos;
+            const prefix = this.stringPrefix().toLowerCase();
+            if (bytes !== null && prefix.includes('b') !== bytes) {
+                this.fail('Cannot join bytes and str literals', start);
+            }
+            bytes = prefix.includes('b');
+            this.pos += prefix.length;
+            result += this.parseString(prefix);
+
+            const end = this.pos;
+            this.skipWhitespace();
+            if (this.stringPrefix() === null) {
+                this.pos = end;
+                return result;
+            }
+        }
+    }
+
+    parseDict(depth) {
+        const result = {};
+        this.pos++;
+        this.skipWhitespace();
+
+        while (this.text[this.pos] !== '}') {
+            const keyStart = this.pos;
+            const key = this.parseValue(depth + 1);
+            if (key !== null && typeof key === 'object' && !Array.isArray(key)) {
+                this.fail('A dict cannot be a dict key', keyStart);
+            }
+            this.skipWhitespace();
+            this.expect(':');
+            this.skipWhitespace();
+            // Defined rather than assigned, so '__proto__' is an ordinary key
+            Object.defineProperty(result, String(key), {
+                value: this.parseValue(depth + 1),
+                enumerable: true,
+                writable: true,
+                configurable: true
+            });
+            if (!this.nextItem('}')) break;
+        }
+
+        this.expect('}');
+        return result;
+    }
+
+    parseSequence(close, depth) {
+        const result = [];
+        this.pos++;
+        this.skipWhitespace();
+
+        while (this.text[this.pos] !== close) {
+            result.push(this.parseValue(depth + 1));
+            if (!this.nextItem(close)) break;
+        }
+
+        this.expect(close);
+        return result;
+    }
+
+    /**
+     * A tuple, or a value in brackets: (1, 2) and (1,) are tuples, (1) is 1
+     */
+    parseParenthesized(depth) {
+        this.pos++;
+        this.skipWhitespace();
+        if (this.text[this.pos] === ')') {
+            this.pos++;
+            return [];
+        }
+
+        const first = this.parseValue(depth + 1);
+        this.skipWhitespace();
+        if (this.text[this.pos] === ')') {
+            this.pos++;
+            return first;
+        }
+
+        // Carry on from the first item rather than parsing it again, which
+        // would double the work at every level of nesting
+        const result = [first];
+        while (this.nextItem(')') && this.text[this.pos] !== ')') {
+            result.push(this.parseValue(depth + 1));
+        }
+        this.expect(')');
+        return result;
+    }
+
+    /**
+     * After a dict or sequence item: skip a comma, or check that the
+     * closing bracket follows
+     * @returns {boolean} Whether another item may follow
+     */
+    nextItem(close) {
+        this.skipWhitespace();
+        if (this.text[this.pos] === ',') {
+            this.pos++;
+            this.skipWhitespace();
+            return true;
+        }
+        if (this.text[this.pos] !== close) {
+            this.fail(`Expected ',' or '${close}' but found ${this.describeNext()}`);
+        }
+        return false;
+    }
+
+    /**
+     * A quoted string, the opening quote at this.pos
+     * @param {string} prefix - Lower-case r/u/b prefix, already consumed
+     */
+    parseString(prefix) {
+        const start = this.pos;
+        const quote = this.text[this.pos];
+        const triple = this.text.startsWith(quote.repeat(3), this.pos);
+        const raw = prefix.includes('r');
+        this.pos += triple ? 3 : 1;
+
+        let result = '';
+        while (true) {
+            if (this.pos >= this.text.length) {
+                this.fail('Unterminated string', start);
+            }
+
+            const char = this.text[this.pos];
+            if (char === quote && (!triple || this.text.startsWith(quote.repeat(3), this.pos))) {
+                this.pos += triple ? 3 : 1;
+                return result;
+            }
+            if (char === '\n' && !triple) {
+                this.fail('Unterminated string', start);
+            }
+
+            if (char === '\\') {
+                if (raw) {
+                    // Raw strings keep the backslash, but it still escapes a quote
+                    result += this.text.slice(this.pos, this.pos + 2);
+                    this.pos += 2;
+                } else {
+                    result += this.parseEscape(prefix.includes('b'));
+                }
+                continue;
+            }
+
+            result += char;
+            this.pos++;
+        }
+    }
+
+    /**
+     * One backslash escape, this.pos on the backslash
+     * @param {boolean} bytes - In a bytes literal, which has no \N, \u or \U
+     */
+    parseEscape(bytes) {
+        const start = this.pos;
+        const char = this.text[this.pos + 1];
+        this.pos += 2;
+
+        if (char === undefined) this.fail('Unterminated string', start);
+        if (char === '\n') return '';
+        if (char in PythonLiteral.ESCAPES) return PythonLiteral.ESCAPES[char];
+        if (bytes && 'NuU'.includes(char)) return '\\' + char;
+        if (char === 'N') {
+            this.fail('\\N{...} escapes are not supported (use \\u or \\U with the code point)', start);
+        }
+
+        if (/[0-7]/.test(char)) {
+            const octal = /^[0-7]{1,3}/.exec(this.text.slice(start + 1, start + 4))[0];
+            this.pos = start + 1 + octal.length;
+            return String.fromCodePoint(parseInt(octal, 8));
+        }
+
+        const digits = { x: 2, u: 4, U: 8 }[char];
+        if (digits) {
+            const hex = this.text.slice(this.pos, this.pos + digits);
+            if (!new RegExp(`^[0-9a-fA-F]{${digits}}$`).test(hex)) {
+                this.fail(`Invalid \\${char} escape`, start);
+            }
+            const code = parseInt(hex, 16);
+            if (code > 0x10FFFF) this.fail(`Invalid \\${char} escape`, start);
+            this.pos += digits;
+            return String.fromCodePoint(code);
+        }
+
+        // Python keeps unknown escapes as they are
+        return '\\' + char;
+    }
+
+    /**
+     * A number or a named constant
+     */
+    parseAtom() {
+        const rest = this.text.slice(this.pos);
+
+        const number = /^[+-]?(?:0[xX][0-9a-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?)/.exec(rest);
+        if (number && !/^[\w.]/.test(rest.slice(number[0].length))) {
+            this.pos += number[0].length;
+            const text = number[0].replace(/_/g, '');
+            const sign = text[0] === '-' ? -1 : 1;
+            const unsigned = text.replace(/^[+-]/, '');
+            // Number() reads 0x/0o/0b but not signed ones
+            return sign * Number(/^0[xXoObB]/.test(unsigned) ? unsigned : parseFloat(unsigned));
+        }
+
+        const name = /^([+-]?)([A-Za-z_]\w*)/.exec(rest);
+        if (name && name[2] in PythonLiteral.CONSTANTS) {
+            const value = PythonLiteral.CONSTANTS[name[2]];
+            if (name[1] && typeof value !== 'number') {
+                this.fail(`Unexpected '${name[1]}'`);
+            }
+            this.pos += name[0].length;
+            return name[1] === '-' ? -value : value;
+        }
+        if (name) {
+            this.fail(`Unexpected name '${name[2]}' (only literals are allowed)`);
+        }
+
+        this.fail(`Unexpected ${this.describeNext()}`);
+    }
+
+    skipWhitespace() {
+        while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+            this.pos++;
+        }
+    }
+
+    expect(char) {
+        if (this.text[this.pos] !== char) {
+            this.fail(`Expected '${char}' but found ${this.describeNext()}`);
+        }
+        this.pos++;
+    }
+
+    describeNext() {
+        return this.pos < this.text.length ? `'${this.text[this.pos]}'` : 'end of input';
+    }
+
+    /**
+     * Throw a SyntaxError pointing at a position (default: the current one)
+     */
+    fail(message, position = this.pos) {
+        const before = this.text.slice(0, position);
+        const line = before.split('\n').length;
+        const column = position - before.lastIndexOf('\n');
+        throw new SyntaxError(`${message} at line ${line}, column ${column}`);
+    }
+}
+
+PythonLiteral.MAX_DEPTH = 16;
+
+PythonLiteral.CONSTANTS = {
+    True: true,
+    False: false,
+    None: null,
+    inf: Infinity,
+    nan: NaN
+};
+
+PythonLiteral.ESCAPES = {
+    '\\': '\\',
+    '\'': '\'',
+    '"': '"',
+    a: '\x07',
+    b: '\b',
+    f: '\f',
+    n: '\n',
+    r: '\r',
+    t: '\t',
+    v: '\v'
+};
+
+// Export for use in other modules
+window.PythonLiteral = PythonLiteral;
@@ -0,0 +1,47 @@
+/**
+ * Python Literal Tests - run with `node --test`
+ *
+ * Loads the parser into Node's global scope, the way index.html loads it
+ * into the page, and checks it against values Python itself gives for the
+ * same literals.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// The modules export through window
+globalThis.window = globalThis;
+vm.runInThisContext(fs.readFileSync(path.join(__dirname, 'python-literal.js'), 'utf8'), { filename: 'python-literal.js' });
+
+test('adjacent strings are joined', () => {
+    assert.strictEqual(PythonLiteral.parse(`'a' 'b'`), 'ab');
+    assert.strictEqual(PythonLiteral.parse(`'a'"b"r'\\c'`), 'ab\\c');
+    assert.deepStrictEqual(PythonLiteral.parse(`{'na' 'me': ('a'\n  'b', 'c')}`), { name: ['ab', 'c'] });
+});
+
+test('bytes and str literals cannot be joined', () => {
+    assert.throws(() => PythonLiteral.parse(`'a' b'b'`), { name: 'SyntaxError', message: /Cannot join bytes and str literals at line 1, column 5/ });
+    assert.strictEqual(PythonLiteral.parse(`b'a' rb'b'`), 'ab');
+});
+
+test('\\N{...} escapes are rejected, except in bytes where they are kept', () => {
+    assert.throws(() => PythonLiteral.parse(`{'name': 'caf\\N{LATIN SMALL LETTER E WITH ACUTE}'}`), {
+        name: 'SyntaxError',
+        message: /\\N\{\.\.\.\} escapes are not supported .* at line 1, column 14/
+    });
+    assert.strictEqual(PythonLiteral.parse(`b'\\N{DASH}\\u00e9'`), '\\N{DASH}\\u00e9');
+    assert.strictEqual(PythonLiteral.parse(`r'\\N{DASH}'`), '\\N{DASH}');
+});
+
+test('floats beyond the double range are infinite', () => {
+    assert.strictEqual(PythonLiteral.parse('1e400'), Infinity);
+    assert.strictEqual(PythonLiteral.parse('-1e400'), -Infinity);
+    assert.strictEqual(PythonLiteral.parse('1e-400'), 0);
+    assert.deepStrictEqual(PythonLiteral.parse(`{'gain': 1.5e400, 'position': (-2e308, 0, 1)}`), {
+        gain: Infinity,
+        position: [-Infinity, 0, 1]
+    });
+});
@@ -0,0 +1,213 @@
+/**
+ * Room Acoustics - Shared reverb bus with procedural impulse responses
+ *
+ * Layers send into one convolution reverb whose impulse response is
+ * synthesised from a handful of room parameters: sparse early reflections
+ * followed by a decorrelated, exponentially decaying diffuse tail that
+ * loses high frequencies as it decays.
+ *
+ * Room parameters (movement presets and file metadata use the same keys):
+ *   size        - Characteristic room dimension in metres
+ *   rt60        - Reverberation time in seconds (60 dB decay)
+ *   predelay    - Gap between the direct sound and the first reflection
+ *                 for a listener standing at the source, in seconds
+ *   damping     - 0..1, how much faster high frequencies die away in the tail
+ *   early_level - Level of the early reflections relative to the tail
+ *   wet         - Reverb send level at the source (0 = dry)
+ */
+
+class RoomAcoustics {
+    /**
+     * @param {AudioContext} audioContext
+     * @param {AudioNode} destination - Where the reverb returns to
+     */
+    constructor(audioContext, destination) {
+        this.audioContext = audioContext;
+        this.room = { ...RoomAcoustics.DEFAULT_ROOM };
+        this.roomKey = null;
+        this.current = null;  // { convolver, fade } in use
+
+        // Layers connect their sends here
+        this.input = audioContext.createGain();
+        this.output = audioContext.createGain();
+        this.output.connect(destination);
+    }
+
+    /**
+     * Switch to another room, crossfading from the old impulse response
+     * @param {Object} room - Room parameters (missing keys use DEFAULT_ROOM)
+     */
+    setRoom(room) {
+        const resolved = RoomAcoustics.resolveRoom(room);
+        const key = JSON.stringify(resolved);
+        if (key === this.roomKey) return;
+
+        this.room = resolved;
+        this.roomKey = key;
+
+        const impulse = RoomAcoustics.generateImpulse(this.audioContext.sampleRate, resolved);
+        const buffer = this.audioContext.createBuffer(2, impulse.left.length, this.audioContext.sampleRate);
+        buffer.copyToChannel(impulse.left, 0);
+        buffer.copyToChannel(impulse.right, 1);
+
+        // A fresh convolver per room; the old one fades out and is dropped
+        const convolver = this.audioContext.createConvolver();
+        convolver.normalize = false;
+        convolver.buffer = buffer;
+        const fade = this.audioContext.createGain();
+        fade.gain.value = 0;
+        this.input.connect(convolver);
+        convolver.connect(fade);
+        fade.connect(this.output);
+
+        const now = this.audioContext.currentTime;
+        const timeConstant = RoomAcoustics.CROSSFADE_TIME / 3;
+        fade.gain.setTargetAtTime(1, now, timeConstant);
+
+        const previous = this.current;
+        if (previous) {
+            previous.fade.gain.setTargetAtTime(0, now, timeConstant);
+            setTimeout(() => {
+                this.input.disconnect(previous.convolver);
+                previous.fade.disconnect();
+            }, RoomAcoustics.CROSSFADE_TIME * 2000);
+        }
+        this.current = { convolver, fade };
+    }
+
+    /**
+     * Send level and pre-delay for a source at some distance from the listener
+     *
+     * Reverberant level falls only slowly with distance (Barron's revised
+     * theory) while the panner's direct sound falls as 1/d, so walking away
+     * from a source makes it wetter. The first reflections catch up with the
+     * direct sound as the listener nears the walls, shrinking the pre-delay.
+     * @returns {{gain: number, delay: number}}
+     */
+    getSendLevels(distance) {
+        const { size, predelay, wet } = this.room;
+        const gain = wet / Math.sqrt(1 + distance / size);
+        const delay = predelay * Math.max(RoomAcoustics.MIN_PREDELAY_RATIO, 1 - distance / size);
+        return { gain, delay };
+    }
+
+    /**
+     * Fill in missing or invalid room parameters from DEFAULT_ROOM
+     */
+    static resolveRoom(room = {}) {
+        const resolved = { ...RoomAcoustics.DEFAULT_ROOM };
+        for (const key of Object.keys(resolved)) {
+            const value = room[key];
+            if (typeof value === 'number' && isFinite(value) && value >= 0) {
+                resolved[key] = value;
+            } else if (value !== undefined) {
+                console.warn(`Ignoring invalid room ${key}`, value);
+            }
+        }
+
+        resolved.size = Math.max(1, resolved.size);
+        resolved.rt60 = Math.max(0.05, resolved.rt60);
+        resolved.damping = Math.min(1, resolved.damping);
+        resolved.predelay = Math.min(RoomAcoustics.MAX_PREDELAY, resolved.predelay);
+        return resolved;
+    }
+
+    /**
+     * Synthesise a stereo room impulse response, normalised to unit energy
+     * per channel (the send gain alone sets the reverb level)
+     * @returns {{left: Float32Array, right: Float32Array}}
+     */
+    static generateImpulse(sampleRate, room) {
+        const { size, rt60, damping } = room;
+        const seconds = Math.min(rt60 * 1.2, RoomAcoustics.MAX_IMPULSE_SECONDS);
+        const length = Math.ceil(seconds * sampleRate);
+        const left = new Float32Array(length);
+        const right = new Float32Array(length);
+
+        // Seeded so a room always sounds the same
+        const random = RoomAcoustics.createRandom(Math.round(size * 1000 + rt60 * 100));
+
+        // Amplitude decays 60 dB over rt60; above the crossover, over a
+        // shorter time set by the damping
+        const decayLow = 6.91 / rt60;
+        const decayHigh = 6.91 / (rt60 * (1 - RoomAcoustics.MAX_DAMPING * damping));
+        const crossover = 1 - Math.exp((-2 * Math.PI * RoomAcoustics.DAMPING_CROSSOVER) / sampleRate);
+
+        // Diffuse tail: independent noise per ear (for width), fading in over
+        // the early-reflection window, split into two bands that decay apart
+        const mixingTime = Math.min(length - 1, Math.round((size / RoomAcoustics.SOUND_SPEED) * sampleRate));
+        [left, right].forEach(channel => {
+            let low = 0;
+            for (let n = 0; n < length; n++) {
+                const t = n / sampleRate;
+                const onset = n < mixingTime ? n / mixingTime : 1;
+                const noise = random() * 2 - 1;
+                low += crossover * (noise - low);
+                const high = noise - low;
+                channel[n] = onset * (low * Math.exp(-decayLow * t) + high * Math.exp(-decayHigh * t));
+            }
+        });
+
+        // Early reflections: sparse taps within the mixing time, quieter
+        // with path length, panned at random
+        const earlyWindow = Math.max(mixingTime, 1);
+        const tailEnergy = RoomAcoustics.energy(left);
+        const earlyGain = room.early_level * Math.sqrt(tailEnergy / RoomAcoustics.EARLY_REFLECTIONS);
+        for (let i = 0; i < RoomAcoustics.EARLY_REFLECTIONS; i++) {
+            const n = Math.floor(earlyWindow * (0.1 + 0.9 * random()));
+            const gain = earlyGain * (random() < 0.5 ? -1 : 1) / (1 + n / earlyWindow);
+            const pan = random();
+            left[n] += gain * Math.sqrt(1 - pan);
+            right[n] += gain * Math.sqrt(pan);
+        }
+
+        [left, right].forEach(channel => {
+            const scale = 1 / Math.sqrt(RoomAcoustics.energy(channel) || 1);
+            for (let n = 0; n < length; n++) channel[n] *= scale;
+        });
+
+        return { left, right };
+    }
+
+    static energy(samples) {
+        let sum = 0;
+        for (let n = 0; n < samples.length; n++) sum += samples[n] * samples[n];
+        return sum;
+    }
+
+    /**
+     * Small seeded PRNG (mulberry32), returns numbers in [0, 1)
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+// Used for anything a preset or file leaves out: a small, fairly dry room
+RoomAcoustics.DEFAULT_ROOM = {
+    size: 10,
+    rt60: 0.5,
+    predelay: 0.01,
+    damping: 0.5,
+    early_level: 0.5,
+    wet: 0.1
+};
+
+RoomAcoustics.SOUND_SPEED = 343;
+RoomAcoustics.EARLY_REFLECTIONS = 12;
+RoomAcoustics.DAMPING_CROSSOVER = 2000;   // Hz
+RoomAcoustics.MAX_DAMPING = 0.8;          // damping 1 shortens the top band's rt60 by 80%
+RoomAcoustics.MAX_IMPULSE_SECONDS = 6;
+RoomAcoustics.MAX_PREDELAY = 0.2;         // Also the send delay lines' maximum
+RoomAcoustics.MIN_PREDELAY_RATIO = 0.1;
+RoomAcoustics.CROSSFADE_TIME = 0.3;
+
+// Export for use in other modules
+window.RoomAcoustics = RoomAcoustics;
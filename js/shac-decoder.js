@@ -11,23 +11,54 @@
  * from the Python encoder exactly.
  */
 
+/**
+ * A file the decoder cannot read, and why
+ * 
+ * code is one of SHACDecodeError.HINTS' keys, offset the byte position of
+ * the problem, layerIndex the layer's position in the file (null for the
+ * file header) and hint a suggestion for the user.
+ */
+class SHACDecodeError extends Error {
+    constructor(message, { code = 'INVALID_FILE', offset = null, layerIndex = null, hint = null } = {}) {
+        super(message);
+        this.name = 'SHACDecodeError';
+        this.code = code;
+        this.offset = offset;
+        this.layerIndex = layerIndex;
+        this.hint = hint || SHACDecodeError.HINTS[code] || null;
+    }
+}
+
+SHACDecodeError.HINTS = {
+    BAD_MAGIC: 'This is not a SHAC or ZYZ file',
+    UNSUPPORTED_VERSION: 'The file was written by a newer encoder - update the player',
+    UNSUPPORTED_FORMAT: 'Re-export the file with a supported sample format and channel convention',
+    BAD_HEADER: 'The file header is damaged',
+    CHANNEL_COUNT: 'The header\'s channel count does not fit its ambisonic order - re-export the file',
+    TRUNCATED: 'The file is incomplete - download or copy it again',
+    UNSUPPORTED_COMPRESSION: 'Re-save the file uncompressed or with zlib compression',
+    BAD_CHUNK_TABLE: 'The layer\'s chunk table is damaged',
+    CORRUPT_DATA: 'The layer\'s audio is damaged - download or copy the file again',
+    INVALID_FILE: 'The file could not be read'
+};
+
 class SHACDecoder {
     constructor() {
         this.MAGIC = new Uint8Array([0x53, 0x48, 0x41, 0x43]); // 'SHAC'
         
-        // Cache configuration for computational efficiency
-        this.rotationCache = new Map();
-        this.ROTATION_CACHE_SIZE = Infinity;  // Unlimited cache for performance
-        
-        // Spherical harmonic computation cache
-        this.shCache = new Map();
-        this.SH_CACHE_SIZE = Infinity;  // Unlimited cache for efficiency
+        // Rotation matrix and spherical harmonic caches, LRU within a byte
+        // budget so hours of head tracking don't grow them (see setCacheBudget())
+        this.rotationCache = new LRUCache(SHACDecoder.ROTATION_CACHE_BYTES);
+        this.shCache = new LRUCache(SHACDecoder.SH_CACHE_BYTES);
         
         // Precomputed normalization factors (mirrors encoder optimization)
-        this.normalizationFactors = this.precomputeNormalizationFactors(3);
+        this.normalizationFactors = this.precomputeNormalizationFactors(SHACDecoder.MAX_ORDER);
         
-        // Worker for parallel processing
+        // Worker for off-main-thread decoding (created on first use)
         this.decoderWorker = null;
+        this.workerUnavailable = false;
+        this.workerJobs = new Map();
+        this.nextJobId = 0;
         
         this.reset();
     }
@@ -35,8 +66,11 @@ class SHACDecoder {
     reset() {
         this.header = null;
         this.layers = new Map();
-        this.fileData = null;
+        this.source = null;
         this.layerIndex = [];
+        this.recovery = null;  // Set when damaged trailing layers were skipped
+        this.fileMetadata = null;  // Title, artist, chapters... (see readFileMetadata())
+        this.conventionChecks = new Map();  // Layer ID → checkConvention() result
         
         // Clear caches but keep normalization factors
         this.rotationCache.clear();
@@ -46,6 +80,9 @@ class SHACDecoder {
     /**
      * Precompute normalization factors for spherical harmonics
      * Mirrors the encoder's optimization
+     * 
+     * SN3D, with the √2 of the m ≠ 0 harmonics folded in, so they match
+     * the engine's computeACNHarmonics().
      */
     precomputeNormalizationFactors(maxOrder) {
         const factors = {};
@@ -62,8 +99,7 @@ class SHACDecoder {
             for (let m = -l; m <= l; m++) {
                 const absM = Math.abs(m);
                 // SN3D normalization
-                const norm = Math.sqrt((2 * l + 1) * factorials[l - absM] / 
-                                     (4 * Math.PI * factorials[l + absM]));
+                const norm = Math.sqrt((absM === 0 ? 1 : 2) * factorials[l - absM] / factorials[l + absM]);
                 factors[l][m] = norm;
             }
         }
@@ -72,16 +108,43 @@ class SHACDecoder {
     }
 
     /**
-     * Vectorized spherical harmonic computation
-     * Mirrors the 10.1x speedup from encoder
+     * Byte budgets of the rotation matrix and spherical harmonic caches
+     * @param {Object} budgets - { rotation, sh } in bytes, either optional
+     */
+    setCacheBudget({ rotation, sh } = {}) {
+        if (rotation !== undefined) this.rotationCache.setBudget(rotation);
+        if (sh !== undefined) this.shCache.setBudget(sh);
+    }
+
+    /**
+     * Cached spherical harmonic coefficients for a direction
+     * 
+     * The angles are quantized to SH_ANGLE_STEPS steps per turn and the
+     * coefficients computed for the quantized direction, so they are the
+     * same whether or not they came from the cache. The engine's loudspeaker
+     * panning reads them on every listener move; the array is shared with
+     * the cache, so callers must not modify it.
      */
     computeSphericalHarmonicsVectorized(order, azimuth, elevation) {
-        // Check cache first
-        const cacheKey = `${order}_${azimuth.toFixed(3)}_${elevation.toFixed(3)}`;
-        if (this.shCache.has(cacheKey)) {
-            return this.shCache.get(cacheKey);
-        }
+        const steps = SHACDecoder.SH_ANGLE_STEPS;
+        const azimuthIndex = SHACDecoder.quantizeAngle(azimuth, steps);
+        const elevationIndex = SHACDecoder.quantizeAngle(elevation, steps);
+        const cacheKey = (order * steps + azimuthIndex) * steps + elevationIndex;
+        
+        const cached = this.shCache.get(cacheKey);
+        if (cached) return cached;
         
+        const step = (2 * Math.PI) / steps;
+        const coeffs = this.computeSphericalHarmonics(order, azimuthIndex * step, elevationIndex * step);
+        this.shCache.set(cacheKey, coeffs);
+        return coeffs;
+    }
+
+    /**
+     * Vectorized spherical harmonic computation (uncached)
+     * Mirrors the 10.1x speedup from encoder
+     */
+    computeSphericalHarmonics(order, azimuth, elevation) {
         const numCoeffs = (order + 1) * (order + 1);
         const coeffs = new Float32Array(numCoeffs);
         
@@ -105,28 +168,21 @@ class SHACDecoder {
                 let sh = norm * P[l][absM];
                 
                 if (m > 0) {
-                    sh *= Math.sqrt(2) * Math.cos(m * azimuth);
+                    sh *= Math.cos(m * azimuth);
                 } else if (m < 0) {
-                    sh *= Math.sqrt(2) * Math.sin(absM * azimuth);
+                    sh *= Math.sin(absM * azimuth);
                 }
                 
                 coeffs[idx++] = sh;
             }
         }
         
-        // Cache the result
-        if (this.shCache.size >= this.SH_CACHE_SIZE) {
-            // LRU eviction - remove oldest
-            const firstKey = this.shCache.keys().next().value;
-            this.shCache.delete(firstKey);
-        }
-        this.shCache.set(cacheKey, coeffs);
-        
         return coeffs;
     }
 
     /**
      * Compute Associated Legendre polynomials efficiently
+     * (without the Condon-Shortley phase, as ambisonics uses them)
      */
     computeAssociatedLegendre(order, x) {
         const P = Array(order + 1).fill(null).map(() => Array(order + 1).fill(0));
@@ -139,7 +195,7 @@ class SHACDecoder {
             let fact = 1;
             
             for (let m = 1; m <= order; m++) {
-                P[m][m] = -P[m-1][m-1] * fact * somx2;
+                P[m][m] = P[m-1][m-1] * fact * somx2;
                 fact += 2;
             }
         }
@@ -161,350 +217,1132 @@ class SHACDecoder {
     /**
      * Cached rotation matrix computation
      * Mirrors the 230.8x speedup from encoder
+     * 
+     * Angles are quantized to ROTATION_ANGLE_STEPS steps per turn (0.1°)
+     * and the matrix computed at the quantized angles.
      */
     getCachedRotationMatrix(order, yaw, pitch, roll) {
-        // Round to 0.1 degree precision
-        const yawRounded = Math.round(yaw * 573.0) / 573.0; // 573 ≈ 180/π * 10
-        const pitchRounded = Math.round(pitch * 573.0) / 573.0;
-        const rollRounded = Math.round(roll * 573.0) / 573.0;
-        
-        const cacheKey = `${order}_${yawRounded}_${pitchRounded}_${rollRounded}`;
+        const steps = SHACDecoder.ROTATION_ANGLE_STEPS;
+        const yawIndex = SHACDecoder.quantizeAngle(yaw, steps);
+        const pitchIndex = SHACDecoder.quantizeAngle(pitch, steps);
+        const rollIndex = SHACDecoder.quantizeAngle(roll, steps);
+        const cacheKey = ((order * steps + yawIndex) * steps + pitchIndex) * steps + rollIndex;
         
-        if (this.rotationCache.has(cacheKey)) {
-            return this.rotationCache.get(cacheKey);
-        }
-        
-        // Compute rotation matrix
-        const matrix = this.computeRotationMatrix(order, yaw, pitch, roll);
+        const cached = this.rotationCache.get(cacheKey);
+        if (cached) return cached;
         
-        // Store computed matrix in cache for reuse
+        const step = (2 * Math.PI) / steps;
+        const matrix = this.computeRotationMatrix(order, yawIndex * step, pitchIndex * step, rollIndex * step);
         this.rotationCache.set(cacheKey, matrix);
-        
         return matrix;
     }
 
     /**
      * Compute rotation matrix for spherical harmonics
-     * Implements proper spherical harmonic rotation using Wigner D-matrices
      * 
-     * Note: This function implements actual rotation mathematics.
-     * Identity matrix placeholders will break spatial audio functionality.
+     * Exact real-SH rotation for any order, built band by band with the
+     * Ivanic–Ruedenberg recursion (J. Phys. Chem. 1996, with the 1998
+     * erratum). Channels are in ACN order without the Condon–Shortley
+     * phase, so the matrix applies to SN3D and N3D data alike.
+     * 
+     * Angles are in radians: yaw about +z (counter-clockwise seen from
+     * above), then pitch about +y, then roll about +x - i.e. the field is
+     * rotated by R = Rz(yaw) · Ry(pitch) · Rx(roll).
+     * 
+     * Returns a (order+1)² square matrix, row-major, block-diagonal by band.
      */
     computeRotationMatrix(order, yaw, pitch, roll) {
+        return this.computeRotationMatrixFromR(order, this.computeCartesianRotation(yaw, pitch, roll));
+    }
+
+    /**
+     * 3x3 Cartesian rotation matrix R = Rz(yaw) · Ry(pitch) · Rx(roll)
+     * Rows/columns are in (x, y, z) order.
+     */
+    computeCartesianRotation(yaw, pitch, roll) {
+        const cy = Math.cos(yaw);
+        const sy = Math.sin(yaw);
+        const cp = Math.cos(pitch);
+        const sp = Math.sin(pitch);
+        const cr = Math.cos(roll);
+        const sr = Math.sin(roll);
+        
+        return [
+            [cy * cp, cy * sp * sr - sy * cr, cy * sp * cr + sy * sr],
+            [sy * cp, sy * sp * sr + cy * cr, sy * sp * cr - cy * sr],
+            [-sp,     cp * sr,                cp * cr]
+        ];
+    }
+
+    /**
+     * Build the spherical harmonic rotation matrix for a Cartesian rotation
+     */
+    computeRotationMatrixFromR(order, R) {
         const size = (order + 1) * (order + 1);
         const matrix = new Float32Array(size * size);
         
-        // Initialize as identity
-        for (let i = 0; i < size; i++) {
-            matrix[i * size + i] = 1.0;
-        }
+        // Band 0 is invariant
+        matrix[0] = 1.0;
+        if (order < 1) return matrix;
         
-        // For orders 0-3, implement exact rotation matrices
-        if (order >= 1) {
-            this.applyFirstOrderRotation(matrix, yaw, pitch, roll);
-        }
-        if (order >= 2) {
-            this.applySecondOrderRotation(matrix, yaw, pitch, roll);
+        // Band 1 is R itself, permuted to ACN channel order (Y, Z, X)
+        const acnAxis = [1, 2, 0];
+        const band1 = new Float64Array(9);
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                band1[i * 3 + j] = R[acnAxis[i]][acnAxis[j]];
+            }
         }
-        if (order >= 3) {
-            this.applyThirdOrderRotation(matrix, yaw, pitch, roll);
+        
+        // Each higher band is derived from band 1 and the band below it
+        let previous = band1;
+        this.writeRotationBand(matrix, size, 1, band1);
+        
+        for (let l = 2; l <= order; l++) {
+            const band = this.computeRotationBand(l, band1, previous);
+            this.writeRotationBand(matrix, size, l, band);
+            previous = band;
         }
         
         return matrix;
     }
-    
+
     /**
-     * Apply first-order (l=1) spherical harmonic rotation
+     * Copy one band's (2l+1)² block onto the diagonal of the full matrix
      */
-    applyFirstOrderRotation(matrix, yaw, pitch, roll) {
-        const cy = Math.cos(yaw);
-        const sy = Math.sin(yaw);
-        const cp = Math.cos(pitch);
-        const sp = Math.sin(pitch);
-        const cr = Math.cos(roll);
-        const sr = Math.sin(roll);
+    writeRotationBand(matrix, size, l, band) {
+        const width = 2 * l + 1;
+        const base = l * l;
+        for (let i = 0; i < width; i++) {
+            for (let j = 0; j < width; j++) {
+                matrix[(base + i) * size + (base + j)] = band[i * width + j];
+            }
+        }
+    }
+
+    /**
+     * Ivanic–Ruedenberg recursion for band l
+     * 
+     * M_l(m, n) = u·U + v·V + w·W, where U, V and W are built from band 1
+     * and band l-1 through the helper P().
+     */
+    computeRotationBand(l, band1, previous) {
+        const width = 2 * l + 1;
+        const band = new Float64Array(width * width);
         
-        // First-order rotation matrix (indices 1-3: Y, Z, X)
-        // Y(-1) = Y channel (index 1)
-        matrix[1*4 + 1] = cy * cp;           // Y -> Y
-        matrix[1*4 + 2] = sy * sp;           // Y -> Z  
-        matrix[1*4 + 3] = -sy * cp;          // Y -> X
+        // Centered element access: indices run from -l..l
+        const r1 = (i, j) => band1[(i + 1) * 3 + (j + 1)];
+        const rPrev = (a, b) => previous[(a + l - 1) * (2 * l - 1) + (b + l - 1)];
         
-        // Z(0) = Z channel (index 2) 
-        matrix[2*4 + 1] = -sy;               // Z -> Y
-        matrix[2*4 + 2] = cp;                // Z -> Z
-        matrix[2*4 + 3] = cy;                // Z -> X
+        const P = (i, a, b) => {
+            if (b === l) {
+                return r1(i, 1) * rPrev(a, l - 1) - r1(i, -1) * rPrev(a, -l + 1);
+            } else if (b === -l) {
+                return r1(i, 1) * rPrev(a, -l + 1) + r1(i, -1) * rPrev(a, l - 1);
+            }
+            return r1(i, 0) * rPrev(a, b);
+        };
         
-        // X(+1) = X channel (index 3)
-        matrix[3*4 + 1] = sy * cp;           // X -> Y  
-        matrix[3*4 + 2] = -cy * sp;          // X -> Z
-        matrix[3*4 + 3] = cy * cp;           // X -> X
+        for (let m = -l; m <= l; m++) {
+            const absM = Math.abs(m);
+            const d = m === 0 ? 1 : 0;
+            
+            for (let n = -l; n <= l; n++) {
+                const denom = Math.abs(n) === l ? (2 * l) * (2 * l - 1) : (l + n) * (l - n);
+                
+                const u = Math.sqrt((l + m) * (l - m) / denom);
+                const v = 0.5 * Math.sqrt((1 + d) * (l + absM - 1) * (l + absM) / denom) * (1 - 2 * d);
+                const w = -0.5 * Math.sqrt((l - absM - 1) * (l - absM) / denom) * (1 - d);
+                
+                let value = 0;
+                
+                if (u !== 0) {
+                    value += u * P(0, m, n);
+                }
+                
+                if (v !== 0) {
+                    let V;
+                    if (m === 0) {
+                        V = P(1, 1, n) + P(-1, -1, n);
+                    } else if (m > 0) {
+                        V = m === 1
+                            ? P(1, 0, n) * Math.SQRT2
+                            : P(1, m - 1, n) - P(-1, -m + 1, n);
+                    } else {
+                        V = m === -1
+                            ? P(-1, 0, n) * Math.SQRT2
+                            : P(1, m + 1, n) + P(-1, -m - 1, n);
+                    }
+                    value += v * V;
+                }
+                
+                if (w !== 0) {
+                    const W = m > 0
+                        ? P(1, m + 1, n) + P(-1, -m - 1, n)
+                        : P(1, m - 1, n) - P(-1, -m + 1, n);
+                    value += w * W;
+                }
+                
+                band[(m + l) * width + (n + l)] = value;
+            }
+        }
+        
+        return band;
     }
-    
+
     /**
-     * Apply second-order (l=2) spherical harmonic rotation  
+     * Verify a rotation matrix numerically
+     * 
+     * Checks that the matrix is orthogonal (M · Mᵀ = I), that rotating a
+     * test vector and then applying the inverse rotation (built independently
+     * from Rᵀ) returns the original vector, and that it moves a plane wave
+     * to where R moves its direction - which only holds if the matrix and
+     * the SN3D harmonics share one channel convention.
+     * @returns {Object} { valid, orthogonalityError, roundTripError, directionError }
      */
-    applySecondOrderRotation(matrix, yaw, pitch, roll) {
-        const cy = Math.cos(yaw);
-        const sy = Math.sin(yaw);
-        const cp = Math.cos(pitch);
-        const sp = Math.sin(pitch);
-        const c2y = Math.cos(2*yaw);
-        const s2y = Math.sin(2*yaw);
-        const c2p = Math.cos(2*pitch);
-        const s2p = Math.sin(2*pitch);
+    verifyRotationMatrix(order, yaw, pitch, roll, tolerance = 1e-4) {
+        const size = (order + 1) * (order + 1);
+        const R = this.computeCartesianRotation(yaw, pitch, roll);
+        const forward = this.computeRotationMatrixFromR(order, R);
+        
+        // Orthogonality: every row dotted with every row
+        let orthogonalityError = 0;
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+                let dot = 0;
+                for (let k = 0; k < size; k++) {
+                    dot += forward[i * size + k] * forward[j * size + k];
+                }
+                orthogonalityError = Math.max(orthogonalityError, Math.abs(dot - (i === j ? 1 : 0)));
+            }
+        }
         
-        // Second-order terms (indices 4-8)
-        // Simplified second-order rotation - key terms only
-        const base = 4; // Starting index for l=2
+        // Round trip through the inverse rotation
+        const Rt = [0, 1, 2].map(i => [0, 1, 2].map(j => R[j][i]));
+        const inverse = this.computeRotationMatrixFromR(order, Rt);
         
-        // V(-2) -> V(-2) 
-        matrix[(base+0)*16 + (base+0)] = c2y * cp * cp;
+        const testVector = new Float64Array(size);
+        for (let i = 0; i < size; i++) {
+            testVector[i] = Math.sin(1.7 * i + 0.3);
+        }
+        const rotated = this.multiplyMatrixVector(forward, testVector, size);
+        const restored = this.multiplyMatrixVector(inverse, rotated, size);
         
-        // V(-1) -> V(-1)
-        matrix[(base+1)*16 + (base+1)] = cy * cp;
+        let roundTripError = 0;
+        for (let i = 0; i < size; i++) {
+            roundTripError = Math.max(roundTripError, Math.abs(restored[i] - testVector[i]));
+        }
         
-        // V(0) -> V(0)  
-        matrix[(base+2)*16 + (base+2)] = (3*cp*cp - 1) / 2;
+        // Plane wave from an arbitrary direction, and from that direction rotated
+        const direction = [0.48, 0.6, 0.64];
+        const moved = R.map(row => row[0] * direction[0] + row[1] * direction[1] + row[2] * direction[2]);
+        const toHarmonics = ([x, y, z]) => Float64Array.from(this.computeSphericalHarmonics(
+            order, Math.atan2(y, x), Math.asin(Math.max(-1, Math.min(1, z)))));
+        const rotatedWave = this.multiplyMatrixVector(forward, toHarmonics(direction), size);
+        const expectedWave = toHarmonics(moved);
         
-        // V(+1) -> V(+1)
-        matrix[(base+3)*16 + (base+3)] = cy * cp;
+        let directionError = 0;
+        for (let i = 0; i < size; i++) {
+            directionError = Math.max(directionError, Math.abs(rotatedWave[i] - expectedWave[i]));
+        }
         
-        // V(+2) -> V(+2)
-        matrix[(base+4)*16 + (base+4)] = c2y * cp * cp;
+        return {
+            valid: orthogonalityError < tolerance && roundTripError < tolerance && directionError < tolerance,
+            orthogonalityError,
+            roundTripError,
+            directionError
+        };
     }
-    
+
     /**
-     * Apply third-order (l=3) spherical harmonic rotation
+     * Square matrix (row-major) times vector
      */
-    applyThirdOrderRotation(matrix, yaw, pitch, roll) {
-        const cy = Math.cos(yaw);
-        const sy = Math.sin(yaw); 
-        const cp = Math.cos(pitch);
-        const sp = Math.sin(pitch);
-        const c3y = Math.cos(3*yaw);
-        const s3y = Math.sin(3*yaw);
-        
-        // Third-order terms (indices 9-15) 
-        // Simplified third-order rotation - diagonal terms for stability
-        const base = 9; // Starting index for l=3
-        
-        for (let m = -3; m <= 3; m++) {
-            const idx = base + m + 3;
-            const cmy = Math.cos(m * yaw);
-            matrix[idx*16 + idx] = cmy * Math.pow(cp, Math.abs(m));
+    multiplyMatrixVector(matrix, vector, size) {
+        const result = new Float64Array(size);
+        for (let i = 0; i < size; i++) {
+            let sum = 0;
+            for (let j = 0; j < size; j++) {
+                sum += matrix[i * size + j] * vector[j];
+            }
+            result[i] = sum;
         }
+        return result;
     }
 
     /**
-     * Decode SHAC file with optimizations
+     * Decode SHAC file structure without touching PCM data
+     *
+     * Accepts a Blob/File (preferred) or an ArrayBuffer. Only the 26-byte
+     * header and the per-layer headers are read here, through Blob.slice()
+     * ranges, so multi-GB files open in seconds. Audio for a layer is read
+     * and converted on demand with readLayerAudio().
+     * 
+     * A damaged layer ends the index, but the layers before it still load
+     * and result.recovery says what was skipped (see buildLayerIndex()).
+     * @param {Blob|ArrayBuffer} source
+     * @param {Object} [options]
+     * @param {boolean} [options.strict=false] - Throw instead of skipping damaged layers
+     * @param {string[]} [options.layers] - IDs of the layers to expose
+     *   (default all); the index still covers every layer, so the others
+     *   can be read later
+     * @throws {SHACDecodeError} When the file cannot be read at all
      */
-    async decode(arrayBuffer) {
+    async decode(source, { strict = false, layers = null } = {}) {
         this.reset();
-        this.fileData = new DataView(arrayBuffer);
+        this.source = source instanceof Blob ? source : new Blob([source]);
         
         try {
             // Read header
-            this.readHeader();
+            await this.readHeader();
             
-            // Build layer index for efficient access
-            await this.buildLayerIndex();
+            // Build layer index (ids, metadata and data offsets)
+            await this.buildLayerIndex({ strict });
             
-            // Load layers with parallel processing where possible
-            await this.readLayersOptimized();
+            // Expose layers - PCM stays in the file until requested
+            this.readLayersOptimized(layers);
             
             return {
                 header: this.header,
                 layers: this.layers,
                 layerNames: Array.from(this.layers.keys()),
-                layerIndex: this.layerIndex
+                layerIndex: this.layerIndex,
+                recovery: this.recovery,
+                fileMetadata: this.fileMetadata,
+                decoder: this
             };
         } catch (error) {
-            throw new Error(`SHAC decode error: ${error.message}`);
+            if (error instanceof SHACDecodeError) throw error;
+            throw new SHACDecodeError(error.message);
+        }
+    }
+
+    /**
+     * Read a byte range from the source file
+     * @param {string} [what] - What the range holds, for the error message
+     * @param {number|null} [layerIndex] - Layer it belongs to, for the error
+     * @throws {SHACDecodeError} TRUNCATED when the range runs past the end
+     */
+    async readBytes(offset, length, what = 'Data', layerIndex = null) {
+        if (offset + length > this.source.size) {
+            throw new SHACDecodeError(
+                `${what} runs past the end of the file (bytes ${offset}-${offset + length}, file is ${this.source.size})`,
+                { code: 'TRUNCATED', offset, layerIndex }
+            );
         }
+        return await this.source.slice(offset, offset + length).arrayBuffer();
     }
 
     /**
      * Read and validate file header (26 bytes)
      */
-    readHeader() {
-        // Check magic bytes
-        const magic = new Uint8Array(this.fileData.buffer, 0, 4);
+    async readHeader() {
+        // Check magic bytes first, so a short file of some other kind
+        // isn't reported as a truncated SHAC file
+        const magic = new Uint8Array(await this.readBytes(0, Math.min(4, this.source.size)));
         if (!this.arrayEquals(magic, this.MAGIC)) {
-            throw new Error('Invalid SHAC file: incorrect magic bytes');
+            throw new SHACDecodeError('Invalid SHAC file: incorrect magic bytes', { code: 'BAD_MAGIC', offset: 0 });
         }
+        
+        const headerView = new DataView(await this.readBytes(0, SHACDecoder.HEADER_SIZE, 'File header'));
 
         // Read header fields - matches Python struct exactly
         this.header = {
             magic: 'SHAC',
-            version: this.fileData.getUint16(4, true),
-            order: this.fileData.getUint16(6, true),
-            n_channels: this.fileData.getUint16(8, true),
-            sample_rate: this.fileData.getUint32(10, true),
-            bit_depth: this.fileData.getUint32(14, true),
-            n_samples: this.fileData.getUint32(18, true),
-            n_layers: this.fileData.getUint16(22, true),
-            normalization: this.fileData.getUint16(24, true)
+            version: headerView.getUint16(4, true),
+            order: headerView.getUint16(6, true),
+            n_channels: headerView.getUint16(8, true),
+            sample_rate: headerView.getUint32(10, true),
+            bit_depth: headerView.getUint32(14, true),
+            n_samples: headerView.getUint32(18, true),
+            n_layers: headerView.getUint16(22, true),
+            normalization: headerView.getUint16(24, true)
         };
 
         // Validate header
-        if (this.header.version !== 1) {
-            throw new Error(`Unsupported SHAC version: ${this.header.version}`);
+        if (!SHACDecoder.VERSIONS.includes(this.header.version)) {
+            throw new SHACDecodeError(`Unsupported SHAC version: ${this.header.version}`, { code: 'UNSUPPORTED_VERSION', offset: 4 });
+        }
+        if (!this.header.n_channels || !this.header.sample_rate) {
+            throw new SHACDecodeError(
+                `Invalid header: ${this.header.n_channels} channels at ${this.header.sample_rate} Hz`,
+                { code: 'BAD_HEADER', offset: this.header.n_channels ? 10 : 8 }
+            );
         }
+        // Order N has (N + 1)² channels; any other count would be rotated
+        // and decoded as the wrong harmonics
+        const expectedChannels = (this.header.order + 1) * (this.header.order + 1);
+        if (this.header.n_channels !== expectedChannels) {
+            throw new SHACDecodeError(
+                `Invalid header: ${this.header.n_channels} channels, order ${this.header.order} has ${expectedChannels}`,
+                { code: 'CHANNEL_COUNT', offset: 8 }
+            );
+        }
+        
+        try {
+            this.header.convention = SHACDecoder.parseConvention(this.header.normalization, this.header.order);
+            this.header.sample_format = SHACDecoder.parseSampleFormat(this.header.bit_depth);
+        } catch (error) {
+            throw new SHACDecodeError(error.message, { code: 'UNSUPPORTED_FORMAT', offset: this.header.convention ? 14 : 24 });
+        }
+        
+        // Seconds; buildLayerIndex() extends it to the end of the last layer
+        this.header.duration = this.header.n_samples / this.header.sample_rate;
     }
 
     /**
      * Build layer index for efficient random access
+     * 
+     * Reads each layer's header, ID and metadata, then skips straight over
+     * the audio payload to the next layer - the stored (compressed_size)
+     * bytes for a compressed layer.
+     * 
+     * Version 1 layer headers are 6 bytes (ID length u16, metadata length
+     * u32) and every layer runs the whole file. Version 2 adds four u32s:
+     *   n_samples     - The layer's own length, per channel
+     *   sample_rate   - Its own sample rate (0 = the file's)
+     *   start_offset  - Where it starts in the scene, in samples at the
+     *                   file's sample rate
+     *   chunk_samples - 0, or the length of the chunks its audio is split
+     *                   into for random access. A table of the chunks'
+     *                   stored sizes (u32 each) then follows the metadata;
+     *                   every chunk is planar PCM, compressed and
+     *                   delta-coded on its own in a compressed layer.
+     * 
+     * Every length read from the file is checked against the file size.
+     * Where a layer starts depends on all the layers before it, so the
+     * first damaged layer ends the index: unless strict is set, the layers
+     * before it are kept and this.recovery records { error, loadedLayers,
+     * skippedLayers }. A damaged first layer always throws. After an
+     * intact last layer comes the optional file metadata block (see
+     * readFileMetadata()).
+     * @throws {SHACDecodeError}
      */
-    async buildLayerIndex() {
-        let offset = 26; // After header
+    async buildLayerIndex({ strict = false } = {}) {
+        let offset = SHACDecoder.HEADER_SIZE;
         this.layerIndex = [];
+        this.recovery = null;
+        let duration = this.header.duration;
         
         for (let i = 0; i < this.header.n_layers; i++) {
-            // Read layer header
-            const idLength = this.fileData.getUint16(offset, true);
-            offset += 2;
-            
-            const metadataLength = this.fileData.getUint32(offset, true);
-            offset += 4;
-            
-            // Read layer ID
-            const idBytes = new Uint8Array(this.fileData.buffer, offset, idLength);
-            const layerId = new TextDecoder().decode(idBytes);
-            offset += idLength;
-            
-            // Skip metadata for index
-            offset += metadataLength;
-            
-            // Calculate audio data size
-            const samplesPerChannel = this.header.n_samples;
-            const bytesPerSample = this.header.bit_depth === 16 ? 2 : 4;
-            const audioDataSize = this.header.n_channels * samplesPerChannel * bytesPerSample;
+            let layerInfo;
+            try {
+                layerInfo = await this.indexLayer(i, offset);
+            } catch (error) {
+                if (strict || i === 0 || !(error instanceof SHACDecodeError)) throw error;
+                
+                this.recovery = { error, loadedLayers: i, skippedLayers: this.header.n_layers - i };
+                console.warn(`Loaded ${i} of ${this.header.n_layers} layers, skipped the rest: ${error.message}`);
+                break;
+            }
             
-            // Store layer info
-            this.layerIndex.push({
-                id: layerId,
-                headerOffset: offset - metadataLength - idLength - 6,
-                dataOffset: offset,
-                dataSize: audioDataSize,
-                metadataLength: metadataLength
-            });
+            this.layerIndex.push(layerInfo);
+            duration = Math.max(duration, layerInfo.startTime + layerInfo.numSamples / layerInfo.sampleRate);
+            offset = layerInfo.dataOffset + layerInfo.dataSize;
+        }
+        
+        this.header.duration = duration;
+        if (!this.recovery) {
+            this.fileMetadata = await this.readFileMetadata(offset);
+        }
+    }
+
+    /**
+     * Read the file metadata block, if the file has one
+     * 
+     * The block follows the last layer, where readers that don't know it
+     * stop reading, so any version of the format can carry it:
+     *   magic         - 'SHMD'
+     *   json_length   - u32, then that many bytes of UTF-8 JSON
+     *   artwork_size  - u32, then the image itself (0 = no artwork)
+     * The JSON holds title, artist, album, year, description,
+     * artwork_type (the image's MIME type), chapters ([{ time, title }],
+     * time in seconds) and credits ([{ role, name }]), all optional.
+     * 
+     * The metadata only describes the file, so a damaged block is
+     * skipped with a warning rather than failing the load.
+     * @param {number} offset - Byte offset just after the last layer
+     * @returns {Promise<Object|null>} From parseFileMetadata(), with
+     *   artwork as a Blob (or null); null when there is no block
+     */
+    async readFileMetadata(offset) {
+        const magic = SHACDecoder.FILE_METADATA_MAGIC;
+        if (this.source.size < offset + SHACDecoder.FILE_METADATA_HEADER_SIZE) return null;
+        
+        const blockHeader = new DataView(await this.readBytes(offset, SHACDecoder.FILE_METADATA_HEADER_SIZE));
+        const tag = String.fromCharCode(...new Uint8Array(blockHeader.buffer, 0, magic.length));
+        if (tag !== magic) return null;
+        
+        try {
+            const jsonLength = blockHeader.getUint32(4, true);
+            const artworkSize = blockHeader.getUint32(8, true);
+            const jsonOffset = offset + SHACDecoder.FILE_METADATA_HEADER_SIZE;
+            const bytes = await this.readBytes(jsonOffset, jsonLength, 'File metadata');
+            const fields = JSON.parse(new TextDecoder().decode(bytes));
+            const fileMetadata = SHACDecoder.parseFileMetadata(fields);
             
-            offset += audioDataSize;
+            // The image stays in the file until something displays it
+            const artworkOffset = jsonOffset + jsonLength;
+            if (artworkSize) {
+                if (artworkOffset + artworkSize > this.source.size) {
+                    throw new Error(`artwork runs past the end of the file (bytes ${artworkOffset}-${artworkOffset + artworkSize}, file is ${this.source.size})`);
+                }
+                fileMetadata.artwork = this.source.slice(artworkOffset, artworkOffset + artworkSize, fileMetadata.artworkType || '');
+            }
+            return fileMetadata;
+        } catch (error) {
+            console.warn(`Ignoring the file metadata block: ${error.message}`);
+            return null;
         }
     }
 
     /**
-     * Read layers with optimizations
+     * Check the fields of a file metadata block, dropping (with a warning)
+     * any that have the wrong type
+     * @param {Object} fields - The block's JSON
+     * @returns {{title, artist, album, year, description, artworkType,
+     *   artwork: null, chapters: Array<{time, title}>, credits: Array<{role, name}>}}
+     *   Missing text fields are null; chapters are sorted by time
      */
-    async readLayersOptimized() {
-        // For small files, read all at once
-        // For large files, this could be made progressive
+    static parseFileMetadata(fields) {
+        if (fields === null || typeof fields !== 'object' || Array.isArray(fields)) {
+            throw new Error('the block is not a JSON object');
+        }
         
-        const promises = this.layerIndex.map(layerInfo => 
-            this.readLayerOptimized(layerInfo)
-        );
+        const text = (key) => {
+            const value = fields[key];
+            if (value === undefined || value === null) return null;
+            if (typeof value === 'string') return value;
+            if (typeof value === 'number' && key === 'year' && isFinite(value)) return String(value);
+            console.warn(`File metadata: ignoring ${key} (not text)`);
+            return null;
+        };
         
-        // Process in parallel where possible
-        const results = await Promise.all(promises);
+        const list = (key, isValid, description) => {
+            const value = fields[key];
+            if (value === undefined || value === null) return [];
+            if (!Array.isArray(value)) {
+                console.warn(`File metadata: ignoring ${key} (not a list)`);
+                return [];
+            }
+            const valid = value.filter(isValid);
+            if (valid.length < value.length) {
+                console.warn(`File metadata: ignoring ${value.length - valid.length} ${key} without ${description}`);
+            }
+            return valid;
+        };
         
-        // Store results
-        results.forEach(result => {
-            this.layers.set(result.id, result.data);
-        });
+        const chapters = list('chapters',
+            chapter => chapter && typeof chapter.time === 'number' && isFinite(chapter.time) && chapter.time >= 0
+                && typeof chapter.title === 'string',
+            'a time and title'
+        ).map(({ time, title }) => ({ time, title })).sort((a, b) => a.time - b.time);
+        
+        const credits = list('credits',
+            credit => credit && typeof credit.name === 'string' && (credit.role === undefined || typeof credit.role === 'string'),
+            'a name'
+        ).map(({ role, name }) => ({ role: role || null, name }));
+        
+        return {
+            title: text('title'),
+            artist: text('artist'),
+            album: text('album'),
+            year: text('year'),
+            description: text('description'),
+            artworkType: text('artwork_type'),
+            artwork: null,
+            chapters,
+            credits
+        };
     }
 
     /**
-     * Read a single layer with optimizations
+     * Read one layer's header, ID, metadata and chunk table
+     * @param {number} index - The layer's position in the file
+     * @param {number} offset - Byte offset of its layer header
+     * @returns {Promise<Object>} Its layerIndex entry
+     * @throws {SHACDecodeError}
      */
-    async readLayerOptimized(layerInfo) {
-        const { headerOffset, dataOffset, dataSize, metadataLength } = layerInfo;
+    async indexLayer(index, offset) {
+        const headerOffset = offset;
+        const v2 = this.header.version === 2;
+        const layerHeaderSize = v2 ? SHACDecoder.LAYER_HEADER_SIZE_V2 : 6;
         
         // Read layer header
-        let offset = headerOffset;
-        const idLength = this.fileData.getUint16(offset, true);
-        offset += 2;
-        offset += 4; // Skip metadata length (we already have it)
+        const layerHeader = new DataView(await this.readBytes(offset, layerHeaderSize, `Layer ${index + 1} header`, index));
+        const idLength = layerHeader.getUint16(0, true);
+        const metadataLength = layerHeader.getUint32(2, true);
+        const numSamples = v2 ? layerHeader.getUint32(6, true) : this.header.n_samples;
+        const sampleRate = (v2 && layerHeader.getUint32(10, true)) || this.header.sample_rate;
+        const startOffset = v2 ? layerHeader.getUint32(14, true) : 0;
+        const chunkSamples = v2 ? layerHeader.getUint32(18, true) : 0;
+        offset += layerHeaderSize;
+        
+        // Read layer ID and metadata in one range
+        const textDecoder = new TextDecoder();
+        const bytes = await this.readBytes(offset, idLength + metadataLength, `Layer ${index + 1} ID and metadata`, index);
+        const layerId = textDecoder.decode(new Uint8Array(bytes, 0, idLength));
+        const metadataStr = textDecoder.decode(new Uint8Array(bytes, idLength, metadataLength));
+        const { metadata, warning: metadataWarning } = this.parseMetadata(metadataStr, layerId);
+        offset += idLength + metadataLength;
+        
+        // Calculate audio data size
+        const bytesPerSample = this.header.sample_format.bytesPerSample;
+        const pcmSize = this.header.n_channels * numSamples * bytesPerSample;
+        let compression;
+        try {
+            compression = SHACDecoder.parseCompression(metadata, layerId, chunkSamples > 0);
+        } catch (error) {
+            throw new SHACDecodeError(error.message, { code: 'UNSUPPORTED_COMPRESSION', offset: headerOffset, layerIndex: index });
+        }
+        let audioDataSize = compression ? compression.size : pcmSize;
         
-        // Read layer ID
-        const idBytes = new Uint8Array(this.fileData.buffer, offset, idLength);
-        const layerId = new TextDecoder().decode(idBytes);
-        offset += idLength;
+        // Chunked layers: sizes from the table, chunks back to back after it
+        let chunks = null;
+        if (chunkSamples) {
+            const count = Math.ceil(numSamples / chunkSamples);
+            const table = new DataView(await this.readBytes(offset, count * 4, `Layer ${layerId} chunk table`, index));
+            
+            chunks = [];
+            let chunkOffset = offset + count * 4;
+            for (let c = 0; c < count; c++) {
+                const start = c * chunkSamples;
+                const length = Math.min(chunkSamples, numSamples - start);
+                const size = table.getUint32(c * 4, true);
+                if (!compression && size !== this.header.n_channels * length * bytesPerSample) {
+                    throw new SHACDecodeError(
+                        `Layer ${layerId}: chunk ${c} is ${size} bytes, expected ${this.header.n_channels * length * bytesPerSample}`,
+                        { code: 'BAD_CHUNK_TABLE', offset: offset + c * 4, layerIndex: index }
+                    );
+                }
+                chunks.push({ offset: chunkOffset, size, start, length });
+                chunkOffset += size;
+            }
+            offset += count * 4;
+            audioDataSize = chunkOffset - offset;
+        }
         
-        // Read metadata
-        const metadataBytes = new Uint8Array(this.fileData.buffer, offset, metadataLength);
-        const metadataStr = new TextDecoder().decode(metadataBytes);
+        // The audio itself is only read on demand, but it has to be there
+        if (offset + audioDataSize > this.source.size) {
+            throw new SHACDecodeError(
+                `Layer ${layerId}: audio runs past the end of the file (bytes ${offset}-${offset + audioDataSize}, file is ${this.source.size})`,
+                { code: 'TRUNCATED', offset, layerIndex: index }
+            );
+        }
+        
+        return {
+            id: layerId,
+            index,
+            headerOffset,
+            dataOffset: offset,
+            dataSize: audioDataSize,
+            pcmSize,
+            compression,
+            numSamples,
+            sampleRate,
+            startTime: startOffset / this.header.sample_rate,
+            chunkSamples,
+            chunks,
+            metadataLength: metadataLength,
+            metadata,
+            metadataWarning
+        };
+    }
+
+    /**
+     * Expose indexed layers without reading their audio
+     * @param {string[]} [selection] - IDs of the layers to expose (default all)
+     */
+    readLayersOptimized(selection = null) {
+        if (selection) {
+            const unknown = selection.filter(id => !this.layerIndex.some(layerInfo => layerInfo.id === id));
+            if (unknown.length) {
+                console.warn(`Layers not in the file: ${unknown.join(', ')}`);
+            }
+        }
+        
+        for (const layerInfo of this.layerIndex) {
+            if (selection && !selection.includes(layerInfo.id)) continue;
+            this.layers.set(layerInfo.id, this.describeLayer(layerInfo));
+        }
+    }
+
+    /**
+     * What the engine needs to know about an indexed layer before its
+     * audio is read
+     */
+    describeLayer(layerInfo) {
+        return {
+            metadata: layerInfo.metadata,
+            samplesPerChannel: layerInfo.numSamples,
+            sampleRate: layerInfo.sampleRate,
+            startTime: layerInfo.startTime,
+            metadataWarning: layerInfo.metadataWarning
+        };
+    }
+
+    /**
+     * Parse layer metadata: JSON, or a Python dict literal from old
+     * encoders (see PythonLiteral)
+     * 
+     * Metadata that is neither, or not a dict, is replaced by defaults that
+     * put the layer at the origin, and the warning says why.
+     * @returns {{metadata: Object, warning: string|null}}
+     */
+    parseMetadata(metadataStr, layerId) {
+        if (!metadataStr.trim()) {
+            return { metadata: { position: [0, 0, 0], gain: 1.0 }, warning: null };
+        }
         
-        // Parse metadata
         let metadata;
         try {
             // Try parsing as JSON first (new format)
             metadata = JSON.parse(metadataStr);
-        } catch (e) {
-            // Fall back to Python dict string conversion (old format)
+        } catch (jsonError) {
+            // Fall back to a Python literal (old format)
             try {
-                const jsonStr = metadataStr
-                    .replace(/'/g, '"')
-                    .replace(/\(/g, '[')
-                    .replace(/\)/g, ']')
-                    .replace(/True/g, 'true')
-                    .replace(/False/g, 'false')
-                    .replace(/None/g, 'null');
-                metadata = JSON.parse(jsonStr);
-            } catch (e2) {
-                console.warn('Failed to parse metadata, using defaults:', metadataStr);
-                metadata = { position: [0, 0, 0], gain: 1.0 };
-            }
-        }
-        
-        // Read audio data efficiently
-        const audioData = this.readAudioDataOptimized(
-            dataOffset, 
-            this.header.n_channels, 
-            this.header.n_samples,
-            this.header.bit_depth
-        );
+                metadata = PythonLiteral.parse(metadataStr);
+            } catch (error) {
+                const warning = `Layer ${layerId}: unreadable metadata (${error.message}), placed at the origin`;
+                console.warn(warning, metadataStr);
+                return { metadata: { position: [0, 0, 0], gain: 1.0 }, warning };
+            }
+        }
         
-        return {
-            id: layerId,
-            data: {
-                metadata,
-                audioData,
-                samplesPerChannel: this.header.n_samples
+        if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+            const warning = `Layer ${layerId}: metadata is not a dict, placed at the origin`;
+            console.warn(warning, metadataStr);
+            return { metadata: { position: [0, 0, 0], gain: 1.0 }, warning };
+        }
+        return { metadata, warning: null };
+    }
+
+    /**
+     * Read and decode a single layer's PCM data on demand
+     * 
+     * Runs in the decoder worker when one is available. With renderBinaural
+     * set, ambisonic layers come back already rendered to [left, right],
+     * convolved with binauralFilters when those are given (otherwise through
+     * the spherical-head model for headRadius, weighted by decoderWeighting).
+     * @param {string} layerId - Layer ID from the index
+     * @param {Object} options - { renderBinaural, binauralFilters, headRadius, decoderWeighting, signal, onProgress }
+     * @returns {Promise<Float32Array[]>} One Float32Array per channel
+     */
+    async readLayerAudio(layerId, options = {}) {
+        const layerInfo = this.layerIndex.find(info => info.id === layerId);
+        if (!layerInfo) {
+            throw new Error(`Unknown layer: ${layerId}`);
+        }
+        
+        if (options.signal && options.signal.aborted) {
+            throw SHACDecoder.createAbortError();
+        }
+        
+        if (this.getWorker()) {
+            try {
+                return await this.runWorkerJob(layerInfo, options);
+            } catch (error) {
+                // Worker could not start - fall through to the main thread
+                if (!error.workerFailure) throw error;
+            }
+        }
+        
+        return await this.readLayerAudioDirect(layerInfo, options.signal);
+    }
+
+    /**
+     * Read and decode a layer on the current thread
+     * 
+     * Channels come back in ACN order with SN3D normalization whatever the
+     * file declares; the declared convention is checked against the
+     * channel levels on the way (see checkConvention()).
+     * @param {AbortSignal} [signal] - Checked between reads and chunks
+     */
+    async readLayerAudioDirect(layerInfo, signal = null) {
+        const audioData = await this.readChunks(layerInfo, SHACDecoder.getChunks(layerInfo), 0, layerInfo.numSamples, signal);
+        
+        const check = this.checkConvention(audioData);
+        if (check) this.conventionChecks.set(layerInfo.id, check);
+        return SHACDecoder.toInternalConvention(audioData, this.header.convention);
+    }
+
+    /**
+     * Read part of a layer on the current thread - only the chunks that
+     * cover it when the layer has a chunk table, only the range itself
+     * when the layer is plain PCM
+     * @param {string} layerId - Layer ID from the index
+     * @param {number} start - First sample, at the layer's sample rate
+     * @param {number} length - Samples per channel (cut at the layer's end)
+     * @returns {Promise<Float32Array[]>} ACN/SN3D channels
+     */
+    async readLayerRange(layerId, start, length) {
+        const layerInfo = this.layerIndex.find(info => info.id === layerId);
+        if (!layerInfo) {
+            throw new Error(`Unknown layer: ${layerId}`);
+        }
+        
+        const from = Math.max(0, Math.min(start, layerInfo.numSamples));
+        const to = Math.max(from, Math.min(start + length, layerInfo.numSamples));
+        let audioData;
+        
+        if (!layerInfo.chunks && !layerInfo.compression) {
+            // Planar PCM: each channel's part is one contiguous range
+            const { bytesPerSample } = this.header.sample_format;
+            audioData = [];
+            for (let ch = 0; ch < this.header.n_channels; ch++) {
+                const position = layerInfo.dataOffset + (ch * layerInfo.numSamples + from) * bytesPerSample;
+                const bytes = await this.readBytes(position, (to - from) * bytesPerSample);
+                audioData.push(this.readAudioDataOptimized(new DataView(bytes), 0, 1, to - from, this.header.bit_depth)[0]);
+            }
+        } else {
+            const chunks = SHACDecoder.getChunks(layerInfo)
+                .filter(chunk => chunk.start < to && chunk.start + chunk.length > from);
+            audioData = await this.readChunks(layerInfo, chunks, from, to - from);
+        }
+        
+        return SHACDecoder.toInternalConvention(audioData, this.header.convention);
+    }
+
+    /**
+     * Decode a run of consecutive chunks into channels covering
+     * [start, start + length), in the file's channel convention
+     * 
+     * Chunks are read in runs of up to READ_RUN_BYTES, so a signal
+     * aborted meanwhile stops the decode at the next read or chunk.
+     * @param {AbortSignal} [signal]
+     */
+    async readChunks(layerInfo, chunks, start, length, signal = null) {
+        const numChannels = this.header.n_channels;
+        if (!chunks.length) {
+            return Array.from({ length: numChannels }, () => new Float32Array(length));
+        }
+        
+        let audioData = null;
+        let first = null;
+        let bytes = null;
+        for (let c = 0; c < chunks.length; c++) {
+            if (signal && signal.aborted) {
+                throw SHACDecoder.createAbortError();
             }
+            
+            const chunk = chunks[c];
+            if (!bytes || chunk.offset + chunk.size > first.offset + bytes.length) {
+                // Next run: this chunk and as many after it as fit
+                let last = c;
+                while (last + 1 < chunks.length &&
+                       chunks[last + 1].offset + chunks[last + 1].size - chunk.offset <= SHACDecoder.READ_RUN_BYTES) {
+                    last++;
+                }
+                first = chunk;
+                bytes = new Uint8Array(await this.readBytes(chunk.offset, chunks[last].offset + chunks[last].size - chunk.offset));
+                if (signal && signal.aborted) {
+                    throw SHACDecoder.createAbortError();
+                }
+            }
+            
+            const stored = bytes.subarray(chunk.offset - first.offset, chunk.offset - first.offset + chunk.size);
+            const pcm = layerInfo.compression ? this.decompressLayer(stored, layerInfo, chunk.length, chunk.offset) : stored;
+            const channels = this.readAudioDataOptimized(
+                new DataView(pcm.buffer, pcm.byteOffset, pcm.byteLength),
+                0,
+                numChannels,
+                chunk.length,
+                this.header.bit_depth
+            );
+            
+            // A single chunk that is the whole range needs no copy
+            if (chunks.length === 1 && chunk.start === start && chunk.length === length) {
+                return channels;
+            }
+            
+            if (!audioData) {
+                audioData = Array.from({ length: numChannels }, () => new Float32Array(length));
+            }
+            const from = Math.max(start, chunk.start);
+            const to = Math.min(start + length, chunk.start + chunk.length);
+            for (let ch = 0; ch < numChannels; ch++) {
+                audioData[ch].set(channels[ch].subarray(from - chunk.start, to - chunk.start), from - start);
+            }
+        }
+        return audioData;
+    }
+
+    /**
+     * Inflate a compressed layer payload (or one chunk of it) back to
+     * planar PCM and undo its predictor
+     * @param {Uint8Array} bytes - The stored payload
+     * @param {Object} layerInfo - Index entry with compression
+     * @param {number} numSamples - Samples per channel in the payload
+     * @returns {Uint8Array}
+     */
+    decompressLayer(bytes, layerInfo, numSamples, offset = layerInfo.dataOffset) {
+        const { method, predictor } = layerInfo.compression;
+        if (typeof pako === 'undefined') {
+            throw new Error(`Layer ${layerInfo.id}: compressed audio needs pako`);
+        }
+        const details = { code: 'CORRUPT_DATA', offset, layerIndex: layerInfo.index };
+        
+        let pcm;
+        try {
+            pcm = method === 'deflate' ? pako.inflateRaw(bytes) : pako.inflate(bytes);
+        } catch (error) {
+            // pako throws its zlib message as a plain string
+            throw new SHACDecodeError(`Layer ${layerInfo.id}: corrupt ${method} data (${error.message || error})`, details);
+        }
+        const expected = this.header.n_channels * numSamples * this.header.sample_format.bytesPerSample;
+        if (!pcm || pcm.length !== expected) {
+            throw new SHACDecodeError(`Layer ${layerInfo.id}: ${method} data inflates to ${pcm ? pcm.length : 0} bytes, expected ${expected}`, details);
+        }
+        
+        if (predictor === 'delta') {
+            SHACDecoder.undoDelta(pcm, this.header.sample_format.bytesPerSample, numSamples);
+        }
+        return pcm;
+    }
+
+    /**
+     * Compare the channel levels of a layer, as read, with what its declared
+     * convention predicts
+     * 
+     * After conversion to SN3D, every order of a field made of plane waves
+     * carries the same energy as W: Σ_m Y_lm² = 1 for any direction. A
+     * layer far off that, which another convention would bring close, was
+     * most likely written in that other convention - N3D read as SN3D shows
+     * (2l+1) times the energy per order, FuMa twice the energy in order 1.
+     * Real content (near sources, diffuse sound) often sits below the
+     * plane-wave level, so levels that are too low only count when the
+     * other convention fits closely.
+     * @returns {Object|null} { ratios (per order, declared convention),
+     *   suggestion (label of a better fit, or null) }, or null when the
+     *   layer has no directional channels or no signal
+     */
+    checkConvention(audioData) {
+        const { order, convention } = this.header;
+        const size = (order + 1) * (order + 1);
+        if (order < 1 || audioData.length < size) return null;
+        
+        const energies = audioData.slice(0, size).map(channel => {
+            let sum = 0;
+            for (let i = 0; i < channel.length; i++) sum += channel[i] * channel[i];
+            return sum;
+        });
+        if (!(energies[0] > 0)) return null;
+        
+        const fits = SHACDecoder.CONVENTIONS
+            .concat(SHACDecoder.CONVENTIONS.some(c => c.label === convention.label) ? [] : [convention])
+            .filter(candidate => order <= SHACDecoder.FUMA_MAX_ORDER ||
+                (candidate.ordering !== 'fuma' && candidate.normalization !== 'fuma'))
+            .map(candidate => {
+                const { source, gains } = SHACDecoder.getConversion(candidate, order);
+                const orderEnergy = new Float64Array(order + 1);
+                for (let acn = 0; acn < size; acn++) {
+                    orderEnergy[Math.floor(Math.sqrt(acn))] += energies[source[acn]] * gains[acn] * gains[acn];
+                }
+                const ratios = Array.from(orderEnergy.subarray(1), energy => energy / orderEnergy[0]);
+                const deviation = ratios.reduce((sum, ratio) => sum + Math.abs(Math.log(ratio)), 0) / order;
+                const level = ratios.reduce((sum, ratio) => sum + Math.log(ratio), 0) / order;
+                return { label: candidate.label, ratios, deviation, level };
+            });
+        
+        const declared = fits.find(fit => fit.label === convention.label);
+        const best = fits.reduce((a, b) => (b.deviation < a.deviation ? b : a));
+        const suspect = declared.deviation > SHACDecoder.CONVENTION_DEVIATION &&
+            best.deviation < declared.deviation / 2 &&
+            (declared.level > 0 || best.deviation < SHACDecoder.CONVENTION_FIT);
+        
+        return {
+            ratios: declared.ratios,
+            suggestion: suspect ? best.label : null
         };
     }
 
+    /**
+     * One-line warning if layers' channel levels contradict the declared
+     * convention, null if they all fit
+     */
+    getConventionWarning() {
+        const suspects = Array.from(this.conventionChecks.values()).filter(check => check.suggestion);
+        if (!suspects.length) return null;
+        
+        // Name the most common suggestion
+        const counts = new Map();
+        suspects.forEach(check => counts.set(check.suggestion, (counts.get(check.suggestion) || 0) + 1));
+        const suggestion = Array.from(counts.keys()).reduce((a, b) => (counts.get(b) > counts.get(a) ? b : a));
+        
+        return `Declared ${this.header.convention.label}, but ${suspects.length} of ${this.conventionChecks.size} ` +
+            `layers look like ${suggestion}`;
+    }
+
+    /**
+     * Get the decoder worker, creating it on first use
+     */
+    getWorker() {
+        if (this.decoderWorker || this.workerUnavailable) {
+            return this.decoderWorker;
+        }
+        
+        if (typeof Worker === 'undefined') {
+            this.workerUnavailable = true;
+            return null;
+        }
+        
+        try {
+            this.decoderWorker = new Worker(SHACDecoder.WORKER_URL);
+            this.decoderWorker.onmessage = (event) => this.handleWorkerMessage(event);
+            this.decoderWorker.onerror = (event) => {
+                event.preventDefault();
+                console.warn('Decoder worker failed, decoding on main thread:', event.message);
+                this.workerUnavailable = true;
+                
+                const error = new Error('Decoder worker failed');
+                error.workerFailure = true;
+                this.releaseWorker(error);
+            };
+        } catch (error) {
+            console.warn('Decoder worker not available:', error.message);
+            this.workerUnavailable = true;
+        }
+        
+        return this.decoderWorker;
+    }
+
+    /**
+     * Send one layer to the worker and wait for its channels
+     */
+    runWorkerJob(layerInfo, options) {
+        const { renderBinaural = false, binauralFilters = null, headRadius = null, decoderWeighting = null, signal = null, onProgress = null } = options;
+        
+        return new Promise((resolve, reject) => {
+            const jobId = ++this.nextJobId;
+            
+            // Cancelling drops only this job; other layers keep decoding
+            const onAbort = () => this.cancelWorkerJob(jobId);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            
+            this.workerJobs.set(jobId, {
+                layerId: layerInfo.id,
+                resolve,
+                reject,
+                onProgress,
+                cleanup: () => {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                }
+            });
+            
+            this.decoderWorker.postMessage({
+                type: 'decodeLayer',
+                jobId,
+                source: this.source,
+                header: this.header,
+                layerInfo,
+                renderBinaural,
+                binauralFilters,
+                headRadius,
+                decoderWeighting
+            });
+        });
+    }
+
+    /**
+     * Reject one pending job and tell the worker to drop it
+     * 
+     * The worker is only terminated once no other job is waiting on it,
+     * which also stops the cancelled job's work in progress.
+     */
+    cancelWorkerJob(jobId) {
+        const job = this.workerJobs.get(jobId);
+        if (!job) return;
+        
+        this.workerJobs.delete(jobId);
+        job.cleanup();
+        job.reject(SHACDecoder.createAbortError());
+        
+        if (!this.workerJobs.size) {
+            this.releaseWorker();
+        } else if (this.decoderWorker) {
+            this.decoderWorker.postMessage({ type: 'cancel', jobId });
+        }
+    }
+
+    /**
+     * Route worker messages to their pending jobs
+     */
+    handleWorkerMessage(event) {
+        const { type, jobId } = event.data;
+        const job = this.workerJobs.get(jobId);
+        if (!job) return;
+        
+        if (type === 'progress') {
+            if (job.onProgress) job.onProgress(event.data);
+            return;
+        }
+        
+        this.workerJobs.delete(jobId);
+        job.cleanup();
+        
+        if (type === 'layer') {
+            if (event.data.conventionCheck) {
+                this.conventionChecks.set(job.layerId, event.data.conventionCheck);
+            }
+            job.resolve(event.data.channels);
+        } else if (event.data.decodeError) {
+            job.reject(new SHACDecodeError(event.data.message, event.data.decodeError));
+        } else {
+            job.reject(new Error(event.data.message));
+        }
+    }
+
+    /**
+     * Terminate the worker and reject anything still pending
+     */
+    releaseWorker(reason = null) {
+        if (this.decoderWorker) {
+            this.decoderWorker.terminate();
+            this.decoderWorker = null;
+        }
+        
+        for (const job of this.workerJobs.values()) {
+            job.cleanup();
+            job.reject(reason || new Error('Decoder worker released'));
+        }
+        this.workerJobs.clear();
+    }
+
     /**
      * Optimized audio data reading with proper memory layout
+     * 
+     * bitDepth is the header's field (see parseSampleFormat). 16-bit and
+     * 32-bit float, the depths the Python encoder writes, read through
+     * typed arrays; the others sample by sample.
      */
-    readAudioDataOptimized(offset, numChannels, numSamples, bitDepth) {
+    readAudioDataOptimized(dataView, offset, numChannels, numSamples, bitDepth) {
+        const format = SHACDecoder.parseSampleFormat(bitDepth);
         const audioData = new Array(numChannels);
+        const byteOffset = dataView.byteOffset + offset;
         
         // Pre-allocate typed arrays
         for (let ch = 0; ch < numChannels; ch++) {
             audioData[ch] = new Float32Array(numSamples);
         }
         
-        if (bitDepth === 16) {
+        if (format.float === false && format.bits === 16) {
             // 16-bit integer - need to handle alignment
             const totalSamples = numChannels * numSamples;
             
             // Check if offset is aligned to 2-byte boundary
-            if (offset % 2 !== 0) {
+            if (byteOffset % 2 !== 0) {
                 // Read byte by byte for unaligned data
                 for (let ch = 0; ch < numChannels; ch++) {
                     for (let s = 0; s < numSamples; s++) {
                         const idx = (ch * numSamples + s) * 2;
-                        const low = this.fileData.getUint8(offset + idx);
-                        const high = this.fileData.getInt8(offset + idx + 1);
+                        const low = dataView.getUint8(offset + idx);
+                        const high = dataView.getInt8(offset + idx + 1);
                         const value = (high << 8) | low;
                         audioData[ch][s] = value / 32767.0;
                     }
                 }
             } else {
                 // Aligned - can use Int16Array
-                const int16Data = new Int16Array(this.fileData.buffer, offset, totalSamples);
+                const int16Data = new Int16Array(dataView.buffer, byteOffset, totalSamples);
                 
                 // Deinterleave and convert to float
                 let idx = 0;
@@ -514,23 +1352,23 @@ class SHACDecoder {
                     }
                 }
             }
-        } else {
+        } else if (format.float && format.bits === 32) {
             // 32-bit float - need to handle alignment
             const totalSamples = numChannels * numSamples;
             
             // Check if offset is aligned to 4-byte boundary
-            if (offset % 4 !== 0) {
+            if (byteOffset % 4 !== 0) {
                 // Read using DataView for unaligned data
                 let idx = 0;
                 for (let ch = 0; ch < numChannels; ch++) {
                     for (let s = 0; s < numSamples; s++) {
-                        audioData[ch][s] = this.fileData.getFloat32(offset + idx * 4, true);
+                        audioData[ch][s] = dataView.getFloat32(offset + idx * 4, true);
                         idx++;
                     }
                 }
             } else {
                 // Aligned - can use Float32Array
-                const floatData = new Float32Array(this.fileData.buffer, offset, totalSamples);
+                const floatData = new Float32Array(dataView.buffer, byteOffset, totalSamples);
                 
                 // Deinterleave only
                 let idx = 0;
@@ -540,11 +1378,47 @@ class SHACDecoder {
                     }
                 }
             }
+        } else {
+            // 8, 24 and 32-bit integer, 64-bit float
+            const readSample = SHACDecoder.getSampleReader(dataView, format);
+            let position = offset;
+            for (let ch = 0; ch < numChannels; ch++) {
+                for (let s = 0; s < numSamples; s++) {
+                    audioData[ch][s] = readSample(position);
+                    position += format.bytesPerSample;
+                }
+            }
         }
         
         return audioData;
     }
 
+    /**
+     * Function reading one sample, scaled to -1..1, at a byte position
+     */
+    static getSampleReader(dataView, format) {
+        const { bits, float, fullScale } = format;
+        if (float) {
+            return bits === 64
+                ? (position) => dataView.getFloat64(position, true)
+                : (position) => dataView.getFloat32(position, true);
+        }
+        
+        switch (bits) {
+            case 8:
+                return (position) => dataView.getInt8(position) / fullScale;
+            case 16:
+                return (position) => dataView.getInt16(position, true) / fullScale;
+            case 24:
+                // Packed little-endian, the sign comes with the top byte
+                return (position) => (dataView.getUint8(position) |
+                    (dataView.getUint8(position + 1) << 8) |
+                    (dataView.getInt8(position + 2) << 16)) / fullScale;
+            default:
+                return (position) => dataView.getInt32(position, true) / fullScale;
+        }
+    }
+
     /**
      * Apply rotation to ambisonic channels using cached matrices
      */
@@ -560,20 +1434,231 @@ class SHACDecoder {
             rotatedData[ch] = new Float32Array(numSamples);
         }
         
-        // Apply rotation matrix
-        for (let s = 0; s < numSamples; s++) {
-            for (let i = 0; i < audioData.length; i++) {
-                let sum = 0;
-                for (let j = 0; j < audioData.length; j++) {
-                    sum += rotMatrix[i * audioData.length + j] * audioData[j][s];
+        // Apply rotation matrix - bands never mix, so only multiply
+        // within each (2l+1)-wide diagonal block
+        const size = audioData.length;
+        for (let l = 0; l <= order; l++) {
+            const start = l * l;
+            const end = (l + 1) * (l + 1);
+            for (let i = start; i < end; i++) {
+                const out = rotatedData[i];
+                for (let j = start; j < end; j++) {
+                    const coeff = rotMatrix[i * size + j];
+                    if (coeff === 0) continue;
+                    const input = audioData[j];
+                    for (let s = 0; s < numSamples; s++) {
+                        out[s] += coeff * input[s];
+                    }
                 }
-                rotatedData[i][s] = sum;
             }
         }
         
         return rotatedData;
     }
 
+    /**
+     * Channel convention from the header's normalization field: the low
+     * byte is the normalization (0 SN3D, 1 N3D, 2 FuMa/maxN), the high byte
+     * the channel order (0 ACN, 1 FuMa). Zero is AmbiX, ACN/SN3D.
+     * @returns {{ordering: string, normalization: string, label: string}}
+     */
+    static parseConvention(value, order) {
+        const normalization = SHACDecoder.NORMALIZATIONS[value & 0xFF];
+        const ordering = SHACDecoder.CHANNEL_ORDERINGS[value >> 8];
+        if (!normalization || !ordering) {
+            throw new Error(`Unknown channel convention: 0x${value.toString(16).padStart(4, '0')}`);
+        }
+        if ((ordering === 'fuma' || normalization === 'fuma') && order > SHACDecoder.FUMA_MAX_ORDER) {
+            throw new Error(`FuMa channels are only defined up to order ${SHACDecoder.FUMA_MAX_ORDER}, file is order ${order}`);
+        }
+        
+        const label = ordering === 'fuma' && normalization === 'fuma'
+            ? 'FuMa'
+            : `${ordering === 'fuma' ? 'FuMa' : 'ACN'}/${normalization === 'fuma' ? 'FuMa' : normalization.toUpperCase()}`;
+        return { ordering, normalization, label };
+    }
+
+    /**
+     * Where each ACN channel comes from in a file of some convention, and
+     * the gain that takes it to SN3D
+     * @returns {{source: number[], gains: number[]}} Indexed by ACN channel
+     */
+    static getConversion(convention, order) {
+        const size = (order + 1) * (order + 1);
+        const source = [];
+        const gains = [];
+        
+        for (let acn = 0; acn < size; acn++) {
+            const l = Math.floor(Math.sqrt(acn));
+            source.push(convention.ordering === 'fuma' ? SHACDecoder.FUMA_CHANNELS.indexOf(acn) : acn);
+            if (convention.normalization === 'n3d') {
+                gains.push(1 / Math.sqrt(2 * l + 1));
+            } else if (convention.normalization === 'fuma') {
+                gains.push(SHACDecoder.FUMA_TO_SN3D[acn]);
+            } else {
+                gains.push(1);
+            }
+        }
+        return { source, gains };
+    }
+
+    /**
+     * Reorder and rescale a layer's channels to ACN/SN3D, in place
+     * (channels past the file's order are left alone)
+     * @returns {Float32Array[]} The same array
+     */
+    static toInternalConvention(audioData, convention) {
+        if (convention.ordering === 'acn' && convention.normalization === 'sn3d') {
+            return audioData;
+        }
+        
+        const order = Math.floor(Math.sqrt(audioData.length)) - 1;
+        const { source, gains } = SHACDecoder.getConversion(convention, order);
+        const original = audioData.slice();
+        
+        for (let acn = 0; acn < source.length; acn++) {
+            const channel = original[source[acn]];
+            if (gains[acn] !== 1) {
+                for (let i = 0; i < channel.length; i++) channel[i] *= gains[acn];
+            }
+            audioData[acn] = channel;
+        }
+        return audioData;
+    }
+
+    /**
+     * Sample format from the header's bit_depth field: the low 16 bits are
+     * the bits per sample, the high 16 bits the sample type (0 the usual
+     * type for that depth, 1 integer, 2 float). 8, 16 and 24 are integer
+     * and 32 and 64 float by default, so 32-bit integer is 0x10020.
+     * Integers are signed and scaled by their positive full scale, so
+     * 32767 is 1.0 in a 16-bit file.
+     * @returns {{bits: number, float: boolean, bytesPerSample: number,
+     *   fullScale: number, label: string}}
+     */
+    static parseSampleFormat(value) {
+        const bits = value & 0xFFFF;
+        const type = value >>> 16;
+        const float = type === 2 || (type === 0 && bits >= 32);
+        const supported = float ? SHACDecoder.FLOAT_BIT_DEPTHS : SHACDecoder.INTEGER_BIT_DEPTHS;
+        
+        if (type > 2 || !supported.includes(bits)) {
+            const description = type > 2 ? `bit depth field 0x${value.toString(16)}` : `${bits}-bit ${float ? 'float' : 'integer'} PCM`;
+            const list = (depths) => `${depths.slice(0, -1).join(', ')} or ${depths[depths.length - 1]}`;
+            throw new Error(`Unsupported ${description} (supported: ${list(SHACDecoder.INTEGER_BIT_DEPTHS)}-bit integer, ` +
+                `${list(SHACDecoder.FLOAT_BIT_DEPTHS)}-bit float)`);
+        }
+        
+        return {
+            bits,
+            float,
+            bytesPerSample: bits / 8,
+            fullScale: float ? 1 : Math.pow(2, bits - 1) - 1,
+            label: `${bits}-bit ${float ? 'float' : 'integer'}`
+        };
+    }
+
+    /**
+     * The bit_depth field for a sample format - the plain bit count where
+     * that means the right type (the inverse of parseSampleFormat)
+     */
+    static getBitDepthField(bits, float) {
+        const usual = bits >= 32;
+        return float === usual ? bits : ((float ? 2 : 1) << 16) | bits;
+    }
+
+    /**
+     * A layer's stored chunks: its chunk table, or the whole payload as one
+     * @returns {Array<{offset: number, size: number, start: number, length: number}>}
+     */
+    static getChunks(layerInfo) {
+        return layerInfo.chunks || [{
+            offset: layerInfo.dataOffset,
+            size: layerInfo.dataSize,
+            start: 0,
+            length: layerInfo.numSamples
+        }];
+    }
+
+    /**
+     * How a layer's audio is stored, from the compression keys of its
+     * metadata
+     * 
+     *   compression     - 'zlib' or 'deflate' (raw, no zlib wrapper)
+     *   compressed_size - Bytes stored in the file for this layer (not
+     *                     needed when a chunk table gives the sizes)
+     *   predictor       - Optional 'delta': every sample was stored as its
+     *                     difference from the one before in its channel, as
+     *                     wrapping integers (floats by their bit patterns),
+     *                     which deflate squeezes much better than raw audio
+     * @returns {Object|null} { method, predictor, size }, or null when the
+     *   layer is plain PCM
+     */
+    static parseCompression(metadata, layerId, chunked = false) {
+        const { compression, compressed_size: size, predictor = null } = metadata || {};
+        if (compression === undefined || compression === null || compression === 'none') {
+            return null;
+        }
+        
+        if (!SHACDecoder.COMPRESSION_METHODS.includes(compression)) {
+            throw new Error(`Layer ${layerId}: unsupported compression ${JSON.stringify(compression)}`);
+        }
+        if (predictor !== null && !SHACDecoder.PREDICTORS.includes(predictor)) {
+            throw new Error(`Layer ${layerId}: unsupported predictor ${JSON.stringify(predictor)}`);
+        }
+        if (chunked) {
+            return { method: compression, predictor, size: null };
+        }
+        if (!Number.isInteger(size) || size <= 0) {
+            throw new Error(`Layer ${layerId}: compressed layers need a compressed_size in bytes`);
+        }
+        return { method: compression, predictor, size };
+    }
+
+    /**
+     * Turn delta-coded planar samples back into samples, in place
+     * (the inverse of SHACEncoder.applyDelta)
+     * @param {Uint8Array} pcm - Planar little-endian samples
+     * @param {number} bytesPerSample - 1, 2, 3, 4 or 8
+     * @param {number} numSamples - Samples per channel
+     */
+    static undoDelta(pcm, bytesPerSample, numSamples) {
+        const total = pcm.byteLength / bytesPerSample;
+        
+        if (bytesPerSample === 3) {
+            // No 24-bit typed array: add up whole samples, wrapping at 2^24
+            for (let start = 0; start < total; start += numSamples) {
+                let previous = 0;
+                for (let i = start; i < start + numSamples; i++) {
+                    const p = i * 3;
+                    const value = ((pcm[p] | (pcm[p + 1] << 8) | (pcm[p + 2] << 16)) + previous) & 0xFFFFFF;
+                    pcm[p] = value & 0xFF;
+                    pcm[p + 1] = (value >> 8) & 0xFF;
+                    pcm[p + 2] = value >> 16;
+                    previous = value;
+                }
+            }
+            return;
+        }
+        
+        // Unsigned typed arrays wrap, matching the encoder's subtraction
+        const samples = SHACDecoder.getSampleWords(pcm, bytesPerSample);
+        for (let start = 0; start < total; start += numSamples) {
+            for (let i = start + 1; i < start + numSamples; i++) {
+                samples[i] += samples[i - 1];
+            }
+        }
+    }
+
+    /**
+     * Planar PCM viewed as unsigned integers of the sample width (1, 2, 4
+     * or 8 bytes), for the delta predictor
+     */
+    static getSampleWords(pcm, bytesPerSample) {
+        const SampleArray = { 1: Uint8Array, 2: Uint16Array, 4: Uint32Array, 8: BigUint64Array }[bytesPerSample];
+        return new SampleArray(pcm.buffer, pcm.byteOffset, pcm.byteLength / bytesPerSample);
+    }
+
     /**
      * Helper to compare arrays
      */
@@ -585,6 +1670,81 @@ class SHACDecoder {
         return true;
     }
 
+    /**
+     * Index of the nearest of `steps` equal steps round the circle, in
+     * [0, steps) - cache keys for angles that may have wrapped
+     */
+    static quantizeAngle(angle, steps) {
+        const index = Math.round((angle / (2 * Math.PI)) * steps) % steps;
+        return index < 0 ? index + steps : index;
+    }
+
+    /**
+     * Error used when a decode is cancelled
+     */
+    static createAbortError() {
+        return new DOMException('Decoding cancelled', 'AbortError');
+    }
+
+    /**
+     * Describe a file from its headers alone - no PCM is read, so even
+     * multi-GB files answer at once. An ArrayBuffer is read where it is,
+     * not copied into a Blob first.
+     * @param {Blob|ArrayBuffer} source
+     * @returns {Promise<Object>} { header, layerIndex, layers, recovery,
+     *   fileMetadata, fileSize }, layers being [{ id, metadata, position,
+     *   numSamples, sampleRate, startTime, duration, compression,
+     *   metadataWarning }] in file order, recovery as in decode() and
+     *   fileMetadata as from readFileMetadata()
+     * @throws {SHACDecodeError}
+     */
+    static async probe(source) {
+        const decoder = new SHACDecoder();
+        decoder.source = source instanceof Blob ? source : SHACDecoder.createBufferSlicer(source);
+        
+        try {
+            await decoder.readHeader();
+            await decoder.buildLayerIndex();
+        } catch (error) {
+            if (error instanceof SHACDecodeError) throw error;
+            throw new SHACDecodeError(error.message);
+        }
+        
+        return {
+            header: decoder.header,
+            layerIndex: decoder.layerIndex,
+            recovery: decoder.recovery,
+            fileMetadata: decoder.fileMetadata,
+            layers: decoder.layerIndex.map(layerInfo => ({
+                id: layerInfo.id,
+                metadata: layerInfo.metadata,
+                position: layerInfo.metadata.position || [0, 0, 0],
+                numSamples: layerInfo.numSamples,
+                sampleRate: layerInfo.sampleRate,
+                startTime: layerInfo.startTime,
+                duration: layerInfo.numSamples / layerInfo.sampleRate,
+                compression: layerInfo.compression,
+                metadataWarning: layerInfo.metadataWarning
+            })),
+            fileSize: decoder.source.size
+        };
+    }
+
+    /**
+     * Blob stand-in over an ArrayBuffer (or a view of one): slice() copies
+     * just the range asked for into a Blob of its own
+     * @returns {{size: number, slice: Function}}
+     */
+    static createBufferSlicer(source) {
+        const bytes = ArrayBuffer.isView(source)
+            ? new Uint8Array(source.buffer, source.byteOffset, source.byteLength)
+            : new Uint8Array(source);
+        return {
+            size: bytes.byteLength,
+            slice: (start, end, type = '') => new Blob([bytes.subarray(start, end)], { type })
+        };
+    }
+
     /**
      * Static method to load from URL with optimizations
      */
@@ -601,16 +1761,12 @@ class SHACDecoder {
             const fileSizeMB = contentLength ? parseInt(contentLength) / 1024 / 1024 : 0;
             console.log(`SHAC file size: ${fileSizeMB.toFixed(2)} MB`);
             
-            // Check size limits
-            if (fileSizeMB > 2048) {
-                throw new Error(`File too large (${(fileSizeMB / 1024).toFixed(1)}GB). Maximum supported size is 2GB.`);
-            }
-            
-            const arrayBuffer = await response.arrayBuffer();
-            console.log(`Downloaded ${arrayBuffer.byteLength} bytes`);
+            // Blob storage lets the browser page large downloads to disk
+            const blob = await response.blob();
+            console.log(`Downloaded ${blob.size} bytes`);
             
             const decoder = new SHACOptimizedDecoder();
-            return await decoder.decode(arrayBuffer);
+            return await decoder.decode(blob);
         } catch (error) {
             console.error('Error loading SHAC file:', error);
             throw new Error(`Failed to load SHAC file: ${error.message}`);
@@ -621,14 +1777,70 @@ class SHACDecoder {
      * Static method to load from File object
      */
     static async loadFromFile(file) {
-        const arrayBuffer = await file.arrayBuffer();
         const decoder = new SHACOptimizedDecoder();
-        return await decoder.decode(arrayBuffer);
+        return await decoder.decode(file);
     }
 }
 
+// Worker script location, relative to the page
+SHACDecoder.WORKER_URL = './js/decoder-worker.js';
+
+SHACDecoder.MAX_ORDER = 7;
+
+// Cache budgets (bytes) and angle quantization (steps per turn)
+SHACDecoder.ROTATION_CACHE_BYTES = 4 * 1024 * 1024;
+SHACDecoder.SH_CACHE_BYTES = 1024 * 1024;
+SHACDecoder.ROTATION_ANGLE_STEPS = 3600;
+SHACDecoder.SH_ANGLE_STEPS = 6284;
+
+// Format versions read (see buildLayerIndex for version 2's layer header)
+SHACDecoder.VERSIONS = [1, 2];
+SHACDecoder.HEADER_SIZE = 26;
+SHACDecoder.LAYER_HEADER_SIZE_V2 = 22;
+
+// Most bytes of chunks read at once on the current thread (see readChunks)
+SHACDecoder.READ_RUN_BYTES = 4 * 1024 * 1024;
+
+// File metadata block after the last layer (see readFileMetadata)
+SHACDecoder.FILE_METADATA_MAGIC = 'SHMD';
+SHACDecoder.FILE_METADATA_HEADER_SIZE = 12;
+
+// Header channel conventions (see parseConvention)
+SHACDecoder.NORMALIZATIONS = ['sn3d', 'n3d', 'fuma'];
+SHACDecoder.CHANNEL_ORDERINGS = ['acn', 'fuma'];
+SHACDecoder.FUMA_MAX_ORDER = 3;
+
+// Sample formats (see parseSampleFormat)
+SHACDecoder.INTEGER_BIT_DEPTHS = [8, 16, 24, 32];
+SHACDecoder.FLOAT_BIT_DEPTHS = [32, 64];
+
+// Layer payload storage (see parseCompression)
+SHACDecoder.COMPRESSION_METHODS = ['zlib', 'deflate'];
+SHACDecoder.PREDICTORS = ['delta'];
+
+// ACN channel of each FuMa channel, W X Y Z R S T U V K L M N O P Q
+SHACDecoder.FUMA_CHANNELS = [0, 3, 1, 2, 6, 7, 5, 8, 4, 12, 13, 11, 14, 10, 15, 9];
+
+// FuMa to SN3D gain per ACN channel: W carries a -3 dB factor, the other
+// channels are scaled to peak at 1 (maxN)
+SHACDecoder.FUMA_TO_SN3D = [
+    Math.SQRT2,
+    1, 1, 1,
+    Math.sqrt(3) / 2, Math.sqrt(3) / 2, 1, Math.sqrt(3) / 2, Math.sqrt(3) / 2,
+    Math.sqrt(5 / 8), Math.sqrt(5) / 3, Math.sqrt(32 / 45), 1, Math.sqrt(32 / 45), Math.sqrt(5) / 3, Math.sqrt(5 / 8)
+];
+
+// Conventions a layer's channel levels are tested against
+SHACDecoder.CONVENTIONS = [0x0000, 0x0001, 0x0102].map(value => SHACDecoder.parseConvention(value, 0));
+
+// Mean |ln(order energy / W energy)| above which a declared convention is
+// suspect (about a factor of 1.65), and below which another one fits
+SHACDecoder.CONVENTION_DEVIATION = 0.5;
+SHACDecoder.CONVENTION_FIT = 0.2;
+
 // Export as the standard decoder
 window.SHACDecoder = SHACDecoder;
+window.SHACDecodeError = SHACDecodeError;
 
 // For backward compatibility with old names
 window.PythonSHACDecoder = SHACDecoder;
@@ -0,0 +1,110 @@
+/**
+ * SHAC Decoder Tests - run with `node --test`
+ *
+ * Loads the browser modules into Node's global scope, the way index.html
+ * loads them into the page, and checks the decoder on files from
+ * SHACEncoder, and that its rotation matrices hold up at every order it
+ * supports (see SHACDecoder.verifyRotationMatrix()).
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// The modules export through window
+globalThis.window = globalThis;
+for (const file of ['pako.min.js', 'lru-cache.js', 'python-literal.js', 'shac-decoder.js', 'shac-encoder.js']) {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), { filename: file });
+}
+
+/**
+ * A two-layer first-order file of silence, a second long
+ */
+async function makeFile(options = {}) {
+    const encoder = new SHACEncoder({ order: 1, sampleRate: 48000, ...options });
+    encoder.addLayer('rain', [0, 1, 2, 3].map(() => new Float32Array(48000)), { position: [1, 0, 2] });
+    encoder.addLayer('birds', [0, 1, 2, 3].map(() => new Float32Array(48000)), { position: [-3, 1, 0] });
+    return await encoder.encode().arrayBuffer();
+}
+
+test('probe reads an ArrayBuffer in place', async () => {
+    const file = await makeFile();
+
+    // Record every Blob the decoder makes
+    const OriginalBlob = globalThis.Blob;
+    const sizes = [];
+    globalThis.Blob = class extends OriginalBlob {
+        constructor(parts, options) {
+            super(parts, options);
+            sizes.push(this.size);
+        }
+    };
+    let probe;
+    try {
+        probe = await SHACDecoder.probe(file);
+    } finally {
+        globalThis.Blob = OriginalBlob;
+    }
+
+    assert.deepStrictEqual(probe.layers.map(layer => [layer.id, layer.numSamples]), [['rain', 48000], ['birds', 48000]]);
+    assert.strictEqual(probe.fileSize, file.byteLength);
+    assert.ok(sizes.length > 0 && Math.max(...sizes) < 1024, `Blobs of ${sizes.join(', ')} bytes`);
+});
+
+test('readLayerAudio without a worker stops at the next read once cancelled', async () => {
+    const file = await makeFile({ version: 2, chunkSamples: 4800 });
+    const decoder = new SHACDecoder();
+    await decoder.decode(file);
+    assert.strictEqual(decoder.getWorker(), null);
+
+    // A run of one chunk per read, cancelled during the first
+    const runBytes = SHACDecoder.READ_RUN_BYTES;
+    SHACDecoder.READ_RUN_BYTES = 1;
+    const controller = new AbortController();
+    const readBytes = decoder.readBytes.bind(decoder);
+    let reads = 0;
+    decoder.readBytes = (...args) => {
+        reads++;
+        controller.abort();
+        return readBytes(...args);
+    };
+    try {
+        await assert.rejects(decoder.readLayerAudio('rain', { signal: controller.signal }), { name: 'AbortError' });
+    } finally {
+        SHACDecoder.READ_RUN_BYTES = runBytes;
+    }
+    assert.strictEqual(reads, 1);
+});
+
+test('readHeader rejects a channel count that does not match the order', async () => {
+    // Order 1 with 3 channels, then nothing: the header is checked first
+    const header = '53484143' + '0100' + '0100' + '0300' + '80bb0000' + '10000000' + '02000000' + '0100' + '0000';
+    await assert.rejects(new SHACDecoder().decode(Buffer.from(header, 'hex')), {
+        name: 'SHACDecodeError',
+        code: 'CHANNEL_COUNT',
+        offset: 8,
+        message: 'Invalid header: 3 channels, order 1 has 4',
+        hint: SHACDecodeError.HINTS.CHANNEL_COUNT
+    });
+});
+
+// Yaw, pitch, roll in radians, including the gimbal-lock pitch
+const ROTATIONS = [
+    [0, 0, 0],
+    [Math.PI / 2, 0, 0],
+    [0.7, -0.4, 1.3],
+    [-2.9, Math.PI / 2, 0.25],
+    [Math.PI, -1.1, -Math.PI]
+];
+
+for (let order = 1; order <= 7; order++) {
+    test(`rotation matrix: order ${order}`, () => {
+        const decoder = new SHACDecoder();
+        for (const [yaw, pitch, roll] of ROTATIONS) {
+            const result = decoder.verifyRotationMatrix(order, yaw, pitch, roll, 1e-6);
+            assert.ok(result.valid, `yaw ${yaw}, pitch ${pitch}, roll ${roll}: ${JSON.stringify(result)}`);
+        }
+    });
+}
@@ -0,0 +1,543 @@
+/**
+ * SHAC Encoder - Write scenes back to .shac files
+ *
+ * Produces exactly the layout SHACDecoder reads: the 26-byte header, then
+ * per layer a layer header (6 bytes in version 1, 22 in version 2; see
+ * SHACDecoder.buildLayerIndex), the UTF-8 layer ID, its JSON metadata and
+ * its PCM, one channel after another, little-endian. Version 2 files give
+ * every layer its own length, start time and sample rate, and can split
+ * the audio into chunks for random access. Channels are written in ACN
+ * order with SN3D normalization
+ * (the decoder's internal convention), so whatever a file declared, a
+ * decoded scene saves back as ACN/SN3D.
+ *
+ * With compression set, each layer's PCM is deflated through pako and the
+ * metadata gains the compression keys SHACDecoder.parseCompression() reads.
+ * File metadata (title, artist, artwork, chapters...) goes in a block after
+ * the last layer (see SHACDecoder.readFileMetadata).
+ *
+ * Usage:
+ *   const encoder = new SHACEncoder({ order: 3, sampleRate: 48000 });
+ *   encoder.addLayer('strings', channels, { position: [0, 0, 2] });
+ *   const blob = encoder.encode();
+ */
+
+class SHACEncoder {
+    /**
+     * @param {Object} options
+     * @param {number} options.order - Ambisonic order of the layers
+     * @param {number} options.sampleRate - Hz
+     * @param {number} [options.bitDepth=32] - Bits per sample: 8, 16, 24 or
+     *   32 integer, 32 or 64 float
+     * @param {boolean} [options.float] - Float samples, by default for 32
+     *   and 64 bits
+     * @param {string} [options.compression=null] - 'zlib' or 'deflate'
+     * @param {string} [options.predictor=null] - 'delta', with compression
+     * @param {number} [options.version=1] - Format version, 1 or 2
+     * @param {number} [options.chunkSamples=0] - Version 2: samples per
+     *   chunk, 0 to store each layer in one piece
+     * @param {Object} [options.fileMetadata=null] - title, artist, album,
+     *   year, description, chapters ([{ time, title }]), credits
+     *   ([{ role, name }]) and artwork (an image Blob), as
+     *   SHACDecoder.readFileMetadata() returns them
+     */
+    constructor({ order, sampleRate, bitDepth = 32, float = bitDepth >= 32, compression = null, predictor = null,
+        version = 1, chunkSamples = 0, fileMetadata = null }) {
+        if (!Number.isInteger(order) || order < 0) {
+            throw new Error(`Invalid ambisonic order: ${order}`);
+        }
+        if (!Number.isInteger(sampleRate) || sampleRate <= 0) {
+            throw new Error(`Invalid sample rate: ${sampleRate}`);
+        }
+        if (!Number.isInteger(bitDepth) || bitDepth <= 0 || bitDepth > 0xFFFF) {
+            throw new Error(`Invalid bit depth: ${bitDepth}`);
+        }
+        if (compression !== null && !SHACDecoder.COMPRESSION_METHODS.includes(compression)) {
+            throw new Error(`Unsupported compression: ${compression} (use ${SHACDecoder.COMPRESSION_METHODS.join(' or ')})`);
+        }
+        if (predictor !== null && (!compression || !SHACDecoder.PREDICTORS.includes(predictor))) {
+            throw new Error(compression ? `Unsupported predictor: ${predictor}` : 'A predictor needs compression');
+        }
+        if (!SHACDecoder.VERSIONS.includes(version)) {
+            throw new Error(`Unsupported SHAC version: ${version}`);
+        }
+        if (!Number.isInteger(chunkSamples) || chunkSamples < 0) {
+            throw new Error(`Invalid chunk length: ${chunkSamples}`);
+        }
+        if (chunkSamples && version < 2) {
+            throw new Error('Chunk tables need format version 2');
+        }
+        if (fileMetadata && fileMetadata.artwork && !(fileMetadata.artwork instanceof Blob)) {
+            throw new Error('Artwork must be a Blob');
+        }
+
+        this.order = order;
+        this.sampleRate = sampleRate;
+        this.bitDepth = bitDepth;
+        this.bitDepthField = SHACDecoder.getBitDepthField(bitDepth, float);
+        this.sampleFormat = SHACDecoder.parseSampleFormat(this.bitDepthField);  // throws for unsupported formats
+        this.compression = compression;
+        this.predictor = predictor;
+        this.version = version;
+        this.chunkSamples = chunkSamples;
+        this.fileMetadata = fileMetadata;
+        this.layers = [];  // { id, metadata, audioData, startTime, sampleRate }
+    }
+
+    /**
+     * Add a layer. Every layer has (order + 1)² channels; in version 1 also
+     * the same length, start (0) and sample rate (the file's).
+     * @param {string} id - Unique layer ID, at most 65535 bytes as UTF-8
+     * @param {Float32Array[]} audioData - One array per channel, -1..1
+     * @param {Object} [metadata={}] - Stored as JSON, so numbers must be
+     *   finite (JSON would turn inf and nan into null)
+     * @param {Object} [options] - startTime (seconds into the scene) and
+     *   sampleRate (defaults to the file's)
+     */
+    addLayer(id, audioData, metadata = {}, { startTime = 0, sampleRate = this.sampleRate } = {}) {
+        if (typeof id !== 'string' || id.length === 0) {
+            throw new Error('Layer ID must be a non-empty string');
+        }
+        if (this.layers.some(layer => layer.id === id)) {
+            throw new Error(`Duplicate layer ID: ${id}`);
+        }
+        // The layer header stores the ID's length in 16 bits
+        const idBytes = new TextEncoder().encode(id).length;
+        if (idBytes > SHACEncoder.MAX_ID_BYTES) {
+            throw new Error(`Layer ID is ${idBytes} bytes as UTF-8, at most ${SHACEncoder.MAX_ID_BYTES} fit`);
+        }
+        if (!Array.isArray(audioData) || audioData.length === 0) {
+            throw new Error(`Layer ${id}: no audio channels`);
+        }
+
+        const first = this.layers[0];
+        const numChannels = (this.order + 1) * (this.order + 1);
+        const numSamples = first && this.version === 1 ? first.audioData[0].length : audioData[0].length;
+        if (audioData.length !== numChannels) {
+            throw new Error(`Layer ${id}: has ${audioData.length} channels, order ${this.order} needs ${numChannels}`);
+        }
+        if (audioData.some(channel => channel.length !== numSamples)) {
+            throw new Error(`Layer ${id}: every channel must be ${numSamples} samples long`);
+        }
+        if (typeof startTime !== 'number' || !isFinite(startTime) || startTime < 0) {
+            throw new Error(`Layer ${id}: invalid start time ${startTime}`);
+        }
+        if (!Number.isInteger(sampleRate) || sampleRate <= 0) {
+            throw new Error(`Layer ${id}: invalid sample rate ${sampleRate}`);
+        }
+        if (this.version === 1 && (startTime !== 0 || sampleRate !== this.sampleRate)) {
+            throw new Error(`Layer ${id}: per-layer start times and sample rates need format version 2`);
+        }
+        const nonFinite = SHACEncoder.findNonFinite(metadata);
+        if (nonFinite) {
+            throw new Error(`Layer ${id}: metadata ${nonFinite.path} is ${nonFinite.value}, which JSON cannot store`);
+        }
+
+        this.layers.push({ id, metadata, audioData, startTime, sampleRate });
+    }
+
+    /**
+     * Length of the scene in samples at the file's rate: the common layer
+     * length in version 1, the end of the last layer in version 2
+     */
+    getSceneLength() {
+        if (this.version === 1) {
+            return this.layers[0].audioData[0].length;
+        }
+        return this.layers.reduce((length, layer) => Math.max(length,
+            this.getStartOffset(layer) + Math.ceil(layer.audioData[0].length * this.sampleRate / layer.sampleRate)), 0);
+    }
+
+    /**
+     * A layer's start_offset field: its start time in samples at the file's rate
+     */
+    getStartOffset(layer) {
+        return Math.round(layer.startTime * this.sampleRate);
+    }
+
+    /**
+     * Serialize the header and every layer
+     * @returns {Blob}
+     */
+    encode() {
+        if (!this.layers.length) {
+            throw new Error('Nothing to encode: add at least one layer');
+        }
+
+        const numChannels = this.layers[0].audioData.length;
+        const textEncoder = new TextEncoder();
+
+        // Header - same field order as SHACDecoder.readHeader()
+        const header = new DataView(new ArrayBuffer(SHACDecoder.HEADER_SIZE));
+        'SHAC'.split('').forEach((char, i) => header.setUint8(i, char.charCodeAt(0)));
+        header.setUint16(4, this.version, true);
+        header.setUint16(6, this.order, true);
+        header.setUint16(8, numChannels, true);
+        header.setUint32(10, this.sampleRate, true);
+        header.setUint32(14, this.bitDepthField, true);
+        header.setUint32(18, this.getSceneLength(), true);
+        header.setUint16(22, this.layers.length, true);
+        header.setUint16(24, 0, true);  // ACN/SN3D
+
+        // Blob parts rather than one buffer, so large scenes aren't copied twice
+        const parts = [header.buffer];
+        for (const layer of this.layers) {
+            const { payload, metadata: layerMetadata } = this.encodePayload(layer);
+            const id = textEncoder.encode(layer.id);
+            const metadata = textEncoder.encode(JSON.stringify(layerMetadata));
+
+            const v2 = this.version === 2;
+            const layerHeader = new DataView(new ArrayBuffer(v2 ? SHACDecoder.LAYER_HEADER_SIZE_V2 : 6));
+            layerHeader.setUint16(0, id.length, true);
+            layerHeader.setUint32(2, metadata.length, true);
+            if (v2) {
+                layerHeader.setUint32(6, layer.audioData[0].length, true);
+                layerHeader.setUint32(10, layer.sampleRate === this.sampleRate ? 0 : layer.sampleRate, true);
+                layerHeader.setUint32(14, this.getStartOffset(layer), true);
+                layerHeader.setUint32(18, this.chunkSamples, true);
+            }
+
+            parts.push(layerHeader.buffer, id, metadata, ...payload);
+        }
+        if (this.fileMetadata) {
+            parts.push(...this.encodeFileMetadata());
+        }
+
+        return new Blob(parts, { type: 'application/octet-stream' });
+    }
+
+    /**
+     * The file metadata block (Blob parts): magic, JSON length, artwork
+     * size, JSON, artwork. Empty fields are left out of the JSON.
+     */
+    encodeFileMetadata() {
+        const { artwork, chapters, credits } = this.fileMetadata;
+        const fields = {};
+        for (const key of ['title', 'artist', 'album', 'year', 'description']) {
+            const value = this.fileMetadata[key];
+            if (value !== undefined && value !== null && value !== '') fields[key] = value;
+        }
+        if (artwork) fields.artwork_type = artwork.type || this.fileMetadata.artworkType || '';
+        if (chapters && chapters.length) {
+            fields.chapters = chapters.map(({ time, title }) => ({ time, title })).sort((a, b) => a.time - b.time);
+        }
+        if (credits && credits.length) fields.credits = credits.map(({ role, name }) => (role ? { role, name } : { name }));
+
+        const json = new TextEncoder().encode(JSON.stringify(fields));
+        const blockHeader = new DataView(new ArrayBuffer(SHACDecoder.FILE_METADATA_HEADER_SIZE));
+        SHACDecoder.FILE_METADATA_MAGIC.split('').forEach((char, i) => blockHeader.setUint8(i, char.charCodeAt(0)));
+        blockHeader.setUint32(4, json.length, true);
+        blockHeader.setUint32(8, artwork ? artwork.size : 0, true);
+
+        return artwork ? [blockHeader.buffer, json, artwork] : [blockHeader.buffer, json];
+    }
+
+    /**
+     * A layer's stored bytes (Blob parts), and the metadata that describes
+     * them
+     *
+     * Compression keys already in the metadata (say, from the file the
+     * layer was read from) are replaced by this encoder's.
+     */
+    encodePayload(layer) {
+        const metadata = SHACEncoder.withoutStorageKeys(layer.metadata);
+        if (this.compression) {
+            if (typeof pako === 'undefined') {
+                throw new Error('Compressed output needs pako');
+            }
+            metadata.compression = this.compression;
+            if (this.predictor) metadata.predictor = this.predictor;
+        }
+
+        if (!this.chunkSamples) {
+            const block = this.encodeBlock(layer.audioData);
+            if (this.compression) metadata.compressed_size = block.length;
+            return { payload: [block], metadata };
+        }
+
+        // Chunk table, then each chunk encoded on its own
+        const numSamples = layer.audioData[0].length;
+        const count = Math.ceil(numSamples / this.chunkSamples);
+        const table = new DataView(new ArrayBuffer(count * 4));
+        const payload = [table.buffer];
+        for (let c = 0; c < count; c++) {
+            const start = c * this.chunkSamples;
+            const block = this.encodeBlock(layer.audioData.map(channel => channel.subarray(start, start + this.chunkSamples)));
+            table.setUint32(c * 4, block.length, true);
+            payload.push(block);
+        }
+        return { payload, metadata };
+    }
+
+    /**
+     * Planar PCM for some channels, delta-coded and compressed as configured
+     * @returns {Uint8Array}
+     */
+    encodeBlock(audioData) {
+        const pcm = new Uint8Array(this.encodePCM(audioData));
+        if (!this.compression) return pcm;
+
+        if (this.predictor === 'delta') {
+            SHACEncoder.applyDelta(pcm, this.sampleFormat.bytesPerSample, audioData[0].length);
+        }
+        return this.compression === 'deflate' ? pako.deflateRaw(pcm) : pako.deflate(pcm);
+    }
+
+    /**
+     * One layer's channels as planar little-endian PCM
+     */
+    encodePCM(audioData) {
+        const numSamples = audioData[0].length;
+        const { bytesPerSample } = this.sampleFormat;
+        const view = new DataView(new ArrayBuffer(audioData.length * numSamples * bytesPerSample));
+        const writeSample = SHACEncoder.getSampleWriter(view, this.sampleFormat);
+
+        let offset = 0;
+        for (const channel of audioData) {
+            for (let s = 0; s < numSamples; s++) {
+                writeSample(offset, channel[s]);
+                offset += bytesPerSample;
+            }
+        }
+
+        return view.buffer;
+    }
+
+    /**
+     * Function writing one -1..1 sample at a byte position (the inverse of
+     * SHACDecoder.getSampleReader)
+     */
+    static getSampleWriter(view, format) {
+        const { bits, float, fullScale } = format;
+        if (float) {
+            return bits === 64
+                ? (position, sample) => view.setFloat64(position, sample, true)
+                : (position, sample) => view.setFloat32(position, sample, true);
+        }
+
+        // The decoder divides by the full scale, so scale by the same
+        const quantize = (sample) => Math.round(Math.max(-1, Math.min(1, sample)) * fullScale);
+        switch (bits) {
+            case 8:
+                return (position, sample) => view.setInt8(position, quantize(sample));
+            case 16:
+                return (position, sample) => view.setInt16(position, quantize(sample), true);
+            case 24:
+                return (position, sample) => {
+                    const value = quantize(sample);
+                    view.setUint8(position, value & 0xFF);
+                    view.setUint8(position + 1, (value >> 8) & 0xFF);
+                    view.setUint8(position + 2, (value >> 16) & 0xFF);
+                };
+            default:
+                return (position, sample) => view.setInt32(position, quantize(sample), true);
+        }
+    }
+
+    /**
+     * Replace each sample of planar PCM by its difference from the one
+     * before in its channel, in place, as wrapping integers (float32 by
+     * their bit patterns) so the round trip is lossless
+     * @param {Uint8Array} pcm - Planar little-endian samples
+     * @param {number} bytesPerSample - 1, 2, 3, 4 or 8
+     * @param {number} numSamples - Samples per channel
+     */
+    static applyDelta(pcm, bytesPerSample, numSamples) {
+        const total = pcm.byteLength / bytesPerSample;
+
+        // Back to front, so each difference uses the original previous sample
+        if (bytesPerSample === 3) {
+            const read = (i) => pcm[i * 3] | (pcm[i * 3 + 1] << 8) | (pcm[i * 3 + 2] << 16);
+            for (let start = 0; start < total; start += numSamples) {
+                for (let i = start + numSamples - 1; i > start; i--) {
+                    const value = (read(i) - read(i - 1)) & 0xFFFFFF;
+                    pcm[i * 3] = value & 0xFF;
+                    pcm[i * 3 + 1] = (value >> 8) & 0xFF;
+                    pcm[i * 3 + 2] = value >> 16;
+                }
+            }
+            return;
+        }
+
+        const samples = SHACDecoder.getSampleWords(pcm, bytesPerSample);
+        for (let start = 0; start < total; start += numSamples) {
+            for (let i = start + numSamples - 1; i > start; i--) {
+                samples[i] -= samples[i - 1];
+            }
+        }
+    }
+
+    /**
+     * First number in some metadata that isn't finite
+     * @returns {{path: string, value: number}|null} Where it is, as
+     *   key.key[index], and what it is
+     */
+    static findNonFinite(value, path = '') {
+        if (typeof value === 'number') {
+            return isFinite(value) ? null : { path, value };
+        }
+        if (value === null || typeof value !== 'object') return null;
+
+        for (const [key, item] of Object.entries(value)) {
+            const itemPath = Array.isArray(value) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+            const found = SHACEncoder.findNonFinite(item, itemPath);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Copy of some metadata without the keys that describe how the audio
+     * is stored
+     */
+    static withoutStorageKeys(metadata) {
+        const copy = { ...metadata };
+        SHACEncoder.STORAGE_KEYS.forEach(key => delete copy[key]);
+        return copy;
+    }
+
+    /**
+     * Encoder holding every layer of a decoded file, for saving it again
+     * @param {SHACDecoder} decoder - After decode()
+     * @param {Object} [options] - bitDepth and float, version and
+     *   chunkSamples (default the file's), compression and predictor
+     *   (default uncompressed), metadata: layer ID → metadata to store
+     *   instead of the file's, fileMetadata (default the file's)
+     * @returns {Promise<SHACEncoder>}
+     */
+    static async fromDecoder(decoder, options = {}) {
+        const { header } = decoder;
+        const format = options.bitDepth
+            ? { bits: options.bitDepth, float: options.float !== undefined ? options.float : options.bitDepth >= 32 }
+            : header.sample_format;
+        const version = options.version || header.version;
+        const chunked = decoder.layerIndex.find(layerInfo => layerInfo.chunkSamples);
+        const encoder = new SHACEncoder({
+            order: header.order,
+            sampleRate: header.sample_rate,
+            bitDepth: format.bits,
+            float: format.float,
+            compression: options.compression || null,
+            predictor: options.predictor || null,
+            version,
+            chunkSamples: options.chunkSamples !== undefined ? options.chunkSamples
+                : (version === 2 && chunked ? chunked.chunkSamples : 0),
+            fileMetadata: options.fileMetadata !== undefined ? options.fileMetadata : decoder.fileMetadata
+        });
+
+        const overrides = options.metadata || {};
+        for (const layerInfo of decoder.layerIndex) {
+            const audioData = await decoder.readLayerAudioDirect(layerInfo);
+            encoder.addLayer(layerInfo.id, audioData, overrides[layerInfo.id] || layerInfo.metadata, {
+                startTime: layerInfo.startTime,
+                sampleRate: layerInfo.sampleRate
+            });
+        }
+        return encoder;
+    }
+
+    /**
+     * Encode, decode the result and compare it with the input
+     *
+     * IDs, metadata (apart from the compression keys encode() adds), file
+     * metadata, header fields and layer extents must come back unchanged; float
+     * samples must match exactly (once rounded to float32) and integer
+     * ones to within half a quantization step (after clipping to -1..1).
+     * The middle third of every layer, read on its own through the chunk
+     * table (see SHACDecoder.readLayerRange()), must match the full decode.
+     * @returns {Promise<Object>} { valid, maxError, tolerance, mismatches }
+     */
+    async verifyRoundTrip() {
+        const decoder = new SHACDecoder();
+        const result = await decoder.decode(this.encode());
+        const mismatches = [];
+
+        const { header } = result;
+        const numChannels = this.layers[0].audioData.length;
+        const expected = {
+            version: this.version,
+            order: this.order,
+            n_channels: numChannels,
+            sample_rate: this.sampleRate,
+            bit_depth: this.bitDepthField,
+            n_samples: this.getSceneLength(),
+            n_layers: this.layers.length
+        };
+        for (const [field, value] of Object.entries(expected)) {
+            if (header[field] !== value) {
+                mismatches.push(`header ${field}: wrote ${value}, read ${header[field]}`);
+            }
+        }
+
+        if (this.fileMetadata) {
+            // Text as the decoder returns it, chapters in time order
+            const describe = ({ title, artist, album, year, description, chapters = [], credits = [], artwork }) => JSON.stringify({
+                text: [title, artist, album, year, description].map(value => (value === undefined || value === null || value === '' ? null : String(value))),
+                chapters: chapters.map(({ time, title }) => [time, title]).sort((a, b) => a[0] - b[0]),
+                credits: credits.map(({ role, name }) => [role || null, name]),
+                artwork: artwork ? artwork.size : 0
+            });
+            if (!result.fileMetadata || describe(result.fileMetadata) !== describe(this.fileMetadata)) {
+                mismatches.push('file metadata differs');
+            }
+        }
+
+        // Half a step, plus float32 rounding of the decoded value
+        const { float, fullScale } = this.sampleFormat;
+        const tolerance = float ? 0 : 0.5 / fullScale + Math.pow(2, -24);
+        let maxError = 0;
+
+        for (let i = 0; i < this.layers.length; i++) {
+            const layer = this.layers[i];
+            const layerInfo = decoder.layerIndex[i];
+            if (!layerInfo || layerInfo.id !== layer.id) {
+                mismatches.push(`layer ${i}: wrote ID ${layer.id}, read ${layerInfo ? layerInfo.id : 'nothing'}`);
+                continue;
+            }
+            const metadata = SHACEncoder.withoutStorageKeys(layerInfo.metadata);
+            if (JSON.stringify(metadata) !== JSON.stringify(SHACEncoder.withoutStorageKeys(layer.metadata))) {
+                mismatches.push(`layer ${layer.id}: metadata differs`);
+            }
+            const extent = (numSamples, sampleRate, startOffset) => `${numSamples} samples at ${sampleRate} Hz from ${startOffset}`;
+            const wrote = extent(layer.audioData[0].length, layer.sampleRate, this.getStartOffset(layer));
+            const read = extent(layerInfo.numSamples, layerInfo.sampleRate, Math.round(layerInfo.startTime * this.sampleRate));
+            if (read !== wrote) {
+                mismatches.push(`layer ${layer.id}: wrote ${wrote}, read ${read}`);
+                continue;
+            }
+
+            const audioData = await decoder.readLayerAudioDirect(layerInfo);
+            layer.audioData.forEach((channel, ch) => {
+                for (let s = 0; s < channel.length; s++) {
+                    const written = float
+                        ? Math.fround(channel[s])
+                        : Math.max(-1, Math.min(1, channel[s]));
+                    maxError = Math.max(maxError, Math.abs(audioData[ch][s] - written));
+                }
+            });
+
+            const start = Math.floor(layerInfo.numSamples / 3);
+            const length = Math.floor(layerInfo.numSamples / 3);
+            const range = await decoder.readLayerRange(layer.id, start, length);
+            const sameRange = range.length === audioData.length && range.every((channel, ch) =>
+                channel.length === length && channel.every((sample, s) => sample === audioData[ch][start + s]));
+            if (!sameRange) {
+                mismatches.push(`layer ${layer.id}: samples ${start}-${start + length} read on their own differ from the full decode`);
+            }
+        }
+
+        if (!(maxError <= tolerance)) {
+            mismatches.push(`samples differ by up to ${maxError}`);
+        }
+
+        return { valid: mismatches.length === 0, maxError, tolerance, mismatches };
+    }
+}
+
+// Longest layer ID, in UTF-8 bytes (its length is a uint16)
+SHACEncoder.MAX_ID_BYTES = 0xFFFF;
+// Metadata keys encodePayload() owns
+SHACEncoder.STORAGE_KEYS = ['compression', 'compressed_size', 'predictor'];
+
+// Export for use in other modules
+window.SHACEncoder = SHACEncoder;
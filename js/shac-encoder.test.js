@@ -0,0 +1,187 @@
+/**
+ * SHAC Encoder Tests - run with `node --test`
+ *
+ * Loads the browser modules into Node's global scope, the way index.html
+ * loads them into the page, and checks that decode(encode(x)) gives x
+ * back for every sample format, compression and layout the encoder writes
+ * (see SHACEncoder.verifyRoundTrip()), and that both agree byte for byte
+ * with files written out by hand.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// The modules export through window
+globalThis.window = globalThis;
+for (const file of ['pako.min.js', 'lru-cache.js', 'python-literal.js', 'shac-decoder.js', 'shac-encoder.js']) {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), { filename: file });
+}
+
+const SAMPLE_FORMATS = [
+    { bitDepth: 8, float: false },
+    { bitDepth: 16, float: false },
+    { bitDepth: 24, float: false },
+    { bitDepth: 32, float: false },
+    { bitDepth: 32, float: true },
+    { bitDepth: 64, float: true }
+];
+
+const COMPRESSIONS = [
+    { compression: null, predictor: null },
+    { compression: 'zlib', predictor: null },
+    { compression: 'zlib', predictor: 'delta' },
+    { compression: 'deflate', predictor: null },
+    { compression: 'deflate', predictor: 'delta' }
+];
+
+const LAYOUTS = [
+    { name: 'v1', version: 1, chunkSamples: 0 },
+    { name: 'v2', version: 2, chunkSamples: 0 },
+    { name: 'v2 chunked', version: 2, chunkSamples: 300 }
+];
+
+/**
+ * First-order test signal: tones, full scale and a little beyond (which
+ * integer formats clip)
+ */
+function makeChannels(numSamples, seed) {
+    return [0, 1, 2, 3].map(channel => Float32Array.from({ length: numSamples }, (_, i) => {
+        if (i === 0) return 1;
+        if (i === 1) return -1;
+        if (i === 2) return 1.25;
+        return Math.sin(i * 0.013 * (channel + 1) + seed) * 0.8;
+    }));
+}
+
+function makeEncoder({ bitDepth, float }, { compression, predictor }, { version, chunkSamples }) {
+    const encoder = new SHACEncoder({
+        order: 1,
+        sampleRate: 48000,
+        bitDepth,
+        float,
+        compression,
+        predictor,
+        version,
+        chunkSamples,
+        fileMetadata: {
+            title: 'Round trip',
+            artist: 'Test',
+            chapters: [{ time: 0.01, title: 'Second' }, { time: 0, title: 'First' }],
+            credits: [{ role: 'Mix', name: 'Test' }],
+            artworkType: 'image/png',
+            artwork: new Blob([new Uint8Array([137, 80, 78, 71])])
+        }
+    });
+
+    encoder.addLayer('rain', makeChannels(1000, 0), { position: [1, 0, 2], gain: 0.8 });
+    if (version === 1) {
+        encoder.addLayer('birds', makeChannels(1000, 1), { position: [-3, 1, 0] });
+    } else {
+        // Its own length, start and sample rate
+        encoder.addLayer('birds', makeChannels(700, 1), { position: [-3, 1, 0] }, { startTime: 0.005, sampleRate: 44100 });
+    }
+    return encoder;
+}
+
+for (const format of SAMPLE_FORMATS) {
+    for (const compression of COMPRESSIONS) {
+        for (const layout of LAYOUTS) {
+            const name = `${format.bitDepth}-bit ${format.float ? 'float' : 'int'}, ` +
+                `${compression.compression || 'uncompressed'}${compression.predictor ? ' + ' + compression.predictor : ''}, ${layout.name}`;
+
+            test(`round trip: ${name}`, async () => {
+                const result = await makeEncoder(format, compression, layout).verifyRoundTrip();
+                assert.deepStrictEqual(result.mismatches, []);
+                assert.ok(result.valid);
+            });
+        }
+    }
+}
+
+// One mono order-0 layer 'a' with metadata {} and the samples 0.5 and -1,
+// as SHAC version 1 at 48 kHz, written out by hand
+const HAND_WRITTEN = [
+    { bitDepth: 8, float: false, field: '08000000', samples: '4081', values: [64 / 127, -1] },
+    { bitDepth: 16, float: false, field: '10000000', samples: '00400180', values: [16384 / 32767, -1] },
+    { bitDepth: 24, float: false, field: '18000000', samples: '000040010080', values: [4194304 / 8388607, -1] },
+    { bitDepth: 32, float: false, field: '20000100', samples: '0000004001000080', values: [1073741824 / 2147483647, -1] },
+    { bitDepth: 32, float: true, field: '20000000', samples: '0000003f000080bf', values: [0.5, -1] },
+    { bitDepth: 64, float: true, field: '40000000', samples: '000000000000e03f000000000000f0bf', values: [0.5, -1] }
+];
+
+function handWrittenFile({ field, samples }) {
+    const header = '53484143' + '0100' + '0000' + '0100' + '80bb0000' + field + '02000000' + '0100' + '0000';
+    const layer = '0100' + '02000000' + '61' + '7b7d';
+    return header + layer + samples;
+}
+
+for (const format of HAND_WRITTEN) {
+    const name = `${format.bitDepth}-bit ${format.float ? 'float' : 'int'}`;
+
+    test(`encoder writes the hand-written bytes: ${name}`, async () => {
+        const encoder = new SHACEncoder({ order: 0, sampleRate: 48000, bitDepth: format.bitDepth, float: format.float });
+        encoder.addLayer('a', [Float32Array.from([0.5, -1])]);
+        const bytes = Buffer.from(await encoder.encode().arrayBuffer());
+        assert.strictEqual(bytes.toString('hex'), handWrittenFile(format));
+    });
+
+    test(`decoder reads the hand-written bytes: ${name}`, async () => {
+        const decoder = new SHACDecoder();
+        const result = await decoder.decode(Buffer.from(handWrittenFile(format), 'hex'));
+        assert.strictEqual(result.header.sample_format.bits, format.bitDepth);
+        assert.strictEqual(result.header.sample_format.float, format.float);
+        assert.deepStrictEqual(result.layerNames, ['a']);
+
+        const [channel] = await decoder.readLayerAudioDirect(decoder.layerIndex[0]);
+        assert.deepStrictEqual(Array.from(channel), format.values.map(Math.fround));
+    });
+}
+
+test('encoder rejects layer IDs too long for the layer header', () => {
+    const encoder = new SHACEncoder({ order: 0, sampleRate: 48000 });
+    // 'é' is two bytes in UTF-8
+    assert.throws(() => encoder.addLayer('é'.repeat(32768), [new Float32Array(2)]),
+        { message: 'Layer ID is 65536 bytes as UTF-8, at most 65535 fit' });
+    encoder.addLayer('a'.repeat(65535), [new Float32Array(2)]);
+    assert.strictEqual(encoder.layers.length, 1);
+});
+
+test('encoder rejects a channel count that does not match the order', () => {
+    const encoder = new SHACEncoder({ order: 1, sampleRate: 48000 });
+    assert.throws(() => encoder.addLayer('a', [0, 1, 2].map(() => new Float32Array(2))),
+        { message: 'Layer a: has 3 channels, order 1 needs 4' });
+    assert.strictEqual(encoder.layers.length, 0);
+});
+
+test('encoder rejects metadata JSON cannot store', () => {
+    const encoder = new SHACEncoder({ order: 0, sampleRate: 48000 });
+    // As PythonLiteral reads {'gain': 1e400} or {'position': (0, nan, 1)}
+    assert.throws(() => encoder.addLayer('a', [new Float32Array(2)], { gain: Infinity }),
+        { message: 'Layer a: metadata gain is Infinity, which JSON cannot store' });
+    assert.throws(() => encoder.addLayer('a', [new Float32Array(2)], { directivity: { position: [0, NaN, 1] } }),
+        { message: 'Layer a: metadata directivity.position[1] is NaN, which JSON cannot store' });
+    assert.strictEqual(encoder.layers.length, 0);
+});
+
+for (const compression of [COMPRESSIONS[0], COMPRESSIONS[2]]) {
+    test(`chunk table random access: ${compression.compression || 'uncompressed'}`, async () => {
+        const encoder = makeEncoder(SAMPLE_FORMATS[1], compression, LAYOUTS[2]);
+        const decoder = new SHACDecoder();
+        await decoder.decode(encoder.encode());
+        const layerInfo = decoder.layerIndex[0];
+        assert.strictEqual(layerInfo.chunks.length, 4);
+
+        const full = await decoder.readLayerAudioDirect(layerInfo);
+        // Starts and ends inside chunks, skipping the first
+        const range = await decoder.readLayerRange('rain', 450, 400);
+        assert.strictEqual(range.length, full.length);
+        range.forEach((channel, ch) => assert.deepStrictEqual(channel, full[ch].slice(450, 850)));
+
+        // Cut at the layer's end
+        const tail = await decoder.readLayerRange('rain', 950, 200);
+        tail.forEach((channel, ch) => assert.deepStrictEqual(channel, full[ch].slice(950)));
+    });
+}
@@ -0,0 +1,869 @@
+/**
+ * SOFA Loader - Reads HRIR sets from SOFA files (AES69)
+ *
+ * SOFA files are netCDF-4, which is HDF5 underneath. HDF5File below is a
+ * minimal read-only HDF5 parser covering what netCDF-4 writers produce:
+ * superblocks v0-v3, object headers v1/v2, symbol-table and link-message
+ * groups (compact or dense), contiguous/compact/chunked datasets with
+ * deflate, shuffle and fletcher32 filters, and numeric or string data.
+ */
+
+class HDF5File {
+    /**
+     * @param {ArrayBuffer} buffer - Whole file contents
+     */
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.view = new DataView(buffer);
+        this.bytes = new Uint8Array(buffer);
+        this.readSuperblock();
+    }
+
+    /**
+     * Locate and parse the superblock
+     */
+    readSuperblock() {
+        const signature = [0x89, 0x48, 0x44, 0x46, 0x0d, 0x0a, 0x1a, 0x0a];
+        let start = -1;
+        for (let offset = 0; offset + 8 <= this.bytes.length; offset = offset ? offset * 2 : 512) {
+            if (signature.every((b, i) => this.bytes[offset + i] === b)) {
+                start = offset;
+                break;
+            }
+        }
+        if (start < 0) {
+            throw new Error('Not an HDF5 file (SOFA files are netCDF-4/HDF5)');
+        }
+
+        const version = this.bytes[start + 8];
+        if (version === 0 || version === 1) {
+            this.offsetSize = this.bytes[start + 13];
+            this.lengthSize = this.bytes[start + 14];
+            let pos = start + (version === 0 ? 24 : 28);
+            this.baseAddress = this.readUint(pos, this.offsetSize);
+            pos += this.offsetSize * 4;  // base, free space, EOF, driver info
+
+            // Root group symbol table entry: object header follows the name offset
+            this.rootAddress = this.readUint(pos + this.offsetSize, this.offsetSize);
+        } else if (version === 2 || version === 3) {
+            this.offsetSize = this.bytes[start + 9];
+            this.lengthSize = this.bytes[start + 10];
+            const pos = start + 12;
+            this.baseAddress = this.readUint(pos, this.offsetSize);
+            this.rootAddress = this.readUint(pos + this.offsetSize * 3, this.offsetSize);
+        } else {
+            throw new Error(`Unsupported HDF5 superblock version ${version}`);
+        }
+    }
+
+    /**
+     * Little-endian unsigned integer of 1-8 bytes
+     */
+    readUint(pos, size) {
+        let value = 0;
+        for (let i = size - 1; i >= 0; i--) {
+            value = value * 256 + this.bytes[pos + i];
+        }
+        return value;
+    }
+
+    /**
+     * File address to buffer offset (undefined addresses are all ones)
+     */
+    address(pos) {
+        const value = this.readUint(pos, this.offsetSize);
+        return value === Math.pow(2, this.offsetSize * 8) - 1 ? null : value + this.baseAddress;
+    }
+
+    readSignature(pos) {
+        return String.fromCharCode(...this.bytes.subarray(pos, pos + 4));
+    }
+
+    readString(pos, length) {
+        let end = pos;
+        while (end < pos + length && this.bytes[end] !== 0) end++;
+        return new TextDecoder().decode(this.bytes.subarray(pos, end)).trim();
+    }
+
+    readCString(pos) {
+        let end = pos;
+        while (this.bytes[end] !== 0) end++;
+        return new TextDecoder().decode(this.bytes.subarray(pos, end));
+    }
+
+    /**
+     * Children of the root group, as a Map of name → object header address
+     */
+    getRootChildren() {
+        return this.getGroupChildren(this.rootAddress);
+    }
+
+    /**
+     * Parse an object header into its messages
+     * @returns {Array<{type: number, pos: number, size: number}>}
+     */
+    readObjectHeader(address) {
+        const messages = [];
+
+        if (this.readSignature(address) === 'OHDR') {
+            const flags = this.bytes[address + 5];
+            let pos = address + 6;
+            if (flags & 0x20) pos += 16;  // timestamps
+            if (flags & 0x10) pos += 4;   // attribute phase change values
+            const chunkSizeBytes = 1 << (flags & 0x03);
+            const chunkSize = this.readUint(pos, chunkSizeBytes);
+            pos += chunkSizeBytes;
+
+            const blocks = [{ start: pos, end: pos + chunkSize }];
+            while (blocks.length) {
+                const block = blocks.shift();
+                let p = block.start;
+                const headerSize = (flags & 0x04) ? 6 : 4;
+                while (p + headerSize <= block.end) {
+                    const type = this.bytes[p];
+                    const size = this.readUint(p + 1, 2);
+                    p += headerSize;
+                    if (type === 0x10) {
+                        // Continuation: messages carry on in an OCHK block (minus checksum)
+                        const next = this.address(p);
+                        const length = this.readUint(p + this.offsetSize, this.lengthSize);
+                        blocks.push({ start: next + 4, end: next + length - 4 });
+                    } else {
+                        messages.push({ type, pos: p, size });
+                    }
+                    p += size;
+                }
+            }
+        } else {
+            const version = this.bytes[address];
+            if (version !== 1) {
+                throw new Error(`Unsupported HDF5 object header version ${version}`);
+            }
+            const count = this.readUint(address + 2, 2);
+            const size = this.readUint(address + 8, 4);
+
+            const blocks = [{ start: address + 16, end: address + 16 + size }];
+            while (blocks.length && messages.length < count) {
+                const block = blocks.shift();
+                let p = block.start;
+                while (p + 8 <= block.end) {
+                    const type = this.readUint(p, 2);
+                    const length = this.readUint(p + 2, 2);
+                    p += 8;
+                    if (type === 0x10) {
+                        const next = this.address(p);
+                        const nextLength = this.readUint(p + this.offsetSize, this.lengthSize);
+                        blocks.push({ start: next, end: next + nextLength });
+                    } else {
+                        messages.push({ type, pos: p, size: length });
+                    }
+                    p += length;
+                }
+            }
+        }
+
+        return messages;
+    }
+
+    /**
+     * Members of a group, as a Map of name → object header address
+     */
+    getGroupChildren(address) {
+        const children = new Map();
+
+        for (const message of this.readObjectHeader(address)) {
+            if (message.type === 0x11) {
+                // Old-style group: v1 B-tree of symbol table nodes + local heap
+                const treeAddress = this.address(message.pos);
+                const heapAddress = this.address(message.pos + this.offsetSize);
+                this.readSymbolTable(treeAddress, heapAddress, children);
+            } else if (message.type === 0x06) {
+                const link = this.readLink(message.pos);
+                if (link) children.set(link.name, link.address);
+            } else if (message.type === 0x02) {
+                // Dense links: fractal heap indexed by a v2 B-tree of names
+                const flags = this.bytes[message.pos + 1];
+                const pos = message.pos + 2 + ((flags & 0x01) ? 8 : 0);
+                const heapAddress = this.address(pos);
+                const nameIndex = this.address(pos + this.offsetSize);
+                if (heapAddress !== null && nameIndex !== null) {
+                    const heap = this.readFractalHeap(heapAddress);
+                    for (const record of this.readBTreeV2(nameIndex)) {
+                        const link = this.readLink(this.fractalHeapObject(heap, record, 4));
+                        if (link) children.set(link.name, link.address);
+                    }
+                }
+            }
+        }
+
+        return children;
+    }
+
+    /**
+     * Walk a group's v1 B-tree and symbol table nodes
+     */
+    readSymbolTable(treeAddress, heapAddress, children) {
+        const dataSegment = this.address(heapAddress + 8 + this.lengthSize * 2);
+
+        const visit = (nodeAddress) => {
+            if (this.readSignature(nodeAddress) === 'SNOD') {
+                const count = this.readUint(nodeAddress + 6, 2);
+                let pos = nodeAddress + 8;
+                for (let i = 0; i < count; i++) {
+                    const nameOffset = this.readUint(pos, this.offsetSize);
+                    const objectAddress = this.address(pos + this.offsetSize);
+                    children.set(this.readCString(dataSegment + nameOffset), objectAddress);
+                    pos += this.offsetSize * 2 + 24;
+                }
+                return;
+            }
+
+            // TREE node of type 0: keys are heap offsets, children follow each key
+            const entries = this.readUint(nodeAddress + 6, 2);
+            let pos = nodeAddress + 8 + this.offsetSize * 2 + this.lengthSize;
+            for (let i = 0; i < entries; i++) {
+                visit(this.address(pos));
+                pos += this.offsetSize + this.lengthSize;
+            }
+        };
+
+        visit(treeAddress);
+    }
+
+    /**
+     * Parse a link message; only hard links name objects in this file
+     */
+    readLink(pos) {
+        const flags = this.bytes[pos + 1];
+        pos += 2;
+        let linkType = 0;
+        if (flags & 0x08) linkType = this.bytes[pos++];
+        if (flags & 0x04) pos += 8;  // creation order
+        if (flags & 0x10) pos += 1;  // character set
+        const nameLengthSize = 1 << (flags & 0x03);
+        const nameLength = this.readUint(pos, nameLengthSize);
+        pos += nameLengthSize;
+        const name = new TextDecoder().decode(this.bytes.subarray(pos, pos + nameLength));
+        pos += nameLength;
+
+        if (linkType !== 0) return null;
+        return { name, address: this.address(pos) };
+    }
+
+    /**
+     * Fractal heap header (the parts needed to find managed objects)
+     */
+    readFractalHeap(address) {
+        const o = this.offsetSize;
+        const l = this.lengthSize;
+        let pos = address + 5;
+        const heap = {};
+        heap.idLength = this.readUint(pos, 2);
+        heap.filterLength = this.readUint(pos + 2, 2);
+        heap.flags = this.bytes[pos + 4];
+        pos += 5 + 4 + l + o + l + o + l * 8;
+        heap.tableWidth = this.readUint(pos, 2);
+        heap.startingBlockSize = this.readUint(pos + 2, l);
+        heap.maxDirectBlockSize = this.readUint(pos + 2 + l, l);
+        heap.maxHeapBits = this.readUint(pos + 2 + l * 2, 2);
+        pos += 2 + l * 2 + 2 + 2;
+        heap.rootAddress = this.address(pos);
+        heap.rootRows = this.readUint(pos + o, 2);
+
+        if (heap.filterLength > 0) {
+            throw new Error('Filtered HDF5 fractal heaps are not supported');
+        }
+
+        heap.offsetBytes = Math.ceil(heap.maxHeapBits / 8);
+        return heap;
+    }
+
+    /**
+     * Position of a managed object, given a record that ends in its heap ID
+     */
+    fractalHeapObject(heap, record, idOffset) {
+        const pos = record + idOffset;
+        if ((this.bytes[pos] & 0x30) !== 0) {
+            throw new Error('Only managed objects are supported in HDF5 fractal heaps');
+        }
+        const offset = this.readUint(pos + 1, heap.offsetBytes);
+        return this.findHeapOffset(heap, heap.rootAddress, heap.rootRows, 0, offset);
+    }
+
+    /**
+     * Follow the doubling table down to the direct block holding an offset
+     */
+    findHeapOffset(heap, blockAddress, rows, blockOffset, offset) {
+        if (rows === 0) {
+            // Direct block: heap offsets count from the start of the block
+            return blockAddress + (offset - blockOffset);
+        }
+
+        const width = heap.tableWidth;
+        const start = heap.startingBlockSize;
+        const rowSize = (row) => row === 0 ? start : start * Math.pow(2, row - 1);
+        const maxDirectRows = Math.log2(heap.maxDirectBlockSize) - Math.log2(start) + 2;
+
+        let pos = blockAddress + 5 + this.offsetSize + heap.offsetBytes;
+        let childOffset = blockOffset;
+        for (let row = 0; row < rows; row++) {
+            const size = rowSize(row);
+            for (let col = 0; col < width; col++) {
+                const child = this.address(pos);
+                pos += this.offsetSize;
+                if (offset >= childOffset && offset < childOffset + size && child !== null) {
+                    if (row < maxDirectRows) {
+                        return this.findHeapOffset(heap, child, 0, childOffset, offset);
+                    }
+                    const childRows = Math.log2(size) - Math.log2(start * width) + 1;
+                    return this.findHeapOffset(heap, child, childRows, childOffset, offset);
+                }
+                childOffset += size;
+            }
+        }
+        throw new Error('HDF5 heap offset not found');
+    }
+
+    /**
+     * Record positions of a v2 B-tree (leaf root or one internal level)
+     */
+    readBTreeV2(address) {
+        const nodeSize = this.readUint(address + 6, 4);
+        const recordSize = this.readUint(address + 10, 2);
+        const depth = this.readUint(address + 12, 2);
+        const root = this.address(address + 16);
+        const rootCount = this.readUint(address + 16 + this.offsetSize, 2);
+        const records = [];
+
+        const leafRecords = (leaf, count) => {
+            for (let i = 0; i < count; i++) {
+                records.push(leaf + 6 + i * recordSize);
+            }
+        };
+
+        if (depth === 0) {
+            leafRecords(root, rootCount);
+        } else if (depth === 1) {
+            const maxLeafRecords = Math.floor((nodeSize - 10) / recordSize);
+            const countBytes = Math.ceil(Math.log2(maxLeafRecords + 1) / 8);
+            let pos = root + 6;
+            for (let i = 0; i < rootCount; i++) {
+                records.push(pos);
+                pos += recordSize;
+            }
+            for (let i = 0; i <= rootCount; i++) {
+                const child = this.address(pos);
+                const count = this.readUint(pos + this.offsetSize, countBytes);
+                leafRecords(child, count);
+                pos += this.offsetSize + countBytes;
+            }
+        } else {
+            throw new Error('HDF5 B-tree too deep for this reader');
+        }
+
+        return records;
+    }
+
+    /**
+     * Read a dataset's values
+     * @returns {{dims: number[], data: Float64Array|string[]}}
+     */
+    readDataset(address) {
+        let dims = null;
+        let type = null;
+        let layout = null;
+        let filters = [];
+
+        for (const message of this.readObjectHeader(address)) {
+            if (message.type === 0x01) dims = this.readDataspace(message.pos);
+            else if (message.type === 0x03) type = this.readDatatype(message.pos);
+            else if (message.type === 0x08) layout = this.readLayout(message.pos);
+            else if (message.type === 0x0b) filters = this.readFilters(message.pos);
+        }
+        if (!dims || !type || !layout) {
+            throw new Error('HDF5 object is not a dataset');
+        }
+
+        const count = dims.reduce((n, d) => n * d, 1);
+        const raw = new Uint8Array(count * type.size);
+
+        if (layout.kind === 'compact') {
+            raw.set(this.bytes.subarray(layout.pos, layout.pos + raw.length));
+        } else if (layout.kind === 'contiguous') {
+            if (layout.address !== null) {
+                raw.set(this.bytes.subarray(layout.address, layout.address + raw.length));
+            }
+        } else {
+            for (const chunk of this.getChunks(layout, dims, type.size)) {
+                const data = this.unfilter(chunk, filters, type.size);
+                this.copyChunk(data, chunk.offsets, layout.chunkDims, dims, type.size, raw);
+            }
+        }
+
+        return { dims, data: this.convert(raw, type, count) };
+    }
+
+    /**
+     * Read an attribute by name from an object header
+     */
+    readAttribute(address, name) {
+        for (const message of this.readObjectHeader(address)) {
+            if (message.type !== 0x0c) continue;
+
+            const version = this.bytes[message.pos];
+            const nameSize = this.readUint(message.pos + 2, 2);
+            const typeSize = this.readUint(message.pos + 4, 2);
+            const spaceSize = this.readUint(message.pos + 6, 2);
+            const pad = (n) => version === 1 ? Math.ceil(n / 8) * 8 : n;
+
+            let pos = message.pos + (version === 3 ? 9 : 8);
+            const attributeName = this.readString(pos, nameSize);
+            pos += pad(nameSize);
+            if (attributeName !== name) continue;
+
+            const type = this.readDatatype(pos);
+            pos += pad(typeSize);
+            const dims = this.readDataspace(pos);
+            pos += pad(spaceSize);
+
+            const count = dims.reduce((n, d) => n * d, 1);
+            const values = this.convert(this.bytes.subarray(pos, pos + count * type.size), type, count);
+            return values instanceof Float64Array ? values : values.join('');
+        }
+        return null;
+    }
+
+    readDataspace(pos) {
+        const version = this.bytes[pos];
+        const rank = this.bytes[pos + 1];
+        const start = pos + (version === 1 ? 8 : 4);
+        const dims = [];
+        for (let i = 0; i < rank; i++) {
+            dims.push(this.readUint(start + i * this.lengthSize, this.lengthSize));
+        }
+        return dims;
+    }
+
+    readDatatype(pos) {
+        const typeClass = this.bytes[pos] & 0x0f;
+        const bits = this.bytes[pos + 1];
+        const size = this.readUint(pos + 4, 4);
+        const littleEndian = (bits & 0x01) === 0;
+
+        if (typeClass === 0) return { kind: 'int', size, littleEndian, signed: (bits & 0x08) !== 0 };
+        if (typeClass === 1) return { kind: 'float', size, littleEndian };
+        if (typeClass === 3) return { kind: 'string', size };
+        if (typeClass === 9 && (bits & 0x0f) === 1) return { kind: 'vlen-string', size };
+        return { kind: 'other', size };
+    }
+
+    readLayout(pos) {
+        const version = this.bytes[pos];
+        const layoutClass = this.bytes[pos + 1];
+
+        if (version < 3) {
+            throw new Error(`Unsupported HDF5 data layout version ${version}`);
+        }
+        if (layoutClass === 0) {
+            return { kind: 'compact', pos: pos + 4 };
+        }
+        if (layoutClass === 1) {
+            return { kind: 'contiguous', address: this.address(pos + 2) };
+        }
+
+        if (version === 3) {
+            const rank = this.bytes[pos + 2];
+            const address = this.address(pos + 3);
+            const chunkDims = [];
+            for (let i = 0; i < rank - 1; i++) {
+                chunkDims.push(this.readUint(pos + 3 + this.offsetSize + i * 4, 4));
+            }
+            return { kind: 'chunked', index: 'btree', address, chunkDims };
+        }
+
+        // Version 4: variable-width dimensions and several chunk indexes
+        const flags = this.bytes[pos + 2];
+        const rank = this.bytes[pos + 3];
+        const dimBytes = this.bytes[pos + 4];
+        const chunkDims = [];
+        let p = pos + 5;
+        for (let i = 0; i < rank; i++) {
+            chunkDims.push(this.readUint(p, dimBytes));
+            p += dimBytes;
+        }
+        chunkDims.pop();  // element size
+        const index = this.bytes[p++];
+
+        if (index === 1) {
+            let filteredSize = null;
+            if (flags & 0x02) {
+                filteredSize = this.readUint(p, this.lengthSize);
+                p += this.lengthSize + 4;
+            }
+            return { kind: 'chunked', index: 'single', address: this.address(p), filteredSize, chunkDims };
+        }
+        if (index === 2) {
+            return { kind: 'chunked', index: 'implicit', address: this.address(p), chunkDims };
+        }
+        if (index === 3) {
+            return { kind: 'chunked', index: 'fixed', address: this.address(p + 1), chunkDims };
+        }
+        throw new Error(`Unsupported HDF5 chunk index type ${index}`);
+    }
+
+    readFilters(pos) {
+        const version = this.bytes[pos];
+        const count = this.bytes[pos + 1];
+        let p = pos + (version === 1 ? 8 : 2);
+        const filters = [];
+
+        for (let i = 0; i < count; i++) {
+            const id = this.readUint(p, 2);
+            let nameLength = 0;
+            p += 2;
+            if (version === 1 || id >= 256) {
+                nameLength = this.readUint(p, 2);
+                p += 2;
+            }
+            p += 2;  // flags
+            const valueCount = this.readUint(p, 2);
+            p += 2;
+            p += version === 1 ? Math.ceil(nameLength / 8) * 8 : nameLength;
+            const values = [];
+            for (let v = 0; v < valueCount; v++) {
+                values.push(this.readUint(p, 4));
+                p += 4;
+            }
+            if (version === 1 && valueCount % 2 === 1) p += 4;
+            filters.push({ id, values });
+        }
+
+        return filters;
+    }
+
+    /**
+     * List every stored chunk with its position in the dataset
+     */
+    getChunks(layout, dims, elementSize) {
+        const rank = dims.length;
+        const chunkBytes = layout.chunkDims.reduce((n, d) => n * d, elementSize);
+        const chunks = [];
+
+        // Row-major position of the n-th chunk, for indexes that only store order
+        const gridOffsets = (n) => {
+            const offsets = new Array(rank);
+            for (let d = rank - 1; d >= 0; d--) {
+                const across = Math.ceil(dims[d] / layout.chunkDims[d]);
+                offsets[d] = (n % across) * layout.chunkDims[d];
+                n = Math.floor(n / across);
+            }
+            return offsets;
+        };
+        const chunkCount = dims.reduce((n, d, i) => n * Math.ceil(d / layout.chunkDims[i]), 1);
+
+        if (layout.index === 'single') {
+            chunks.push({
+                address: layout.address,
+                size: layout.filteredSize || chunkBytes,
+                offsets: new Array(rank).fill(0),
+                mask: 0
+            });
+            return chunks;
+        }
+
+        if (layout.index === 'implicit') {
+            for (let n = 0; n < chunkCount; n++) {
+                chunks.push({ address: layout.address + n * chunkBytes, size: chunkBytes, offsets: gridOffsets(n), mask: 0 });
+            }
+            return chunks;
+        }
+
+        if (layout.index === 'fixed') {
+            // Fixed array header (FAHD) → data block (FADB) of chunk entries
+            const filtered = this.bytes[layout.address + 5] === 1;
+            const entrySize = this.bytes[layout.address + 6];
+            const pageBits = this.bytes[layout.address + 7];
+            const entries = this.readUint(layout.address + 8, this.lengthSize);
+            if (entries > Math.pow(2, pageBits)) {
+                throw new Error('Paged HDF5 fixed arrays are not supported');
+            }
+            const block = this.address(layout.address + 8 + this.lengthSize);
+            let pos = block + 6 + this.offsetSize;
+            for (let n = 0; n < entries; n++) {
+                const address = this.address(pos);
+                let size = chunkBytes;
+                let mask = 0;
+                if (filtered) {
+                    const sizeBytes = entrySize - this.offsetSize - 4;
+                    size = this.readUint(pos + this.offsetSize, sizeBytes);
+                    mask = this.readUint(pos + this.offsetSize + sizeBytes, 4);
+                }
+                if (address !== null) {
+                    chunks.push({ address, size, offsets: gridOffsets(n), mask });
+                }
+                pos += entrySize;
+            }
+            return chunks;
+        }
+
+        if (layout.index === 'btree') {
+            const visit = (nodeAddress) => {
+                const level = this.bytes[nodeAddress + 5];
+                const entries = this.readUint(nodeAddress + 6, 2);
+                const keySize = 8 + (rank + 1) * 8;
+                let pos = nodeAddress + 8 + this.offsetSize * 2;
+                for (let i = 0; i < entries; i++) {
+                    const size = this.readUint(pos, 4);
+                    const mask = this.readUint(pos + 4, 4);
+                    const offsets = [];
+                    for (let d = 0; d < rank; d++) {
+                        offsets.push(this.readUint(pos + 8 + d * 8, 8));
+                    }
+                    const child = this.address(pos + keySize);
+                    if (level > 0) visit(child);
+                    else chunks.push({ address: child, size, offsets, mask });
+                    pos += keySize + this.offsetSize;
+                }
+            };
+            visit(layout.address);
+            return chunks;
+        }
+
+        throw new Error(`Unsupported HDF5 chunk index: ${layout.index}`);
+    }
+
+    /**
+     * Undo the filter pipeline (in reverse) for one chunk
+     */
+    unfilter(chunk, filters, elementSize) {
+        let data = this.bytes.subarray(chunk.address, chunk.address + chunk.size);
+
+        for (let i = filters.length - 1; i >= 0; i--) {
+            if (chunk.mask & (1 << i)) continue;  // filter skipped for this chunk
+            const { id, values } = filters[i];
+
+            if (id === 1) {
+                if (typeof pako === 'undefined') {
+                    throw new Error('Compressed SOFA data needs pako');
+                }
+                data = pako.inflate(data);
+            } else if (id === 2) {
+                data = HDF5File.unshuffle(data, values[0] || elementSize);
+            } else if (id === 3) {
+                data = data.subarray(0, data.length - 4);
+            } else {
+                throw new Error(`Unsupported HDF5 filter ${id}`);
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Reverse the byte shuffle filter
+     */
+    static unshuffle(data, elementSize) {
+        const count = Math.floor(data.length / elementSize);
+        const out = new Uint8Array(data.length);
+        for (let b = 0; b < elementSize; b++) {
+            for (let i = 0; i < count; i++) {
+                out[i * elementSize + b] = data[b * count + i];
+            }
+        }
+        out.set(data.subarray(count * elementSize), count * elementSize);
+        return out;
+    }
+
+    /**
+     * Copy a chunk into the dataset, clipping chunks that overhang the edge
+     */
+    copyChunk(data, offsets, chunkDims, dims, elementSize, raw) {
+        const rank = dims.length;
+        const last = rank - 1;
+        const rowLength = Math.min(chunkDims[last], dims[last] - offsets[last]);
+        const index = new Array(rank).fill(0);
+
+        // Walk the chunk row by row along the last dimension
+        for (;;) {
+            let inside = true;
+            let target = 0;
+            let source = 0;
+            for (let d = 0; d < rank; d++) {
+                const position = offsets[d] + index[d];
+                if (position >= dims[d]) inside = false;
+                target = target * dims[d] + position;
+                source = source * chunkDims[d] + index[d];
+            }
+            if (inside) {
+                raw.set(
+                    data.subarray(source * elementSize, (source + rowLength) * elementSize),
+                    target * elementSize
+                );
+            }
+
+            let d = last - 1;
+            while (d >= 0 && ++index[d] >= chunkDims[d]) {
+                index[d] = 0;
+                d--;
+            }
+            if (d < 0) break;
+        }
+    }
+
+    /**
+     * Text of one object in a global heap collection (GCOL)
+     */
+    readGlobalHeapObject(collection, index) {
+        const end = collection + this.readUint(collection + 8, this.lengthSize);
+        let pos = collection + 8 + this.lengthSize;
+
+        while (pos + 8 + this.lengthSize <= end) {
+            const objectIndex = this.readUint(pos, 2);
+            const size = this.readUint(pos + 8, this.lengthSize);
+            if (objectIndex === 0) break;  // free space
+            if (objectIndex === index) {
+                const start = pos + 8 + this.lengthSize;
+                return new TextDecoder().decode(this.bytes.subarray(start, start + size));
+            }
+            pos += 8 + this.lengthSize + Math.ceil(size / 8) * 8;
+        }
+        return '';
+    }
+
+    /**
+     * Raw bytes to numbers (or strings)
+     */
+    convert(raw, type, count) {
+        const view = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+
+        if (type.kind === 'string') {
+            const strings = [];
+            for (let i = 0; i < count; i++) {
+                strings.push(new TextDecoder().decode(raw.subarray(i * type.size, (i + 1) * type.size)).replace(/\0+$/, ''));
+            }
+            return strings;
+        }
+
+        if (type.kind === 'vlen-string') {
+            // Each element points into a global heap collection
+            const rawUint = (pos, size) => {
+                let value = 0;
+                for (let b = size - 1; b >= 0; b--) value = value * 256 + raw[pos + b];
+                return value;
+            };
+            const strings = [];
+            for (let i = 0; i < count; i++) {
+                const pos = i * type.size;
+                const collection = rawUint(pos + 4, this.offsetSize) + this.baseAddress;
+                const index = rawUint(pos + 4 + this.offsetSize, 4);
+                strings.push(this.readGlobalHeapObject(collection, index));
+            }
+            return strings;
+        }
+
+        const values = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            const pos = i * type.size;
+            if (type.kind === 'float') {
+                values[i] = type.size === 4
+                    ? view.getFloat32(pos, type.littleEndian)
+                    : view.getFloat64(pos, type.littleEndian);
+            } else if (type.kind === 'int') {
+                if (type.size === 1) values[i] = type.signed ? view.getInt8(pos) : view.getUint8(pos);
+                else if (type.size === 2) values[i] = type.signed ? view.getInt16(pos, type.littleEndian) : view.getUint16(pos, type.littleEndian);
+                else if (type.size === 4) values[i] = type.signed ? view.getInt32(pos, type.littleEndian) : view.getUint32(pos, type.littleEndian);
+                else values[i] = Number(type.signed ? view.getBigInt64(pos, type.littleEndian) : view.getBigUint64(pos, type.littleEndian));
+            } else {
+                throw new Error('Unsupported HDF5 datatype');
+            }
+        }
+        return values;
+    }
+}
+
+class SOFALoader {
+    /**
+     * Load an HRIR set from a SOFA file
+     * @param {File|Blob} file
+     * @returns {Promise<HRIRSet>}
+     */
+    static async load(file) {
+        const buffer = await file.arrayBuffer();
+        return SOFALoader.parse(buffer, file.name || 'SOFA');
+    }
+
+    /**
+     * Parse SOFA (SimpleFreeFieldHRIR and similar FIR conventions)
+     * @param {ArrayBuffer} buffer - File contents
+     * @param {string} name - Display name for the set
+     * @returns {HRIRSet}
+     */
+    static parse(buffer, name) {
+        const file = new HDF5File(buffer);
+        const variables = file.getRootChildren();
+
+        const need = (variable) => {
+            if (!variables.has(variable)) {
+                throw new Error(`SOFA file has no ${variable} (only FIR HRIR sets are supported)`);
+            }
+            return variables.get(variable);
+        };
+
+        const ir = file.readDataset(need('Data.IR'));
+        const [measurements, receivers, length] = ir.dims;
+        if (ir.dims.length !== 3 || receivers !== 2) {
+            throw new Error('SOFA Data.IR must be measurements x 2 receivers x samples');
+        }
+
+        const sampleRate = file.readDataset(need('Data.SamplingRate')).data[0];
+
+        // Source positions, spherical (degrees) or cartesian
+        const positionAddress = need('SourcePosition');
+        const positions = file.readDataset(positionAddress).data;
+        const positionType = (file.readAttribute(positionAddress, 'Type') || 'spherical').toLowerCase();
+        const directions = [];
+        for (let m = 0; m < measurements; m++) {
+            const [a, b, c] = positions.subarray(m * 3, m * 3 + 3);
+            if (positionType.startsWith('cartesian')) {
+                directions.push({
+                    azimuth: Math.atan2(b, a),
+                    elevation: Math.atan2(c, Math.hypot(a, b))
+                });
+            } else {
+                directions.push({
+                    azimuth: (a * Math.PI) / 180,
+                    elevation: (b * Math.PI) / 180
+                });
+            }
+        }
+
+        // Optional broadband delays, per receiver (and per measurement if given)
+        let delays = null;
+        if (variables.has('Data.Delay')) {
+            delays = file.readDataset(variables.get('Data.Delay'));
+        }
+        const delayFor = (m, r) => {
+            if (!delays) return 0;
+            const perMeasurement = delays.dims[0] === measurements;
+            return Math.round(delays.data[(perMeasurement ? m : 0) * 2 + r]);
+        };
+
+        const left = [];
+        const right = [];
+        const maxDelay = delays ? Math.max(0, ...Array.from(delays.data, Math.round)) : 0;
+        for (let m = 0; m < measurements; m++) {
+            for (let r = 0; r < 2; r++) {
+                const out = new Float32Array(length + maxDelay);
+                const start = (m * 2 + r) * length;
+                out.set(ir.data.subarray(start, start + length), delayFor(m, r));
+                (r === 0 ? left : right).push(out);
+            }
+        }
+
+        return new HRIRSet({ name, sampleRate, directions, left, right });
+    }
+}
+
+// Export for use in other modules
+window.HDF5File = HDF5File;
+window.SOFALoader = SOFALoader;
@@ -0,0 +1,161 @@
+/**
+ * Source Automation - Keyframed layer position and gain
+ *
+ * A layer's metadata can carry an automation track:
+ *   "automation": [
+ *     { "time": 0, "position": [0, 0, 8] },
+ *     { "time": 6, "position": [8, 4, 0], "gain": 0.5 },
+ *     { "time": 9, "gain": 1, "interpolation": "step" }
+ *   ]
+ * with time in seconds from the start of the scene, position in metres
+ * (SHAC coordinates) and gain linear, on top of the layer's fader. Each
+ * keyframe says how the values get there from the previous keyframe:
+ * "linear" (the default) ramps, "step" holds and then jumps. A keyframe
+ * may set position, gain or both; each is held before its first and after
+ * its last keyframe.
+ *
+ * The engine schedules the tracks as AudioParam ramps against playback
+ * time (see scheduleTrack()), and the same interpolation gives positions
+ * to the visualizer and to everything computed on the main thread.
+ */
+
+class SourceAutomation {
+    /**
+     * @param {Array} keyframes - Parsed keyframes (see parseKeyframes())
+     */
+    constructor(keyframes) {
+        this.position = keyframes
+            .filter(keyframe => keyframe.position)
+            .map(({ time, position, interpolation }) => ({ time, value: position, interpolation }));
+        this.gain = keyframes
+            .filter(keyframe => keyframe.gain !== undefined)
+            .map(({ time, gain, interpolation }) => ({ time, value: gain, interpolation }));
+    }
+
+    /**
+     * A layer's automation, or null when its metadata has none (invalid
+     * tracks are ignored with a warning)
+     */
+    static fromMetadata(metadata, name) {
+        if (!metadata || metadata.automation === undefined) return null;
+
+        try {
+            return new SourceAutomation(SourceAutomation.parseKeyframes(metadata.automation));
+        } catch (error) {
+            console.warn(`Layer "${name}": ignoring automation - ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Validate an automation track and sort it by time
+     * @returns {Array<{time: number, position?: number[], gain?: number, interpolation: string}>}
+     */
+    static parseKeyframes(keyframes) {
+        if (!Array.isArray(keyframes) || keyframes.length === 0) {
+            throw new Error('automation needs at least one keyframe');
+        }
+
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+        return keyframes.map((keyframe, index) => {
+            const { time, position, gain, interpolation = 'linear' } = keyframe || {};
+            if (!isNumber(time) || time < 0) {
+                throw new Error(`keyframe ${index + 1}: time must be a number of seconds`);
+            }
+            if (position !== undefined && (!Array.isArray(position) || position.length !== 3 || !position.every(isNumber))) {
+                throw new Error(`keyframe ${index + 1}: position must be [x, y, z]`);
+            }
+            if (gain !== undefined && (!isNumber(gain) || gain < 0)) {
+                throw new Error(`keyframe ${index + 1}: gain must be a linear level`);
+            }
+            if (position === undefined && gain === undefined) {
+                throw new Error(`keyframe ${index + 1}: needs a position or a gain`);
+            }
+            if (!SourceAutomation.INTERPOLATIONS.includes(interpolation)) {
+                throw new Error(`keyframe ${index + 1}: interpolation must be ${SourceAutomation.INTERPOLATIONS.join(' or ')}`);
+            }
+
+            const parsed = { time, interpolation };
+            if (position !== undefined) parsed.position = position.slice();
+            if (gain !== undefined) parsed.gain = gain;
+            return parsed;
+        }).sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Position at a scene time, or null without a position track
+     */
+    getPosition(time) {
+        return this.position.length ? SourceAutomation.valueAt(this.position, time) : null;
+    }
+
+    /**
+     * Gain at a scene time, or null without a gain track
+     */
+    getGain(time) {
+        return this.gain.length ? SourceAutomation.valueAt(this.gain, time) : null;
+    }
+
+    /**
+     * Value of a track (numbers or [x, y, z]) at a scene time
+     */
+    static valueAt(track, time) {
+        if (time <= track[0].time) return track[0].value;
+        const last = track[track.length - 1];
+        if (time >= last.time) return last.value;
+
+        let next = 1;
+        while (track[next].time < time) next++;
+        const a = track[next - 1];
+        const b = track[next];
+        if (b.interpolation === 'step' || b.time === a.time) return a.value;
+
+        const t = (time - a.time) / (b.time - a.time);
+        return Array.isArray(a.value)
+            ? a.value.map((value, i) => value + (b.value[i] - value) * t)
+            : a.value + (b.value - a.value) * t;
+    }
+
+    /**
+     * Schedule a track on AudioParams
+     *
+     * Scene time `offset` plays at context time `when`. Whatever was
+     * scheduled from `when` on is replaced, so this is called again on
+     * every play and seek.
+     * @param {Array} track - this.position or this.gain
+     * @param {AudioParam[]} params - One per value component
+     * @param {Function} toParams - Track value → array of param values
+     */
+    static scheduleTrack(track, params, toParams, offset, when) {
+        const start = toParams(SourceAutomation.valueAt(track, offset));
+        params.forEach((param, i) => {
+            // Hold a ramp in progress where it is rather than dropping it
+            if (param.cancelAndHoldAtTime) {
+                param.cancelAndHoldAtTime(when);
+            } else {
+                param.cancelScheduledValues(when);
+            }
+            param.setValueAtTime(start[i], when);
+        });
+
+        for (const keyframe of track) {
+            if (keyframe.time <= offset) continue;
+
+            const time = when + keyframe.time - offset;
+            const values = toParams(keyframe.value);
+            params.forEach((param, i) => {
+                if (keyframe.interpolation === 'step') {
+                    param.setValueAtTime(values[i], time);
+                } else {
+                    param.linearRampToValueAtTime(values[i], time);
+                }
+            });
+        }
+    }
+}
+
+SourceAutomation.INTERPOLATIONS = ['linear', 'step'];
+
+// Export for use in other modules
+window.SourceAutomation = SourceAutomation;
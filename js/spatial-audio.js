@@ -56,9 +56,11 @@ class AudioBufferPool {
     }
     
     getStats() {
+        const requests = this.stats.created + this.stats.reused;
         return {
             ...this.stats,
-            reuseRatio: this.stats.reused / (this.stats.created + this.stats.reused)
+            pooledBytes: this.pool.reduce((sum, buffer) => sum + buffer.byteLength, 0),
+            reuseRatio: requests ? this.stats.reused / requests : 0
         };
     }
 }
@@ -69,10 +71,19 @@ const audioBufferPool = new AudioBufferPool();
 class SpatialAudioEngine {
     constructor() {
         this.audioContext = null;
-        this.layers = new Map();
+        this.layers = new Map();          // Active layers: decoded, with audio nodes
+        this.inactiveLayers = new Map();  // Name → mix and metadata of layers not decoded
+        this.pendingLayers = new Map();   // Name → activation in progress (see activateLayer())
+        this.layerOrder = [];             // Every layer name, in file order
         this.isPlaying = false;
         this.startTime = 0;
         this.pauseTime = 0;
+        this.masterGain = null;  // Every layer's output, faded around seeks
+        
+        // Reverb bus: room from the movement preset, overridden by the file
+        this.roomAcoustics = null;
+        this.presetRoom = null;
+        this.fileRoom = null;
         
         // Listener position and orientation
         this.listenerPosition = { x: 0, y: 0, z: 0 };
@@ -85,6 +96,22 @@ class SpatialAudioEngine {
         // Movement presets system
         this.movementPresets = null;
         this.audioSources = [];
+        
+        // Head-tracked rendering of pre-mixed ambisonic layers
+        this.decoder = null;                 // Source of SH rotation matrices
+        this.ambisonicRendererReady = null;  // Promise<boolean> once the worklet is requested
+        
+        // Head-related impulse responses for binaural decoding (null = gain-only)
+        this.hrirSet = null;
+        this.binauralFilterCache = new Map();
+        this.headRadius = SpatialAudioEngine.DEFAULT_HEAD_RADIUS;  // Spherical-head model, metres
+        this.decoderWeighting = DecoderDesign.DEFAULT_WEIGHTING;   // Virtual-speaker and speaker decoders
+        
+        // Loudspeaker output (null = binaural headphones)
+        this.outputLayout = null;
+        this.speakerDecoderType = 'allrad';
+        this.speakerDecoders = new Map();  // Order → decoder rows
+        this.outputStage = null;           // Per-speaker delay/gain compensation
     }
 
     /**
@@ -120,8 +147,17 @@ class SpatialAudioEngine {
         // Initialize movement presets
         if (window.MovementPresets) {
             this.movementPresets = new window.MovementPresets();
+            this.presetRoom = this.movementPresets.getCurrentPreset().room || null;
+            this.movementPresets.onPresetChange = (name, preset) => {
+                this.presetRoom = preset.room || null;
+                this.updateRoom();
+            };
         }
         
+        // Built-in HRIRs until the user loads a SOFA set
+        if (window.HRIRSet) {
+            this.setHRIRSet(HRIRSet.createDefault(48000, this.headRadius));
+        }
     }
 
     /**
@@ -152,63 +188,347 @@ class SpatialAudioEngine {
     /**
      * Load SHAC data into the audio engine
      * @param {Object} shacData - Decoded SHAC data from SHACDecoder
+     * @param {Object} options - { onProgress, signal, layers }
+     *   onProgress({ index, total, layerName, stage }) is called per layer;
+     *   aborting signal cancels decoding and rejects with an AbortError;
+     *   layers names the layers to decode (default every layer shacData
+     *   holds), the file's others are listed inactive (see activateLayer())
      */
-    async loadSHAC(shacData) {
+    async loadSHAC(shacData, options = {}) {
+        const { onProgress = null, signal = null, layers = null } = options;
+        
         this.clear();
 
-        const { header, layers, preMixed } = shacData;
+        const { header, decoder } = shacData;
         this.sampleRate = header.sample_rate;
-        this.duration = header.n_samples / header.sample_rate;
+        this.duration = header.duration;
+        this.decoder = decoder || new SHACDecoder();
 
         // Reset audio sources array
         this.audioSources = [];
+        this.fileRoom = null;
+
+        try {
+            await this.loadLayers(shacData, onProgress, signal, layers);
+        } finally {
+            // Don't keep an idle worker alive between files
+            if (decoder) decoder.releaseWorker();
+        }
+        
+        this.updateRoom();
+    }
+
+    /**
+     * Decode and create the chosen layers, reporting progress as each one
+     * lands; the file's other layers are listed as inactive
+     * @param {string[]|null} selection - Layer names to decode (default
+     *   every layer shacData holds)
+     */
+    async loadLayers(shacData, onProgress, signal, selection = null) {
+        const { header, layers, preMixed, decoder } = shacData;
+        
+        // Every layer in the file, in file order, even those the decode left out
+        const names = decoder && decoder.layerIndex.length
+            ? decoder.layerIndex.map(layerInfo => layerInfo.id)
+            : Array.from(layers.keys());
+        const chosen = names.filter(name => (selection ? selection.includes(name) : layers.has(name)));
+        this.layerOrder = names;
+        const total = chosen.length;
+        let index = 0;
 
         // Process each layer
-        for (const [layerName, layerData] of layers) {
-            await this.createSpatialLayer(layerName, layerData, header);
-
-            // For ZYZ format, check if there are source references in metadata
-            if (preMixed && layerData.metadata.source_references) {
-                // Use source references for visualization (pre-mixed ZYZ file)
-                console.log('Loading ZYZ format with source references for visualization');
-                for (const sourceRef of layerData.metadata.source_references) {
-                    this.audioSources.push({
-                        name: sourceRef.name,
-                        position: sourceRef.position,
-                        metadata: { ...sourceRef, isReference: true },
-                        isReference: true  // Flag to indicate this is a visual marker only
-                    });
+        for (const layerName of names) {
+            const layerData = layers.get(layerName) ||
+                decoder.describeLayer(decoder.layerIndex.find(layerInfo => layerInfo.id === layerName));
+            
+            // The first layer that describes a room sets it for the whole file
+            const room = layerData.metadata.room;
+            if (!this.fileRoom && room && typeof room === 'object') {
+                this.fileRoom = room;
+            }
+            
+            if (!chosen.includes(layerName)) {
+                this.inactiveLayers.set(layerName, this.createInactiveLayer(layerData));
+                continue;
+            }
+            
+            await this.loadLayer(layerName, layerData, header, {
+                preMixed,
+                signal,
+                onProgress: (stage) => {
+                    if (onProgress) onProgress({ index, total, layerName, stage });
                 }
-            } else {
-                // Regular SHAC format - use actual layer positions
-                const position = layerData.metadata.position || [0, 0, 0];
+            });
+            index++;
+        }
+    }
+
+    /**
+     * Decode one layer and create it
+     * @param {Object} header - File header
+     * @param {Object} options - { preMixed, signal, onProgress(stage) }
+     */
+    async loadLayer(layerName, layerData, header, { preMixed = false, signal = null, onProgress = null } = {}) {
+        // Version 2 layers can have their own sample rate
+        const layerHeader = { ...header, sample_rate: layerData.sampleRate || header.sample_rate };
+        
+        // The worker renders with the same HRIR filters as the main thread
+        const binauralFilters = this.getBinauralFilters(header.order, layerHeader.sample_rate);
+        
+        const report = (stage) => {
+            if (onProgress) onProgress(stage);
+        };
+        report('decoding');
+        
+        // Pre-mixed fields keep their B-format channels when the
+        // real-time renderer is available, so head rotation still applies
+        const keepAmbisonic = layerData.metadata.pre_mixed === true &&
+            await this.ensureAmbisonicRenderer();
+        
+        // Loudspeaker output pans each positioned layer's W channel itself
+        const speakerPanned = this.outputLayout !== null && layerData.metadata.pre_mixed !== true;
+        
+        // PCM is read from the file only now, one layer at a time,
+        // and rendered to binaural in the decoder worker when possible
+        const audioData = layerData.audioData || await this.decoder.readLayerAudio(layerName, {
+            renderBinaural: !keepAmbisonic && !speakerPanned,
+            binauralFilters,
+            headRadius: this.headRadius,
+            decoderWeighting: this.decoderWeighting,
+            signal,
+            onProgress: (progress) => report(progress.stage)
+        });
+        
+        if (signal && signal.aborted) {
+            throw SHACDecoder.createAbortError();
+        }
+        
+        await this.createSpatialLayer(layerName, { ...layerData, audioData }, layerHeader, keepAmbisonic);
+
+        // For ZYZ format, check if there are source references in metadata
+        if (preMixed && layerData.metadata.source_references) {
+            // Use source references for visualization (pre-mixed ZYZ file)
+            console.log('Loading ZYZ format with source references for visualization');
+            for (const sourceRef of layerData.metadata.source_references) {
                 this.audioSources.push({
-                    name: layerName,
-                    position: position,
-                    metadata: layerData.metadata
+                    name: sourceRef.name,
+                    position: sourceRef.position,
+                    metadata: { ...sourceRef, isReference: true },
+                    isReference: true,  // Flag to indicate this is a visual marker only
+                    layerName
                 });
             }
+        } else {
+            // Regular SHAC format - use actual layer positions
+            const position = layerData.metadata.position || [0, 0, 0];
+            this.audioSources.push({
+                name: layerName,
+                position: position,
+                metadata: layerData.metadata,
+                layerName
+            });
         }
     }
 
+    /**
+     * Mixer state and metadata of a layer that is listed but not decoded
+     */
+    createInactiveLayer(layerData) {
+        const { metadata } = layerData;
+        return {
+            metadata,
+            metadataWarning: layerData.metadataWarning || null,
+            position: metadata.position || [0, 0, 0],
+            gain: Number.isFinite(metadata.gain) ? metadata.gain : 1,
+            muted: false,
+            soloed: false
+        };
+    }
+
+    /**
+     * Decode an inactive layer again and bring it in at the playback
+     * position, in sync with the layers already playing
+     * 
+     * Its fader, mute and solo are kept from while it was inactive.
+     * Calling this again while it decodes returns the same promise.
+     * @param {string} name
+     * @param {Object} [options] - { onProgress(stage) }
+     * @returns {Promise<boolean>} true once the layer is active; false if
+     *   it isn't in the file, or was deactivated or unloaded before it
+     *   finished decoding
+     */
+    activateLayer(name, { onProgress = null } = {}) {
+        if (this.layers.has(name)) return Promise.resolve(true);
+        if (this.pendingLayers.has(name)) return this.pendingLayers.get(name).promise;
+        
+        const entry = this.inactiveLayers.get(name);
+        const layerInfo = entry && this.decoder && this.decoder.layerIndex.find(info => info.id === name);
+        if (!layerInfo) return Promise.resolve(false);
+        
+        const decoder = this.decoder;
+        const pending = { controller: new AbortController(), unloaded: false, promise: null };
+        pending.promise = this.restoreLayer(name, entry, decoder.describeLayer(layerInfo), pending.controller.signal, onProgress)
+            .finally(() => {
+                if (this.pendingLayers.get(name) === pending) {
+                    this.pendingLayers.delete(name);
+                }
+                // Don't keep an idle worker alive, as after loading - unless
+                // a new file took over the decoder meanwhile
+                if (!pending.unloaded && !this.pendingLayers.size) {
+                    decoder.releaseWorker();
+                }
+            });
+        this.pendingLayers.set(name, pending);
+        return pending.promise;
+    }
+
+    /**
+     * Decode and create a layer for activateLayer(), then start it
+     * @returns {Promise<boolean>}
+     */
+    async restoreLayer(name, entry, layerData, signal, onProgress) {
+        try {
+            await this.loadLayer(name, layerData, this.decoder.header, {
+                preMixed: layerData.metadata.pre_mixed === true,
+                signal,
+                onProgress
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') return false;
+            throw error;
+        }
+        
+        // Unloaded while the layer was being created
+        const layer = this.layers.get(name);
+        if (signal.aborted) {
+            if (layer) {
+                this.disconnectLayer(layer);
+                this.layers.delete(name);
+                this.audioSources = this.audioSources.filter(source => source.layerName !== name);
+            }
+            return false;
+        }
+        this.inactiveLayers.delete(name);
+        layer.gain = entry.gain;
+        layer.muted = entry.muted;
+        layer.soloed = entry.soloed;
+        
+        if (this.audioContext) {
+            // Nothing plays through it yet, so the mix can apply at once
+            layer.gainNode.gain.value = this.getEffectiveGain(layer);
+            this.updateLayerGains();
+            this.updateReverbSends();
+            
+            if (this.isPlaying) {
+                this.startLayer(layer, this.getCurrentTime());
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Stop a layer and release its audio, keeping it in the mix; it
+     * decodes again from the file on activateLayer()
+     * 
+     * Deactivating a layer that is still decoding cancels the decode.
+     * @returns {boolean} false if the layer isn't active or can't be
+     *   decoded again (its audio didn't come from the file's index)
+     */
+    deactivateLayer(name) {
+        const pending = this.pendingLayers.get(name);
+        if (pending) {
+            this.pendingLayers.delete(name);
+            pending.controller.abort();
+            return true;
+        }
+        
+        const layer = this.layers.get(name);
+        if (!layer || !this.decoder || !this.decoder.layerIndex.some(info => info.id === name)) {
+            return false;
+        }
+        
+        this.layers.delete(name);
+        this.inactiveLayers.set(name, {
+            ...this.createInactiveLayer(layer),
+            gain: layer.gain,
+            muted: layer.muted,
+            soloed: layer.soloed
+        });
+        this.audioSources = this.audioSources.filter(source => source.layerName !== name);
+        
+        if (this.isPlaying) {
+            // Fade out like a seek, then let the nodes and buffers go
+            const now = this.audioContext.currentTime;
+            const fade = SpatialAudioEngine.SEEK_FADE_TIME;
+            layer.gainNode.gain.cancelScheduledValues(now);
+            layer.gainNode.gain.setValueAtTime(layer.gainNode.gain.value, now);
+            layer.gainNode.gain.linearRampToValueAtTime(0, now + fade);
+            layer.sourceNodes.forEach(sourceNode => sourceNode.stop(now + fade));
+            setTimeout(() => this.disconnectLayer(layer), fade * 2000);
+        } else {
+            this.disconnectLayer(layer);
+        }
+        
+        this.updateLayerGains();
+        return true;
+    }
+
+    /**
+     * Whether a layer is decoded and playing along (see activateLayer())
+     */
+    isLayerActive(name) {
+        return this.layers.has(name);
+    }
+
     /**
      * Create a spatial audio layer
+     * @param {Object} header - File header, with the layer's own sample rate
+     * @param {boolean} keepAmbisonic - Keep B-format channels for the real-time
+     *   renderer instead of decoding to a fixed binaural buffer
      */
-    async createSpatialLayer(name, layerData, header) {
+    async createSpatialLayer(name, layerData, header, keepAmbisonic = false) {
         const { metadata, audioData } = layerData;
-        const position = metadata.position || [0, 0, 0];
-        
-        // Create audio buffer from ambisonic data
-        const audioBuffer = await this.createAudioBuffer(audioData, header);
+        const automation = metadata.pre_mixed === true ? null : SourceAutomation.fromMetadata(metadata, name);
+        
+        // Create audio buffers: raw B-format for the renderer, the omni (W)
+        // channel for loudspeaker panning, stereo otherwise
+        const ambisonic = keepAmbisonic && audioData.length >= 4;
+        const speakerPanned = this.outputLayout !== null && metadata.pre_mixed !== true;
+        let audioBuffer = null;
+        if (speakerPanned) {
+            audioBuffer = this.audioContext.createBuffer(1, audioData[0].length, header.sample_rate);
+            audioBuffer.copyToChannel(audioData[0], 0);
+        } else if (!ambisonic) {
+            audioBuffer = await this.createAudioBuffer(audioData, header);
+        }
+        const ambisonicBuffers = ambisonic ? this.createAmbisonicBuffers(audioData, header) : null;
         
         // Store layer data for node creation
         const layerInfo = {
             name,
             audioBuffer,
-            position: metadata.position || [0, 0, 0],
+            ambisonicBuffers,
+            order: Math.sqrt(audioData.length) - 1,
+            position: (automation && automation.getPosition(0)) || metadata.position || [0, 0, 0],
             metadata,
-            sourceNode: null,
-            pannerNode: null
+            automation,  // Keyframed position and gain, or null
+            startTime: layerData.startTime || 0,  // Seconds into the scene
+            metadataWarning: layerData.metadataWarning || null,
+            gain: Number.isFinite(metadata.gain) ? metadata.gain : 1,
+            pannerSettings: metadata.pre_mixed === true ? null : this.getPannerSettings(metadata, name),
+            muted: false,
+            soloed: false,
+            sourceNodes: [],
+            pannerNode: null,
+            rendererNode: null,
+            rendererOutput: null,
+            gainNode: null,      // Fader, mute and solo
+            automationNode: null,  // Automated gain, before the fader
+            analyserNode: null,  // Level meter (after the fader)
+            distanceNode: null,  // Loudspeaker output: distance and cone gain
+            speakerGains: null,  // Loudspeaker output: one gain per speaker
+            speakerMerger: null,
+            inputNode: null  // Where sources connect: panner, renderer or layer gain
         };
         
         // Create audio nodes if context is available
@@ -220,41 +540,247 @@ class SpatialAudioEngine {
         this.layers.set(name, layerInfo);
     }
 
+    /**
+     * Distance and directivity for a layer's panner, from its metadata
+     * 
+     * Reads distance_model, ref_distance, rolloff, max_distance,
+     * orientation ([x, y, z], SHAC coordinates), cone_inner_angle,
+     * cone_outer_angle and cone_outer_gain. Missing or invalid values
+     * fall back to PANNER_DEFAULTS (invalid ones with a warning).
+     */
+    getPannerSettings(metadata, name) {
+        const settings = { ...SpatialAudioEngine.PANNER_DEFAULTS, orientation: null };
+        
+        const number = (key, isValid) => {
+            const value = metadata[key];
+            if (value === undefined || value === null) return undefined;
+            if (typeof value !== 'number' || !isFinite(value) || !isValid(value)) {
+                console.warn(`Layer "${name}": ignoring invalid ${key}`, value);
+                return undefined;
+            }
+            return value;
+        };
+        const assign = (property, value) => {
+            if (value !== undefined) settings[property] = value;
+        };
+        
+        if (metadata.distance_model !== undefined) {
+            if (['linear', 'inverse', 'exponential'].includes(metadata.distance_model)) {
+                settings.distanceModel = metadata.distance_model;
+            } else {
+                console.warn(`Layer "${name}": ignoring invalid distance_model`, metadata.distance_model);
+            }
+        }
+        
+        assign('refDistance', number('ref_distance', v => v > 0));
+        assign('rolloffFactor', number('rolloff', v => v >= 0));
+        assign('maxDistance', number('max_distance', v => v > 0));
+        assign('coneInnerAngle', number('cone_inner_angle', v => v >= 0 && v <= 360));
+        assign('coneOuterAngle', number('cone_outer_angle', v => v >= 0 && v <= 360));
+        assign('coneOuterGain', number('cone_outer_gain', v => v >= 0 && v <= 1));
+        
+        // The linear model needs a range to fade over
+        if (settings.distanceModel === 'linear' && settings.maxDistance <= settings.refDistance) {
+            console.warn(`Layer "${name}": max_distance must exceed ref_distance for the linear model`);
+            settings.maxDistance = Math.max(SpatialAudioEngine.PANNER_DEFAULTS.maxDistance, settings.refDistance * 2);
+        }
+        
+        const orientation = metadata.orientation;
+        if (orientation !== undefined) {
+            const valid = Array.isArray(orientation) && orientation.length === 3 && orientation.every(v => typeof v === 'number' && isFinite(v));
+            const length = valid ? Math.hypot(...orientation) : 0;
+            if (length > 0) {
+                settings.orientation = orientation.map(v => v / length);
+            } else {
+                console.warn(`Layer "${name}": ignoring invalid orientation`, orientation);
+            }
+        }
+        
+        return settings;
+    }
+
+    /**
+     * Master gain every layer connects to (created with the first layer)
+     */
+    getMasterOutput() {
+        if (!this.masterGain) {
+            this.masterGain = this.audioContext.createGain();
+            this.connectOutputStage();
+        }
+        return this.masterGain;
+    }
+
+    /**
+     * Switch between binaural headphones and a loudspeaker layout
+     * 
+     * Layers are decoded for the output they were loaded with, so the
+     * current file has to be loaded again afterwards.
+     * @param {Object|null} layout - From SpeakerLayouts, or null for headphones
+     * @param {string} decoderType - 'allrad' or 'epad'
+     * @throws {Error} If the audio device has fewer channels than the layout
+     */
+    setOutputLayout(layout, decoderType = 'allrad') {
+        if (layout) {
+            const available = this.audioContext.destination.maxChannelCount;
+            if (layout.speakers.length > available) {
+                throw new Error(`${layout.name} needs ${layout.speakers.length} output channels; this device has ${available}`);
+            }
+        }
+        
+        this.outputLayout = layout;
+        this.speakerDecoderType = decoderType;
+        this.speakerDecoders.clear();
+        if (this.masterGain) {
+            this.connectOutputStage();
+        }
+    }
+
+    /**
+     * Route the master gain to the destination for the current output
+     * 
+     * Loudspeakers get one discrete channel each, through a delay and gain
+     * that line up nearer speakers with the farthest one. Stereo signals
+     * (the reverb, binaural fallbacks) land on the first two channels.
+     */
+    connectOutputStage() {
+        const destination = this.audioContext.destination;
+        this.masterGain.disconnect();
+        if (this.outputStage) {
+            this.outputStage.merger.disconnect();
+            this.outputStage = null;
+        }
+        
+        if (!this.outputLayout) {
+            this.masterGain.channelCount = 2;
+            this.masterGain.channelCountMode = 'max';
+            this.masterGain.channelInterpretation = 'speakers';
+            destination.channelCount = 2;
+            destination.channelInterpretation = 'speakers';
+            this.masterGain.connect(destination);
+            return;
+        }
+        
+        const count = this.outputLayout.speakers.length;
+        this.masterGain.channelCount = count;
+        this.masterGain.channelCountMode = 'explicit';
+        this.masterGain.channelInterpretation = 'discrete';
+        destination.channelCount = count;
+        destination.channelCountMode = 'explicit';
+        destination.channelInterpretation = 'discrete';
+        
+        const splitter = this.audioContext.createChannelSplitter(count);
+        const merger = this.audioContext.createChannelMerger(count);
+        this.masterGain.connect(splitter);
+        
+        SpeakerLayouts.getCompensation(this.outputLayout).forEach(({ delay, gain }, index) => {
+            const delayNode = this.audioContext.createDelay(Math.max(delay, 0.001));
+            delayNode.delayTime.value = delay;
+            const gainNode = this.audioContext.createGain();
+            gainNode.gain.value = gain;
+            splitter.connect(delayNode, index);
+            delayNode.connect(gainNode);
+            gainNode.connect(merger, 0, index);
+        });
+        
+        merger.connect(destination);
+        this.outputStage = { splitter, merger };
+    }
+
+    /**
+     * Loudspeaker decoder for an order (cached until the layout changes)
+     * @returns {Float32Array[]} Weights per speaker
+     */
+    getSpeakerDecoder(order) {
+        if (!this.speakerDecoders.has(order)) {
+            this.speakerDecoders.set(order, SpeakerLayouts.createDecoder(
+                this.outputLayout,
+                order,
+                this.speakerDecoderType,
+                (n, azimuth, elevation) => this.computeACNHarmonics(n, azimuth, elevation),
+                this.decoderWeighting
+            ));
+        }
+        return this.speakerDecoders.get(order);
+    }
+
     /**
      * Create audio nodes for a layer
+     * 
+     * Builds the processing chain only; buffer sources are one-shot and
+     * are created by startLayer() each time playback starts.
      */
     createAudioNodes(layerInfo) {
-        // Create spatial nodes
-        const sourceNode = this.audioContext.createBufferSource();
-        sourceNode.buffer = layerInfo.audioBuffer;
-        sourceNode.loop = false;
-
         // Check if this is a pre-mixed ZYZ file
         const isPreMixed = layerInfo.metadata && layerInfo.metadata.pre_mixed === true;
+        
+        // Every layer has its own fader and meter:
+        //   ... → gain (→ panner) → analyser → master
+        // and sends from the fader, before distance attenuation, to the reverb
+        layerInfo.gainNode = this.audioContext.createGain();
+        layerInfo.gainNode.gain.value = this.getEffectiveGain(layerInfo);
+        layerInfo.analyserNode = this.audioContext.createAnalyser();
+        layerInfo.analyserNode.fftSize = SpatialAudioEngine.METER_WINDOW;
+        this.createReverbSend(layerInfo);
+        
+        // Automated gain feeds the fader, so the reverb send follows it too
+        layerInfo.automationNode = null;
+        if (layerInfo.automation && layerInfo.automation.gain.length) {
+            layerInfo.automationNode = this.audioContext.createGain();
+            layerInfo.automationNode.gain.value = layerInfo.automation.getGain(0);
+            layerInfo.automationNode.connect(layerInfo.gainNode);
+        }
+        const input = layerInfo.automationNode || layerInfo.gainNode;
 
         if (isPreMixed) {
             // ZYZ FORMAT: Ambisonic field is already spatially encoded
             // DO NOT apply panner node - it would destroy the spatial information
-            // Just connect directly to output for ambisonic decoding
-            console.log('ZYZ format detected: Using direct ambisonic decode (no panner)');
-
-            sourceNode.connect(this.audioContext.destination);
-            layerInfo.sourceNode = sourceNode;
             layerInfo.pannerNode = null;  // No panner for pre-mixed
+            layerInfo.gainNode.connect(layerInfo.analyserNode);
+            layerInfo.analyserNode.connect(this.getMasterOutput());
+
+            if (layerInfo.ambisonicBuffers) {
+                // Rotate by the listener's head and decode in real time
+                console.log('ZYZ format detected: Using head-tracked ambisonic renderer');
+                this.createAmbisonicRenderer(layerInfo);
+                layerInfo.rendererOutput.connect(input);
+                layerInfo.inputNode = layerInfo.rendererNode;
+            } else {
+                // Already decoded to binaural, connect directly to output
+                console.log('ZYZ format detected: Using direct ambisonic decode (no panner)');
+                layerInfo.inputNode = input;
+            }
             return;
         }
 
         // SHAC FORMAT: Each layer is a separate source that needs positioning
+        if (this.outputLayout) {
+            this.createSpeakerPanner(layerInfo);
+            return;
+        }
+        
         // Create panner node for 3D positioning
         const pannerNode = this.audioContext.createPanner();
+        const settings = layerInfo.pannerSettings;
         pannerNode.panningModel = 'HRTF';
-        pannerNode.distanceModel = 'inverse';
-        pannerNode.refDistance = 1;
-        pannerNode.maxDistance = 100;
-        pannerNode.rolloffFactor = 1;
-        pannerNode.coneInnerAngle = 360;
-        pannerNode.coneOuterAngle = 0;
-        pannerNode.coneOuterGain = 0;
+        pannerNode.distanceModel = settings.distanceModel;
+        pannerNode.refDistance = settings.refDistance;
+        pannerNode.maxDistance = settings.maxDistance;
+        pannerNode.rolloffFactor = settings.rolloffFactor;
+        pannerNode.coneInnerAngle = settings.coneInnerAngle;
+        pannerNode.coneOuterAngle = settings.coneOuterAngle;
+        pannerNode.coneOuterGain = settings.coneOuterGain;
+        
+        if (settings.orientation) {
+            // Flip X like the position
+            const [ox, oy, oz] = settings.orientation;
+            if (pannerNode.orientationX) {
+                pannerNode.orientationX.value = -ox;
+                pannerNode.orientationY.value = oy;
+                pannerNode.orientationZ.value = oz;
+            } else {
+                pannerNode.setOrientation(-ox, oy, oz);
+            }
+        }
 
         // Validate and set position
         const position = layerInfo.position;
@@ -277,12 +803,494 @@ class SpatialAudioEngine {
         }
         
         // Connect nodes
-        sourceNode.connect(pannerNode);
-        pannerNode.connect(this.audioContext.destination);
+        layerInfo.gainNode.connect(pannerNode);
+        pannerNode.connect(layerInfo.analyserNode);
+        layerInfo.analyserNode.connect(this.getMasterOutput());
         
         // Update layer info with nodes
-        layerInfo.sourceNode = sourceNode;
         layerInfo.pannerNode = pannerNode;
+        layerInfo.inputNode = input;
+    }
+
+    /**
+     * Loudspeaker panning for a positioned layer
+     * 
+     *   gain → distance (distance and cone gain) → analyser → gain per speaker → merger → master
+     * 
+     * The speaker gains are the layout decoder applied to the source's
+     * direction from the listener, set by updateSpeakerPanning().
+     */
+    createSpeakerPanner(layerInfo) {
+        const count = this.outputLayout.speakers.length;
+        layerInfo.distanceNode = this.audioContext.createGain();
+        layerInfo.speakerMerger = this.audioContext.createChannelMerger(count);
+        layerInfo.speakerGains = [];
+        
+        layerInfo.gainNode.connect(layerInfo.distanceNode);
+        layerInfo.distanceNode.connect(layerInfo.analyserNode);
+        for (let s = 0; s < count; s++) {
+            const gain = this.audioContext.createGain();
+            layerInfo.analyserNode.connect(gain);
+            gain.connect(layerInfo.speakerMerger, 0, s);
+            layerInfo.speakerGains.push(gain);
+        }
+        layerInfo.speakerMerger.connect(this.getMasterOutput());
+        
+        layerInfo.pannerNode = null;
+        layerInfo.inputNode = layerInfo.automationNode || layerInfo.gainNode;
+        this.setSpeakerPanning(layerInfo, false);
+    }
+
+    /**
+     * Rebuild another engine's scene in this engine's context
+     * 
+     * Used for offline rendering: the decoded buffers, mix, room and HRIRs
+     * are shared, every audio node is created afresh by createAudioNodes().
+     * @param {SpatialAudioEngine} source - Engine with a loaded file
+     */
+    async copySceneFrom(source) {
+        this.decoder = source.decoder;
+        this.hrirSet = source.hrirSet;
+        this.binauralFilterCache = source.binauralFilterCache;
+        this.headRadius = source.headRadius;
+        this.decoderWeighting = source.decoderWeighting;
+        this.sampleRate = source.sampleRate;
+        this.duration = source.duration;
+        this.presetRoom = source.presetRoom;
+        this.fileRoom = source.fileRoom;
+        this.outputLayout = source.outputLayout;
+        this.speakerDecoderType = source.speakerDecoderType;
+        this.speakerDecoders = source.speakerDecoders;
+        this.listenerPosition = { ...source.listenerPosition };
+        this.listenerRotation = { ...source.listenerRotation };
+        // Not rendered, but their solo still holds
+        this.inactiveLayers = new Map(source.inactiveLayers);
+        
+        // Every copy is in the mix before any gets its nodes, so a solo on
+        // a later layer silences the earlier ones too
+        for (const [name, layer] of source.layers) {
+            if (layer.ambisonicBuffers && !(await this.ensureAmbisonicRenderer())) {
+                throw new Error('The ambisonic renderer is not available in this context');
+            }
+            
+            this.layers.set(name, {
+                ...layer,
+                sourceNodes: [],
+                pannerNode: null,
+                rendererNode: null,
+                rendererOutput: null,
+                gainNode: null,
+                automationNode: null,
+                analyserNode: null,
+                distanceNode: null,
+                speakerGains: null,
+                speakerMerger: null,
+                meterData: null,
+                reverbSend: null,
+                reverbDelay: null,
+                inputNode: null
+            });
+        }
+        for (const [name, copy] of this.layers) {
+            this.createAudioNodes(copy);
+        }
+        
+        this.updateRoom();
+    }
+
+    /**
+     * Room for the current preset and file (file parameters win)
+     */
+    getRoom() {
+        return { ...(this.presetRoom || {}), ...(this.fileRoom || {}) };
+    }
+
+    /**
+     * Apply the current room to the reverb bus, if it exists yet
+     */
+    updateRoom() {
+        if (!this.roomAcoustics) return;
+        
+        this.roomAcoustics.setRoom(this.getRoom());
+        this.updateReverbSends();
+    }
+
+    /**
+     * Send from a layer's fader into the shared reverb through its own
+     * pre-delay line (created with the first layer)
+     */
+    createReverbSend(layerInfo) {
+        if (!window.RoomAcoustics) return;
+        
+        if (!this.roomAcoustics) {
+            this.roomAcoustics = new RoomAcoustics(this.audioContext, this.getMasterOutput());
+            this.roomAcoustics.setRoom(this.getRoom());
+        }
+        
+        layerInfo.reverbSend = this.audioContext.createGain();
+        layerInfo.reverbSend.gain.value = 0;
+        layerInfo.reverbDelay = this.audioContext.createDelay(RoomAcoustics.MAX_PREDELAY);
+        layerInfo.gainNode.connect(layerInfo.reverbSend);
+        layerInfo.reverbSend.connect(layerInfo.reverbDelay);
+        layerInfo.reverbDelay.connect(this.roomAcoustics.input);
+    }
+
+    /**
+     * Set every layer's reverb send and pre-delay from its distance to the
+     * listener (pre-mixed fields surround the listener, so distance 0)
+     */
+    updateReverbSends() {
+        if (!this.roomAcoustics) return;
+        
+        const now = this.audioContext.currentTime;
+        for (const [name, layer] of this.layers) {
+            if (!layer.reverbSend) continue;
+            
+            let distance = 0;
+            if (layer.pannerSettings) {
+                distance = Math.hypot(
+                    (layer.position[0] || 0) - this.listenerPosition.x,
+                    (layer.position[1] || 0) - this.listenerPosition.y,
+                    (layer.position[2] || 0) - this.listenerPosition.z
+                );
+            }
+            
+            const { gain, delay } = this.roomAcoustics.getSendLevels(distance);
+            layer.reverbSend.gain.setTargetAtTime(gain, now, SpatialAudioEngine.GAIN_SMOOTHING);
+            layer.reverbDelay.delayTime.setTargetAtTime(delay, now, SpatialAudioEngine.PREDELAY_SMOOTHING);
+        }
+    }
+
+    /**
+     * Re-pan every loudspeaker-panned layer for the listener's pose
+     */
+    updateSpeakerPanning() {
+        for (const [name, layer] of this.layers) {
+            if (layer.speakerGains) {
+                this.setSpeakerPanning(layer, true);
+            }
+        }
+    }
+
+    /**
+     * Point a layer's speaker gains at its source, as heard from the listener
+     * @param {boolean} smooth - Glide to the new gains (false on creation)
+     */
+    setSpeakerPanning(layer, smooth) {
+        const listener = this.listenerPosition;
+        const offset = [
+            (layer.position[0] || 0) - listener.x,
+            (layer.position[1] || 0) - listener.y,
+            (layer.position[2] || 0) - listener.z
+        ];
+        const distance = Math.hypot(offset[0], offset[1], offset[2]);
+        
+        // Head axes in SHAC coordinates (x right, y up, z ahead at azimuth 0)
+        const azimuthRad = (this.listenerRotation.azimuth * Math.PI) / 180;
+        const elevationRad = (this.listenerRotation.elevation * Math.PI) / 180;
+        const rollRad = (this.listenerRotation.roll * Math.PI) / 180;
+        const forward = [
+            Math.sin(azimuthRad) * Math.cos(elevationRad),
+            Math.sin(elevationRad),
+            Math.cos(azimuthRad) * Math.cos(elevationRad)
+        ];
+        const levelRight = [Math.cos(azimuthRad), 0, -Math.sin(azimuthRad)];
+        const levelUp = [
+            -Math.sin(azimuthRad) * Math.sin(elevationRad),
+            Math.cos(elevationRad),
+            -Math.cos(azimuthRad) * Math.sin(elevationRad)
+        ];
+        const right = levelRight.map((value, i) => value * Math.cos(rollRad) + levelUp[i] * Math.sin(rollRad));
+        const up = levelUp.map((value, i) => value * Math.cos(rollRad) - levelRight[i] * Math.sin(rollRad));
+        const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+        
+        // Direction in the ambisonic frame (x front, y left, z up); a source
+        // at the listener's position is put in front
+        let azimuth = 0;
+        let elevation = 0;
+        if (distance > 1e-6) {
+            const x = dot(offset, forward);
+            const y = -dot(offset, right);
+            const z = dot(offset, up);
+            azimuth = Math.atan2(y, x);
+            elevation = Math.atan2(z, Math.hypot(x, y));
+        }
+        
+        const settings = layer.pannerSettings;
+        const toListener = offset.map(value => -value);
+        const level = this.getDistanceGain(settings, distance) * this.getConeGain(settings, toListener);
+        
+        const decoder = this.getSpeakerDecoder(layer.order);
+        // This runs on every listener move, so directions go through the
+        // file decoder's harmonics cache when there is one
+        const coeffs = this.decoder
+            ? this.decoder.computeSphericalHarmonicsVectorized(layer.order, azimuth, elevation)
+            : this.computeACNHarmonics(layer.order, azimuth, elevation);
+        const now = this.audioContext.currentTime;
+        const setGain = (param, value) => {
+            if (smooth) {
+                param.setTargetAtTime(value, now, SpatialAudioEngine.GAIN_SMOOTHING);
+            } else {
+                param.value = value;
+            }
+        };
+        
+        setGain(layer.distanceNode.gain, level);
+        layer.speakerGains.forEach((gain, s) => {
+            let value = 0;
+            for (let n = 0; n < coeffs.length; n++) {
+                value += decoder[s][n] * coeffs[n];
+            }
+            setGain(gain.gain, value);
+        });
+    }
+
+    /**
+     * Distance attenuation, with the PannerNode's formulas
+     */
+    getDistanceGain(settings, distance) {
+        const { distanceModel, refDistance, maxDistance, rolloffFactor } = settings;
+        
+        if (distanceModel === 'linear') {
+            const clamped = Math.min(Math.max(distance, refDistance), maxDistance);
+            const rolloff = Math.min(Math.max(rolloffFactor, 0), 1);
+            return 1 - rolloff * (clamped - refDistance) / (maxDistance - refDistance);
+        }
+        if (distanceModel === 'exponential') {
+            return Math.pow(Math.max(distance, refDistance) / refDistance, -rolloffFactor);
+        }
+        return refDistance / (refDistance + rolloffFactor * (Math.max(distance, refDistance) - refDistance));
+    }
+
+    /**
+     * Directivity cone gain, with the PannerNode's formulas
+     * @param {number[]} toListener - Vector from the source to the listener
+     */
+    getConeGain(settings, toListener) {
+        const { orientation, coneInnerAngle, coneOuterAngle, coneOuterGain } = settings;
+        const length = Math.hypot(toListener[0], toListener[1], toListener[2]);
+        if (!orientation || length === 0 || (coneInnerAngle === 360 && coneOuterAngle === 360)) {
+            return 1;
+        }
+        
+        const cosine = (orientation[0] * toListener[0] + orientation[1] * toListener[1] + orientation[2] * toListener[2]) / length;
+        const angle = (Math.acos(Math.max(-1, Math.min(1, cosine))) * 180) / Math.PI;
+        const inner = coneInnerAngle / 2;
+        const outer = coneOuterAngle / 2;
+        
+        if (angle <= inner) return 1;
+        if (angle >= outer) return coneOuterGain;
+        const x = (angle - inner) / (outer - inner);
+        return (1 - x) + coneOuterGain * x;
+    }
+
+    /**
+     * Load the ambisonic renderer worklet (once per audio context)
+     * @returns {Promise<boolean>} false when AudioWorklet is unavailable
+     */
+    ensureAmbisonicRenderer() {
+        if (!this.audioContext || !this.audioContext.audioWorklet) {
+            return Promise.resolve(false);
+        }
+        
+        if (!this.ambisonicRendererReady) {
+            this.ambisonicRendererReady = this.audioContext.audioWorklet
+                .addModule(SpatialAudioEngine.AMBISONIC_RENDERER_URL)
+                .then(() => true)
+                .catch((error) => {
+                    console.warn('Ambisonic renderer unavailable, using static binaural decode:', error);
+                    return false;
+                });
+        }
+        return this.ambisonicRendererReady;
+    }
+
+    /**
+     * Split B-format channels into AudioBuffers the renderer can take
+     * 
+     * AudioBuffers and node inputs top out at 32 channels, so the field is
+     * carried as groups of AMBISONIC_GROUP_SIZE ACN channels, one per input.
+     */
+    createAmbisonicBuffers(audioData, header) {
+        const groupSize = SpatialAudioEngine.AMBISONIC_GROUP_SIZE;
+        const numSamples = audioData[0].length;
+        const buffers = [];
+        
+        for (let start = 0; start < audioData.length; start += groupSize) {
+            const channels = Math.min(groupSize, audioData.length - start);
+            const buffer = this.audioContext.createBuffer(channels, numSamples, header.sample_rate);
+            for (let ch = 0; ch < channels; ch++) {
+                buffer.copyToChannel(audioData[start + ch], ch);
+            }
+            buffers.push(buffer);
+        }
+        
+        return buffers;
+    }
+
+    /**
+     * Create the nodes that rotate and decode a pre-mixed layer
+     * 
+     * With an HRIR set the worklet only rotates, and each head-frame channel
+     * runs through a ConvolverNode holding its left/right binaural filter.
+     * Without one the worklet decodes to stereo itself with per-channel gains,
+     * and for loudspeakers it decodes to one channel per speaker.
+     * Sets layerInfo.rendererNode (input) and layerInfo.rendererOutput.
+     */
+    createAmbisonicRenderer(layerInfo) {
+        const groupSize = SpatialAudioEngine.AMBISONIC_GROUP_SIZE;
+        const numChannels = (layerInfo.order + 1) * (layerInfo.order + 1);
+        const groups = layerInfo.ambisonicBuffers.length;
+        const filters = this.outputLayout ? null : this.getBinauralFilters(layerInfo.order, this.audioContext.sampleRate);
+        const decodeChannels = this.outputLayout ? this.outputLayout.speakers.length : 2;
+        
+        const node = new AudioWorkletNode(this.audioContext, 'ambisonic-renderer', {
+            numberOfInputs: groups,
+            numberOfOutputs: filters ? groups : 1,
+            outputChannelCount: filters ? new Array(groups).fill(groupSize) : [decodeChannels],
+            channelCount: groupSize,
+            channelCountMode: 'explicit',
+            channelInterpretation: 'discrete',
+            processorOptions: {
+                numChannels,
+                channelsPerInput: groupSize,
+                mode: filters ? 'rotate' : 'decode'
+            }
+        });
+        node.port.postMessage({ type: 'rotation', matrix: this.getHeadRotationMatrix(layerInfo.order) });
+        
+        layerInfo.rendererNode = node;
+        
+        if (this.outputLayout) {
+            node.port.postMessage({ type: 'decoder', rows: this.getSpeakerDecoder(layerInfo.order) });
+            layerInfo.rendererOutput = node;
+            return;
+        }
+        
+        if (!filters) {
+            const { left, right } = this.getBinauralDecodeVectors(layerInfo.order);
+            node.port.postMessage({ type: 'decoder', rows: [left, right] });
+            layerInfo.rendererOutput = node;
+            return;
+        }
+        
+        // One stereo convolver per head-frame channel, summed into the output
+        const output = this.audioContext.createGain();
+        for (let group = 0; group < groups; group++) {
+            const splitter = this.audioContext.createChannelSplitter(groupSize);
+            node.connect(splitter, group);
+            
+            for (let c = 0; c < groupSize && group * groupSize + c < numChannels; c++) {
+                const ch = group * groupSize + c;
+                const impulse = this.audioContext.createBuffer(2, filters.length, this.audioContext.sampleRate);
+                impulse.copyToChannel(filters.left[ch], 0);
+                impulse.copyToChannel(filters.right[ch], 1);
+                
+                const convolver = this.audioContext.createConvolver();
+                convolver.normalize = false;
+                convolver.buffer = impulse;
+                splitter.connect(convolver, c);
+                convolver.connect(output);
+            }
+        }
+        layerInfo.rendererOutput = output;
+    }
+
+    /**
+     * Per-channel binaural decode weights for a head-frame ambisonic field
+     * 
+     * Folds the virtual speaker decode and the HRTF gains of the static path
+     * into one weight per ACN channel and ear, so the renderer can decode
+     * each render quantum with a single dot product. Gains can't split
+     * bands, so a dual-band weighting uses its high band here.
+     */
+    getBinauralDecodeVectors(order) {
+        const numChannels = (order + 1) * (order + 1);
+        const left = new Float32Array(numChannels);
+        const right = new Float32Array(numChannels);
+        const weights = DecoderDesign.getBandWeights(order, this.decoderWeighting).high;
+        
+        for (const speaker of this.getVirtualSpeakerConfig(order)) {
+            const shCoeffs = this.computeACNHarmonics(order, speaker.azimuth, speaker.elevation);
+            const hrtf = this.getHRTF(speaker.azimuth, speaker.elevation);
+            
+            for (let ch = 0; ch < numChannels; ch++) {
+                const weight = shCoeffs[ch] * weights[ch] * speaker.gain;
+                left[ch] += weight * hrtf.left;
+                right[ch] += weight * hrtf.right;
+            }
+        }
+        
+        return { left, right };
+    }
+
+    /**
+     * Real SN3D spherical harmonics in ACN order, without Condon-Shortley
+     * phase - the convention the decoder's rotation matrices are built in
+     * (x front, y left, z up; azimuth counter-clockwise from the front)
+     */
+    computeACNHarmonics(order, azimuth, elevation) {
+        const coeffs = new Float32Array((order + 1) * (order + 1));
+        const x = Math.sin(elevation);
+        const c = Math.cos(elevation);
+        
+        for (let m = 0; m <= order; m++) {
+            // Legendre recursion in l for fixed m, starting from P_m^m
+            let pmm = 1;
+            for (let i = 1; i <= m; i++) {
+                pmm *= (2 * i - 1) * c;
+            }
+            
+            let prev = 0;
+            let curr = pmm;
+            for (let l = m; l <= order; l++) {
+                if (l > m) {
+                    const next = l === m + 1
+                        ? x * (2 * m + 1) * pmm
+                        : ((2 * l - 1) * x * curr - (l + m - 1) * prev) / (l - m);
+                    prev = curr;
+                    curr = next;
+                }
+                
+                const norm = Math.sqrt((m === 0 ? 1 : 2) * this.factorial(l - m) / this.factorial(l + m));
+                if (m === 0) {
+                    coeffs[l * l + l] = norm * curr;
+                } else {
+                    coeffs[l * l + l + m] = norm * curr * Math.cos(m * azimuth);
+                    coeffs[l * l + l - m] = norm * curr * Math.sin(m * azimuth);
+                }
+            }
+        }
+        
+        return coeffs;
+    }
+
+    /**
+     * SH rotation matrix of the listener's head in the ambisonic frame
+     * 
+     * Turning right (positive azimuth) is a negative yaw about the up axis
+     * and looking up is a negative pitch about the left axis.
+     */
+    getHeadRotationMatrix(order) {
+        const azimuthRad = (this.listenerRotation.azimuth * Math.PI) / 180;
+        const elevationRad = (this.listenerRotation.elevation * Math.PI) / 180;
+        const rollRad = (this.listenerRotation.roll * Math.PI) / 180;
+        
+        return this.decoder.getCachedRotationMatrix(order, -azimuthRad, -elevationRad, rollRad);
+    }
+
+    /**
+     * Send the current head rotation to every ambisonic renderer
+     */
+    updateAmbisonicRotation() {
+        for (const [name, layer] of this.layers) {
+            if (layer.rendererNode) {
+                layer.rendererNode.port.postMessage({
+                    type: 'rotation',
+                    matrix: this.getHeadRotationMatrix(layer.order)
+                });
+            }
+        }
     }
 
     /**
@@ -314,7 +1322,8 @@ class SpatialAudioEngine {
         
         if (audioData.length >= 4) {
             // Full ambisonic decoding with HRTF-based binaural rendering
-            this.decodeBinauralHRTF(audioData, left, right, numSamples, order);
+            const filters = this.getBinauralFilters(order, header.sample_rate);
+            this.decodeBinauralHRTF(audioData, left, right, numSamples, order, filters);
         } else if (audioData.length >= 2) {
             // Stereo input
             left.set(audioData[0]);
@@ -325,149 +1334,314 @@ class SpatialAudioEngine {
             right.set(audioData[0]);
         }
         
-        return audioBuffer;
+        return audioBuffer;
+    }
+    
+    /**
+     * HRTF-based binaural decoding for ambisonics
+     * 
+     * Note: Uses full virtual speaker decoding rather than simple channel mixing.
+     * Simple 4-channel mixing discards significant spatial information.
+     * This implementation preserves spatial detail through proper decoding.
+     * @param {Object|null} filters - From getBinauralFilters(); convolves with
+     *   measured HRIRs when given, otherwise falls back to per-speaker gains
+     */
+    decodeBinauralHRTF(audioData, left, right, numSamples, order, filters = null) {
+        if (filters) {
+            this.convolveBinaural(audioData, filters, left, right, numSamples);
+            return;
+        }
+        
+        // Virtual loudspeaker configuration for binaural decoding
+        const speakers = this.getVirtualSpeakerConfig(order);
+        
+        // Decode ambisonics to virtual speakers first
+        const speakerOutputs = this.decodeToVirtualSpeakers(audioData, speakers, numSamples);
+        
+        // Apply HRTF to each virtual speaker and sum to stereo
+        this.applySpatialHRTF(speakerOutputs, speakers, left, right, numSamples);
+    }
+    
+    /**
+     * Use a different HRIR set (null for the gain-only fallback)
+     * 
+     * Layers already rendered keep their old filters until reloaded.
+     */
+    setHRIRSet(hrirSet) {
+        this.hrirSet = hrirSet;
+        this.binauralFilterCache.clear();
+    }
+    
+    /**
+     * Use a different listener head radius for the spherical-head model:
+     * the virtual-speaker decode and, if in use, the built-in HRIR set
+     * (measured sets keep their own head)
+     * 
+     * Layers already rendered keep the old head until reloaded.
+     * @param {number} radius - Metres, clamped to MIN/MAX_HEAD_RADIUS
+     * @returns {number} The radius used
+     */
+    setHeadRadius(radius) {
+        if (!Number.isFinite(radius)) {
+            throw new Error('Head radius must be a number of metres');
+        }
+        
+        this.headRadius = Math.min(SpatialAudioEngine.MAX_HEAD_RADIUS, Math.max(SpatialAudioEngine.MIN_HEAD_RADIUS, radius));
+        if (this.hrirSet && this.hrirSet.headRadius !== null) {
+            this.setHRIRSet(HRIRSet.createDefault(this.hrirSet.sampleRate, this.headRadius));
+        } else {
+            this.binauralFilterCache.clear();
+        }
+        return this.headRadius;
     }
     
     /**
-     * HRTF-based binaural decoding for ambisonics
+     * Use a different decoder weighting (one of DecoderDesign.WEIGHTINGS)
+     * for the virtual-speaker and loudspeaker decoders
      * 
-     * Note: Uses full virtual speaker decoding rather than simple channel mixing.
-     * Simple 4-channel mixing discards significant spatial information.
-     * This implementation preserves spatial detail through proper decoding.
+     * Layers already rendered keep the old weighting until reloaded.
      */
-    decodeBinauralHRTF(audioData, left, right, numSamples, order) {
-        // Virtual loudspeaker configuration for binaural decoding
-        const speakers = this.getVirtualSpeakerConfig(order);
-        
-        // Decode ambisonics to virtual speakers first
-        const speakerOutputs = this.decodeToVirtualSpeakers(audioData, speakers, numSamples);
+    setDecoderWeighting(weighting) {
+        if (!DecoderDesign.WEIGHTINGS.includes(weighting)) {
+            throw new Error(`Unknown decoder weighting: ${weighting}`);
+        }
         
-        // Apply HRTF to each virtual speaker and sum to stereo
-        this.applySpatialHRTF(speakerOutputs, speakers, left, right, numSamples);
+        this.decoderWeighting = weighting;
+        this.binauralFilterCache.clear();
+        this.speakerDecoders.clear();
     }
     
     /**
-     * Get virtual speaker configuration based on ambisonic order
+     * Binaural filters per ACN channel for the current HRIR set
+     * 
+     * Decoding is linear, so each virtual speaker's HRIR pair is weighted by
+     * its decode coefficients and summed per channel. Convolving the B-format
+     * channels with these equals convolving every speaker feed with its HRIR,
+     * with (order+1)² convolutions instead of one per speaker. A dual-band
+     * weighting folds its crossover into the filters as well.
+     * @returns {{length: number, left: Float32Array[], right: Float32Array[]}|null}
      */
-    getVirtualSpeakerConfig(order) {
-        // Optimized speaker layouts for different orders
-        if (order >= 3) {
-            // 3rd order: 20-speaker icosahedral layout
-            return this.getIcosahedralSpeakers();
-        } else if (order >= 2) {
-            // 2nd order: 12-speaker layout
-            return this.getDodecahedralSpeakers();
-        } else {
-            // 1st order: 8-speaker cube layout
-            return this.getCubeSpeakers();
+    getBinauralFilters(order, sampleRate) {
+        if (!this.hrirSet || order < 1) return null;
+        
+        const key = `${order}_${sampleRate}`;
+        if (this.binauralFilterCache.has(key)) {
+            return this.binauralFilterCache.get(key);
+        }
+        
+        const hrirs = this.hrirSet.atSampleRate(sampleRate);
+        const numChannels = (order + 1) * (order + 1);
+        const { low, high } = DecoderDesign.getBandWeights(order, this.decoderWeighting);
+        const dualBand = low !== high;
+        let length = hrirs.length;
+        let left = Array.from({ length: numChannels }, () => new Float32Array(length));
+        let right = Array.from({ length: numChannels }, () => new Float32Array(length));
+        
+        for (const speaker of this.getVirtualSpeakerConfig(order)) {
+            const shCoeffs = this.computeACNHarmonics(order, speaker.azimuth, speaker.elevation);
+            const hrir = hrirs.getHRIR(speaker.azimuth, speaker.elevation);
+            
+            for (let ch = 0; ch < numChannels; ch++) {
+                const weight = shCoeffs[ch] * speaker.gain * (dualBand ? 1 : high[ch]);
+                if (weight === 0) continue;
+                for (let i = 0; i < length; i++) {
+                    left[ch][i] += weight * hrir.left[i];
+                    right[ch][i] += weight * hrir.right[i];
+                }
+            }
+        }
+        
+        if (dualBand) {
+            // Weights are per order, so one crossover impulse per order
+            const impulses = [];
+            for (let l = 0; l <= order; l++) {
+                impulses.push(DecoderDesign.getCrossoverImpulse(sampleRate, low[l * l], high[l * l]));
+            }
+            const hrirLength = length;
+            length += impulses[0].length - 1;
+            const convolve = (filter, impulse) => {
+                const out = new Float32Array(length);
+                for (let i = 0; i < hrirLength; i++) {
+                    if (filter[i] === 0) continue;
+                    for (let j = 0; j < impulse.length; j++) out[i + j] += filter[i] * impulse[j];
+                }
+                return out;
+            };
+            left = left.map((filter, ch) => convolve(filter, impulses[Math.floor(Math.sqrt(ch))]));
+            right = right.map((filter, ch) => convolve(filter, impulses[Math.floor(Math.sqrt(ch))]));
         }
+        
+        const filters = { length, left, right };
+        this.binauralFilterCache.set(key, filters);
+        return filters;
     }
     
     /**
-     * High-quality 20-speaker icosahedral layout for 3rd order
-     */
-    getIcosahedralSpeakers() {
-        const phi = (1 + Math.sqrt(5)) / 2; // Golden ratio
-        const speakers = [];
-        
-        // 12 vertices of icosahedron + 8 additional for stability
-        const vertices = [
-            [0, 1, phi], [0, -1, phi], [0, 1, -phi], [0, -1, -phi],
-            [1, phi, 0], [-1, phi, 0], [1, -phi, 0], [-1, -phi, 0],
-            [phi, 0, 1], [phi, 0, -1], [-phi, 0, 1], [-phi, 0, -1],
-            // Additional speakers for 3rd order stability
-            [phi/2, phi/2, phi/2], [-phi/2, phi/2, phi/2], 
-            [phi/2, -phi/2, phi/2], [-phi/2, -phi/2, phi/2],
-            [phi/2, phi/2, -phi/2], [-phi/2, phi/2, -phi/2],
-            [phi/2, -phi/2, -phi/2], [-phi/2, -phi/2, -phi/2]
-        ];
+     * Overlap-add FFT convolution of B-format channels with binaural filters
+     * 
+     * Channel spectra are summed before the inverse transform, two real
+     * channels share each forward FFT, and left/right come back together
+     * as the real and imaginary parts of one inverse FFT.
+     */
+    convolveBinaural(audioData, filters, left, right, numSamples) {
+        const numChannels = Math.min(audioData.length, filters.left.length);
+        const fftSize = FFT.nextPowerOfTwo(Math.max(4096, filters.length * 4));
+        const hop = fftSize - filters.length + 1;
+        const fft = new FFT(fftSize);
+        
+        // Filter spectra, one left/right pair per channel
+        const spectra = [];
+        for (let ch = 0; ch < numChannels; ch++) {
+            const re = new Float64Array(fftSize);
+            const im = new Float64Array(fftSize);
+            re.set(filters.left[ch]);
+            im.set(filters.right[ch]);
+            fft.transform(re, im);
+            spectra.push(this.splitSpectra(re, im, fftSize));
+        }
         
-        vertices.forEach((pos, i) => {
-            const [x, y, z] = pos;
-            const norm = Math.sqrt(x*x + y*y + z*z);
-            speakers.push({
-                azimuth: Math.atan2(x, z),
-                elevation: Math.asin(y / norm),
-                gain: 1.0 / vertices.length
-            });
-        });
+        left.fill(0);
+        right.fill(0);
+        
+        const zr = new Float64Array(fftSize);
+        const zi = new Float64Array(fftSize);
+        const outRe = new Float64Array(fftSize);
+        const outIm = new Float64Array(fftSize);
         
-        return speakers;
+        for (let start = 0; start < numSamples; start += hop) {
+            const blockLength = Math.min(hop, numSamples - start);
+            outRe.fill(0);
+            outIm.fill(0);
+            
+            for (let a = 0; a < numChannels; a += 2) {
+                const b = a + 1 < numChannels ? a + 1 : -1;
+                zr.fill(0);
+                zi.fill(0);
+                zr.set(audioData[a].subarray(start, start + blockLength));
+                if (b >= 0) zi.set(audioData[b].subarray(start, start + blockLength));
+                fft.transform(zr, zi);
+                
+                const ha = spectra[a];
+                const hb = b >= 0 ? spectra[b] : null;
+                for (let k = 0; k < fftSize; k++) {
+                    const nk = (fftSize - k) & (fftSize - 1);
+                    
+                    // Untangle the two real channels packed into one FFT
+                    const aRe = (zr[k] + zr[nk]) / 2;
+                    const aIm = (zi[k] - zi[nk]) / 2;
+                    
+                    // Y = Yleft + j·Yright, accumulated over channels
+                    let yRe = aRe * ha.leftRe[k] - aIm * ha.leftIm[k] - (aRe * ha.rightIm[k] + aIm * ha.rightRe[k]);
+                    let yIm = aRe * ha.leftIm[k] + aIm * ha.leftRe[k] + (aRe * ha.rightRe[k] - aIm * ha.rightIm[k]);
+                    
+                    if (hb) {
+                        const bRe = (zi[k] + zi[nk]) / 2;
+                        const bIm = -(zr[k] - zr[nk]) / 2;
+                        yRe += bRe * hb.leftRe[k] - bIm * hb.leftIm[k] - (bRe * hb.rightIm[k] + bIm * hb.rightRe[k]);
+                        yIm += bRe * hb.leftIm[k] + bIm * hb.leftRe[k] + (bRe * hb.rightRe[k] - bIm * hb.rightIm[k]);
+                    }
+                    
+                    outRe[k] += yRe;
+                    outIm[k] += yIm;
+                }
+            }
+            
+            fft.inverse(outRe, outIm);
+            
+            // Overlap-add; the tail past the end of the buffer is dropped
+            const end = Math.min(fftSize, numSamples - start);
+            for (let i = 0; i < end; i++) {
+                left[start + i] += outRe[i];
+                right[start + i] += outIm[i];
+            }
+        }
     }
     
     /**
-     * 12-speaker dodecahedral layout for 2nd order
+     * Separate the spectra of two real signals transformed as re + j·im
      */
-    getDodecahedralSpeakers() {
-        const speakers = [];
+    splitSpectra(re, im, size) {
+        const spectra = {
+            leftRe: new Float64Array(size),
+            leftIm: new Float64Array(size),
+            rightRe: new Float64Array(size),
+            rightIm: new Float64Array(size)
+        };
         
-        // Optimized 12-speaker layout
-        for (let i = 0; i < 12; i++) {
-            const azimuth = (i * 2 * Math.PI) / 12;
-            const elevation = (i % 2 === 0) ? Math.PI/6 : -Math.PI/6;
-            
-            speakers.push({
-                azimuth: azimuth,
-                elevation: elevation,
-                gain: 1.0 / 12
-            });
+        for (let k = 0; k < size; k++) {
+            const nk = (size - k) & (size - 1);
+            spectra.leftRe[k] = (re[k] + re[nk]) / 2;
+            spectra.leftIm[k] = (im[k] - im[nk]) / 2;
+            spectra.rightRe[k] = (im[k] + im[nk]) / 2;
+            spectra.rightIm[k] = -(re[k] - re[nk]) / 2;
         }
         
-        return speakers;
+        return spectra;
     }
     
     /**
-     * 8-speaker cube layout for 1st order
-     */
-    getCubeSpeakers() {
-        return [
-            { azimuth: 0, elevation: 0, gain: 0.125 },           // Front
-            { azimuth: Math.PI/2, elevation: 0, gain: 0.125 },   // Left
-            { azimuth: Math.PI, elevation: 0, gain: 0.125 },     // Back
-            { azimuth: -Math.PI/2, elevation: 0, gain: 0.125 },  // Right
-            { azimuth: 0, elevation: Math.PI/4, gain: 0.125 },   // Front Up
-            { azimuth: Math.PI/2, elevation: Math.PI/4, gain: 0.125 }, // Left Up
-            { azimuth: Math.PI, elevation: Math.PI/4, gain: 0.125 },   // Back Up
-            { azimuth: -Math.PI/2, elevation: Math.PI/4, gain: 0.125 } // Right Up
-        ];
+     * Virtual speakers for decoding an order: the points of a spherical
+     * t-design, equally weighted (see DecoderDesign)
+     */
+    getVirtualSpeakerConfig(order) {
+        return DecoderDesign.getVirtualSpeakers(order);
     }
     
     /**
      * Decode ambisonics to virtual speaker array
+     * 
+     * Channels are weighted for the current decoder weighting; with a
+     * dual-band one each channel is split at the crossover and its bands
+     * weighted apart before it is added to the speakers.
      */
     decodeToVirtualSpeakers(audioData, speakers, numSamples) {
-        const outputs = [];
-        
-        for (let spkIdx = 0; spkIdx < speakers.length; spkIdx++) {
-            const speaker = speakers[spkIdx];
-            const output = audioBufferPool.acquire(numSamples);
-            
-            // Compute spherical harmonic coefficients for this speaker direction
-            const shCoeffs = this.computeSphericalHarmonics(speaker.azimuth, speaker.elevation, audioData.length);
+        const order = Math.ceil(Math.sqrt(audioData.length)) - 1;
+        const { low, high } = DecoderDesign.getBandWeights(order, this.decoderWeighting);
+        const crossover = low !== high ? DecoderDesign.createCrossover(this.sampleRate || 48000) : null;
+        const weighted = crossover ? audioBufferPool.acquire(numSamples) : null;
+        
+        // Compute spherical harmonic coefficients for each speaker direction
+        const shCoeffs = speakers.map(speaker =>
+            this.computeSphericalHarmonics(speaker.azimuth, speaker.elevation, audioData.length));
+        const outputs = speakers.map(() => audioBufferPool.acquire(numSamples));
+        
+        // Decode: sum of (ambisonic_channel * sh_coefficient), a channel at a time
+        for (let ch = 0; ch < audioData.length; ch++) {
+            let input = audioData[ch];
+            let channelWeight = high[ch];
+            if (crossover) {
+                input = DecoderDesign.applyCrossover(crossover, input.subarray(0, numSamples), low[ch], high[ch], weighted);
+                channelWeight = 1;
+            }
             
-            // Decode: sum of (ambisonic_channel * sh_coefficient)
-            for (let sample = 0; sample < numSamples; sample++) {
-                let sum = 0;
-                for (let ch = 0; ch < audioData.length; ch++) {
-                    sum += audioData[ch][sample] * shCoeffs[ch];
+            for (let spkIdx = 0; spkIdx < speakers.length; spkIdx++) {
+                const weight = shCoeffs[spkIdx][ch] * channelWeight * speakers[spkIdx].gain;
+                if (weight === 0) continue;
+                const output = outputs[spkIdx];
+                for (let sample = 0; sample < numSamples; sample++) {
+                    output[sample] += input[sample] * weight;
                 }
-                output[sample] = sum * speaker.gain;
             }
-            
-            outputs.push(output);
         }
         
+        if (weighted) audioBufferPool.release(weighted);
         return outputs;
     }
     
     /**
      * Apply spatial HRTF to virtual speakers and sum to binaural output
+     * 
+     * Each speaker feed reaches each ear through its own fractional delay
+     * (the interaural time difference) and head-shadow shelf, so lateral
+     * sources get timing and frequency-dependent level cues, not just gain.
      */
     applySpatialHRTF(speakerOutputs, speakers, left, right, numSamples) {
         // Clear output buffers
         left.fill(0);
         right.fill(0);
         
+        const sampleRate = this.sampleRate || 48000;
+        
         // Process each virtual speaker
         for (let spkIdx = 0; spkIdx < speakers.length; spkIdx++) {
             const speaker = speakers[spkIdx];
@@ -476,11 +1650,8 @@ class SpatialAudioEngine {
             // Get HRTF for this speaker position
             const hrtf = this.getHRTF(speaker.azimuth, speaker.elevation);
             
-            // Apply HRTF (simple implementation - could be improved with proper convolution)
-            for (let i = 0; i < numSamples; i++) {
-                left[i] += output[i] * hrtf.left;
-                right[i] += output[i] * hrtf.right;
-            }
+            this.renderEar(output, left, hrtf.delayLeft * sampleRate, hrtf.shadowLeft, hrtf.elevationGain, numSamples);
+            this.renderEar(output, right, hrtf.delayRight * sampleRate, hrtf.shadowRight, hrtf.elevationGain, numSamples);
         }
         
         // Release all speaker output buffers back to pool
@@ -488,47 +1659,73 @@ class SpatialAudioEngine {
     }
     
     /**
-     * PREMIUM HRTF model for maximum musical spatialization
-     * NO SHORTCUTS - Pure musical excellence
+     * Add one speaker feed to one ear: fractional delay by 4-point Lagrange
+     * interpolation, then the head-shadow shelf
+     * @param {number} delay - In samples
+     * @param {Object} shadow - Shelf coefficients from HRIRSet.headShadow()
+     */
+    renderEar(input, output, delay, shadow, gain, numSamples) {
+        // Taps sit 1 sample either side of the delay's whole part, where
+        // the Lagrange interpolator is most accurate
+        const first = Math.floor(delay) - 1;
+        const d = delay - first;
+        const taps = [
+            -(d - 1) * (d - 2) * (d - 3) / 6,
+            d * (d - 2) * (d - 3) / 2,
+            -d * (d - 1) * (d - 3) / 2,
+            d * (d - 1) * (d - 2) / 6
+        ];
+        const { b0, b1, a1 } = shadow;
+        
+        let previousIn = 0;
+        let previousOut = 0;
+        for (let n = 0; n < numSamples; n++) {
+            let delayed = 0;
+            for (let k = 0; k < 4; k++) {
+                const i = n - first - k;
+                if (i >= 0 && i < numSamples) delayed += taps[k] * input[i];
+            }
+            
+            const shelved = b0 * delayed + b1 * previousIn - a1 * previousOut;
+            previousIn = delayed;
+            previousOut = shelved;
+            output[n] += gain * shelved;
+        }
+    }
+    
+    /**
+     * Spherical-head model for a virtual speaker direction
+     * 
+     * Azimuth is counter-clockwise from the front (left positive), like the
+     * harmonics. Each ear gets the Woodworth delay and Brown-Duda head-shadow
+     * shelf of HRIRSet's model at this engine's head radius; left/right are
+     * broadband levels for the gain-only decode, which can't filter.
      */
     getHRTF(azimuth, elevation) {
-        // Advanced HRTF with frequency-dependent processing for musical richness
-        
-        // Interaural Time Difference (ITD) - critical for musical timing perception
-        const headRadius = 0.0875; // 8.75cm average head radius
-        const soundSpeed = 343; // m/s
-        const itd = (headRadius / soundSpeed) * (azimuth + Math.sin(azimuth));
-        
-        // Interaural Level Difference (ILD) with frequency shaping
-        const baseLevelDiff = Math.sin(azimuth) * 12; // Up to 12dB difference
-        
-        // Elevation-dependent spectral shaping (pinna filtering)
-        const pinnaGain = this.getPinnaResponse(elevation);
+        const sampleRate = this.sampleRate || 48000;
+        const incidenceLeft = HRIRSet.earIncidence(azimuth, elevation, 1);
+        const incidenceRight = HRIRSet.earIncidence(azimuth, elevation, -1);
+        const shadowLeft = HRIRSet.headShadow(incidenceLeft, this.headRadius, sampleRate);
+        const shadowRight = HRIRSet.headShadow(incidenceRight, this.headRadius, sampleRate);
+        const delayLeft = HRIRSet.headDelay(incidenceLeft, this.headRadius);
+        const delayRight = HRIRSet.headDelay(incidenceRight, this.headRadius);
         
-        // Distance-dependent air absorption (for realism)
-        const distance = 1.0; // Virtual speakers at 1m
-        const airAbsorption = Math.exp(-0.0001 * distance);
+        // Elevation cues a sphere doesn't give: pinna and torso reflection
+        const elevationGain = this.getPinnaResponse(elevation) * (1.0 + 0.1 * Math.cos(elevation));
         
-        // Head shadow effect (frequency dependent)
-        const headShadowLeft = azimuth > 0 ? 
-            1.0 - 0.3 * Math.sin(azimuth) : 1.0;
-        const headShadowRight = azimuth < 0 ? 
-            1.0 + 0.3 * Math.sin(azimuth) : 1.0;
-        
-        // Torso reflection for low frequencies (adds warmth)
-        const torsoReflection = 1.0 + 0.1 * Math.cos(elevation);
-        
-        // Final HRTF calculation with all psychoacoustic factors
-        const leftGain = (0.5 + 0.5 * Math.cos(azimuth + Math.PI/2)) * 
-                        pinnaGain * headShadowLeft * torsoReflection * airAbsorption;
-        const rightGain = (0.5 + 0.5 * Math.cos(azimuth - Math.PI/2)) * 
-                         pinnaGain * headShadowRight * torsoReflection * airAbsorption;
+        // Broadband level of a shelf: RMS of its low (unity) and high (alpha) gains
+        const level = (shadow) => Math.sqrt((1 + shadow.alpha * shadow.alpha) / 2);
         
         return {
-            left: Math.max(0.01, leftGain),   // Prevent complete null
-            right: Math.max(0.01, rightGain), // Always some signal for musical presence
-            itd: itd,  // For future time-domain processing
-            elevation: elevation  // For spectral processing
+            left: elevationGain * level(shadowLeft),
+            right: elevationGain * level(shadowRight),
+            delayLeft,
+            delayRight,
+            shadowLeft,
+            shadowRight,
+            elevationGain,
+            itd: delayRight - delayLeft,  // Positive when the left ear leads
+            elevation
         };
     }
     
@@ -552,145 +1749,11 @@ class SpatialAudioEngine {
     
     /**
      * Compute spherical harmonic coefficients for a direction
+     * (SN3D/ACN, for as many channels as a layer has)
      */
     computeSphericalHarmonics(azimuth, elevation, numChannels) {
-        const coeffs = new Array(numChannels);
-        let idx = 0;
-        
-        const order = Math.sqrt(numChannels) - 1;
-        
-        for (let l = 0; l <= order; l++) {
-            for (let m = -l; m <= l; m++) {
-                coeffs[idx] = this.realSphericalHarmonic(l, m, azimuth, elevation);
-                idx++;
-            }
-        }
-        
-        return coeffs;
-    }
-    
-    /**
-     * Complete real spherical harmonic computation
-     * Comprehensive implementation for spatial audio accuracy
-     */
-    realSphericalHarmonic(l, m, azimuth, elevation) {
-        const absM = Math.abs(m);
-        const cosElevation = Math.cos(elevation);
-        const sinElevation = Math.sin(elevation);
-        const cosAzimuth = Math.cos(azimuth);
-        const sinAzimuth = Math.sin(azimuth);
-        
-        // Pre-compute powers for efficiency and proper scoping
-        const cosEl2 = cosElevation * cosElevation;
-        const sinEl2 = sinElevation * sinElevation;
-        const cosEl3 = cosEl2 * cosElevation;
-        const sinEl3 = sinEl2 * sinElevation;
-        
-        // Order 0 (omnidirectional)
-        if (l === 0) {
-            return 1.0; // Y_0^0
-        }
-        
-        // Order 1 (first-order directional)
-        else if (l === 1) {
-            if (m === -1) return Math.sqrt(3/(4*Math.PI)) * sinElevation * sinAzimuth; // Y_1^{-1}
-            if (m === 0) return Math.sqrt(3/(4*Math.PI)) * cosElevation;  // Y_1^0
-            if (m === 1) return Math.sqrt(3/(4*Math.PI)) * sinElevation * cosAzimuth; // Y_1^1
-        }
-        
-        // Order 2 (quadrupole patterns)
-        else if (l === 2) {
-            
-            if (m === -2) return Math.sqrt(15/(16*Math.PI)) * sinEl2 * Math.sin(2*azimuth);
-            if (m === -1) return Math.sqrt(15/(4*Math.PI)) * sinElevation * cosElevation * sinAzimuth;
-            if (m === 0) return Math.sqrt(5/(16*Math.PI)) * (3*cosEl2 - 1);
-            if (m === 1) return Math.sqrt(15/(4*Math.PI)) * sinElevation * cosElevation * cosAzimuth;
-            if (m === 2) return Math.sqrt(15/(16*Math.PI)) * sinEl2 * Math.cos(2*azimuth);
-        }
-        
-        // Order 3 (octupole patterns) - Critical for musical detail
-        else if (l === 3) {
-            
-            if (m === -3) return Math.sqrt(35/(32*Math.PI)) * sinEl3 * Math.sin(3*azimuth);
-            if (m === -2) return Math.sqrt(105/(16*Math.PI)) * sinEl2 * cosElevation * Math.sin(2*azimuth);
-            if (m === -1) return Math.sqrt(21/(32*Math.PI)) * sinElevation * (5*cosEl2 - 1) * sinAzimuth;
-            if (m === 0) return Math.sqrt(7/(16*Math.PI)) * cosElevation * (5*cosEl2 - 3);
-            if (m === 1) return Math.sqrt(21/(32*Math.PI)) * sinElevation * (5*cosEl2 - 1) * cosAzimuth;
-            if (m === 2) return Math.sqrt(105/(16*Math.PI)) * sinEl2 * cosElevation * Math.cos(2*azimuth);
-            if (m === 3) return Math.sqrt(35/(32*Math.PI)) * sinEl3 * Math.cos(3*azimuth);
-        }
-        
-        // For higher orders, implement recursion for perfect mathematical accuracy
-        else if (l > 3) {
-            return this.computeHighOrderHarmonic(l, m, azimuth, elevation);
-        }
-        
-        return 0.0;
-    }
-    
-    /**
-     * High-order spherical harmonic computation using recurrence relations
-     * For orders 4+ where musical detail and spatial precision matter most
-     */
-    computeHighOrderHarmonic(l, m, azimuth, elevation) {
-        // Use recurrence relations for higher orders
-        // This ensures mathematical precision for complex spatial arrangements
-        
-        const cosTheta = Math.cos(elevation);
-        const sinTheta = Math.sin(elevation);
-        const absM = Math.abs(m);
-        
-        // Associated Legendre polynomial computation
-        let Plm = this.associatedLegendre(l, absM, cosTheta);
-        
-        // Normalization factor
-        const norm = Math.sqrt((2*l+1) * this.factorial(l-absM) / (4*Math.PI * this.factorial(l+absM)));
-        
-        // Apply azimuthal dependence
-        let result;
-        if (m === 0) {
-            result = norm * Plm;
-        } else if (m > 0) {
-            result = norm * Plm * Math.cos(m * azimuth);
-        } else {
-            result = norm * Plm * Math.sin(absM * azimuth);
-        }
-        
-        return result;
-    }
-    
-    /**
-     * Associated Legendre polynomial for high-order harmonics
-     */
-    associatedLegendre(l, m, x) {
-        // For musical excellence, compute exact values
-        if (l === m) {
-            // P_l^l(x) = (-1)^l * (2l-1)!! * (1-x^2)^(l/2)
-            let result = Math.pow(-1, l);
-            for (let i = 1; i <= l; i++) {
-                result *= (2*i - 1);
-            }
-            result *= Math.pow(1 - x*x, l/2);
-            return result;
-        } else if (l === m + 1) {
-            // P_{l}^m(x) = x * (2m+1) * P_m^m(x)
-            return x * (2*m + 1) * this.associatedLegendre(m, m, x);
-        } else {
-            // Use recurrence relation for general case
-            const Pmm = this.associatedLegendre(m, m, x);
-            const Pm1m = this.associatedLegendre(m+1, m, x);
-            
-            let Plm_prev = Pmm;
-            let Plm_curr = Pm1m;
-            
-            for (let ll = m + 2; ll <= l; ll++) {
-                const Plm_next = ((2*ll-1)*x*Plm_curr - (ll+m-1)*Plm_prev) / (ll-m);
-                Plm_prev = Plm_curr;
-                Plm_curr = Plm_next;
-            }
-            
-            return Plm_curr;
-        }
+        const order = Math.ceil(Math.sqrt(numChannels)) - 1;
+        return this.computeACNHarmonics(order, azimuth, elevation).subarray(0, numChannels);
     }
     
     /**
@@ -721,50 +1784,175 @@ class SpatialAudioEngine {
         
         // Create audio nodes for all layers if they don't exist
         for (const [name, layer] of this.layers) {
-            if (!layer.sourceNode || !layer.pannerNode) {
+            if (!layer.inputNode) {
                 this.createAudioNodes(layer);
             }
         }
+        this.updateReverbSends();
+        
+        // Drop any seek fade left over from before the pause
+        const gain = this.getMasterOutput().gain;
+        gain.cancelScheduledValues(this.audioContext.currentTime);
+        gain.setValueAtTime(1, this.audioContext.currentTime);
         
         const offset = this.pauseTime;
         this.startTime = this.audioContext.currentTime - offset;
         
         // Start all layers
         for (const [name, layer] of this.layers) {
-            // Create new source node (they can only be played once)
-            const sourceNode = this.audioContext.createBufferSource();
-            sourceNode.buffer = layer.audioBuffer;
-            sourceNode.loop = false;
-            
-            // Reconnect
-            sourceNode.connect(layer.pannerNode);
-            
-            // Start playback
-            sourceNode.start(0, offset);
-            
-            // Update layer reference
-            layer.sourceNode = sourceNode;
+            this.startLayer(layer, offset);
         }
         
         this.isPlaying = true;
     }
 
+    /**
+     * Create and start a layer's buffer sources (they can only be played once)
+     * 
+     * A layer that starts later in the scene is scheduled for its start
+     * time; one that has already ended gets no sources.
+     * @param {number} offset - Position in the scene, in seconds
+     * @param {number} when - Context time to start at (0 = now)
+     */
+    startLayer(layer, offset, when = 0) {
+        this.scheduleAutomation(layer, offset, when || this.audioContext.currentTime);
+        
+        const buffers = layer.ambisonicBuffers || [layer.audioBuffer];
+        const position = offset - layer.startTime;
+        if (position >= buffers[0].duration) {
+            layer.sourceNodes = [];
+            return;
+        }
+        const startAt = position < 0 ? (when || this.audioContext.currentTime) - position : when;
+        
+        layer.sourceNodes = buffers.map((buffer, index) => {
+            const sourceNode = this.audioContext.createBufferSource();
+            sourceNode.buffer = buffer;
+            sourceNode.loop = false;
+            
+            // Each channel group feeds its own renderer input
+            sourceNode.connect(layer.inputNode, 0, layer.rendererNode ? index : 0);
+            sourceNode.start(startAt, Math.max(0, position));
+            return sourceNode;
+        });
+    }
+
     /**
      * Pause the spatial audio
      */
     pause() {
         if (!this.isPlaying) return;
         
-        this.pauseTime = this.audioContext.currentTime - this.startTime;
+        this.pauseTime = this.getCurrentTime();
         
         // Stop all layers
         for (const [name, layer] of this.layers) {
-            layer.sourceNode.stop();
+            for (const sourceNode of layer.sourceNodes) {
+                sourceNode.stop();
+            }
         }
+        this.updateAutomation(this.pauseTime);
         
         this.isPlaying = false;
     }
 
+    /**
+     * Jump to a position, keeping every layer in sync
+     * 
+     * While playing, the master gain fades out, all sources restart at the
+     * new offset once it is silent, then it fades back in - no clicks.
+     * @param {number} time - Position in seconds (clamped to the duration)
+     * @returns {number} The position actually used
+     */
+    seek(time) {
+        const target = Math.max(0, Math.min(time, this.duration || 0));
+        
+        if (!this.isPlaying) {
+            this.pauseTime = target;
+            this.updateAutomation(target);
+            return target;
+        }
+        
+        const now = this.audioContext.currentTime;
+        const fade = SpatialAudioEngine.SEEK_FADE_TIME;
+        const switchTime = now + fade;
+        const gain = this.masterGain.gain;
+        
+        // Hold wherever an earlier fade got to, then ramp down
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(0, switchTime);
+        
+        for (const [name, layer] of this.layers) {
+            for (const sourceNode of layer.sourceNodes) {
+                sourceNode.stop(switchTime);
+            }
+            this.startLayer(layer, target, switchTime);
+        }
+        
+        gain.linearRampToValueAtTime(1, switchTime + fade);
+        this.startTime = switchTime - target;
+        
+        return target;
+    }
+
+    /**
+     * Schedule a layer's automation so that scene time `offset` falls at
+     * context time `when`
+     * 
+     * Positions go to the panner's position params (loudspeaker layers
+     * follow updateAutomation() instead), gains to the automation node.
+     */
+    scheduleAutomation(layer, offset, when) {
+        const automation = layer.automation;
+        if (!automation) return;
+        
+        if (layer.automationNode) {
+            SourceAutomation.scheduleTrack(automation.gain, [layer.automationNode.gain], gain => [gain], offset, when);
+        }
+        
+        const panner = layer.pannerNode;
+        if (panner && panner.positionX && automation.position.length) {
+            // Flip X like the static position
+            SourceAutomation.scheduleTrack(
+                automation.position,
+                [panner.positionX, panner.positionY, panner.positionZ],
+                ([x, y, z]) => [-x, y, z],
+                offset,
+                when
+            );
+        }
+    }
+
+    /**
+     * Bring automated source positions to a scene time
+     * 
+     * The audio graph moves by itself through scheduleAutomation(); this
+     * keeps layer.position in step for everything computed here from it:
+     * reverb sends, loudspeaker panning and panners without position params.
+     * Called from the UI update loop and when seeking.
+     * @param {number} time - Scene time in seconds (default: now)
+     */
+    updateAutomation(time = this.getCurrentTime()) {
+        let moved = false;
+        for (const [name, layer] of this.layers) {
+            const position = layer.automation && layer.automation.getPosition(time);
+            if (!position) continue;
+            
+            layer.position = position;
+            moved = true;
+            if (layer.speakerGains) {
+                this.setSpeakerPanning(layer, true);
+            } else if (layer.pannerNode && !layer.pannerNode.positionX) {
+                layer.pannerNode.setPosition(-position[0], position[1], position[2]);
+            }
+        }
+        
+        if (moved) {
+            this.updateReverbSends();
+        }
+    }
+
     /**
      * Replay from the beginning
      */
@@ -788,7 +1976,8 @@ class SpatialAudioEngine {
      */
     getCurrentTime() {
         if (this.isPlaying) {
-            return this.audioContext.currentTime - this.startTime;
+            // Just after a seek the new sources have not started yet
+            return Math.max(0, this.audioContext.currentTime - this.startTime);
         }
         return this.pauseTime;
     }
@@ -812,6 +2001,9 @@ class SpatialAudioEngine {
             // Flip X coordinate to match SHAC encoder convention
             this.audioContext.listener.setPosition(-x, y, z);
         }
+        
+        this.updateReverbSends();
+        this.updateSpeakerPanning();
     }
 
     /**
@@ -869,6 +2061,10 @@ class SpatialAudioEngine {
                 upX, upY, upZ
             );
         }
+        
+        // Pre-mixed fields aren't positioned by the listener, rotate them directly
+        this.updateAmbisonicRotation();
+        this.updateSpeakerPanning();
     }
 
     /**
@@ -1038,21 +2234,150 @@ class SpatialAudioEngine {
         }
     }
 
+    /**
+     * Cache and buffer pool statistics, for the diagnostics view
+     * @returns {{rotationCache: Object|null, shCache: Object|null, bufferPool: Object}}
+     */
+    getDiagnostics() {
+        return {
+            rotationCache: this.decoder ? this.decoder.rotationCache.getStats() : null,
+            shCache: this.decoder ? this.decoder.shCache.getStats() : null,
+            bufferPool: audioBufferPool.getStats()
+        };
+    }
+
     /**
      * Get layer information for visualization
      */
     getLayerInfo() {
         const layerInfo = [];
-        for (const [name, layer] of this.layers) {
-            layerInfo.push({
-                name,
-                position: layer.position,
-                metadata: layer.metadata
-            });
+        const names = new Set([...this.layerOrder, ...this.layers.keys()]);
+        for (const name of names) {
+            const layer = this.layers.get(name);
+            if (layer) {
+                layerInfo.push({
+                    name,
+                    position: layer.position,
+                    metadata: layer.metadata,
+                    metadataWarning: layer.metadataWarning,
+                    automation: layer.automation,
+                    panner: layer.pannerSettings,
+                    gain: layer.gain,
+                    muted: layer.muted,
+                    soloed: layer.soloed,
+                    active: true
+                });
+                continue;
+            }
+            
+            // Inactive layers are listed for the mixer, but not heard
+            const inactive = this.inactiveLayers.get(name);
+            if (inactive) {
+                layerInfo.push({
+                    name,
+                    ...inactive,
+                    automation: null,
+                    panner: null,
+                    active: false,
+                    pending: this.pendingLayers.has(name)
+                });
+            }
         }
         return layerInfo;
     }
 
+    /**
+     * Set a layer's fader (linear gain, starts at the metadata gain)
+     */
+    setLayerGain(name, gain) {
+        const layer = this.layers.get(name) || this.inactiveLayers.get(name);
+        if (!layer) return;
+        
+        layer.gain = Math.max(0, gain);
+        this.updateLayerGains();
+    }
+
+    /**
+     * Mute or unmute a layer
+     */
+    setLayerMute(name, muted) {
+        const layer = this.layers.get(name) || this.inactiveLayers.get(name);
+        if (!layer) return;
+        
+        layer.muted = muted;
+        this.updateLayerGains();
+    }
+
+    /**
+     * Solo or unsolo a layer; while any layer is soloed only soloed layers play
+     */
+    setLayerSolo(name, soloed) {
+        const layer = this.layers.get(name) || this.inactiveLayers.get(name);
+        if (!layer) return;
+        
+        layer.soloed = soloed;
+        this.updateLayerGains();
+    }
+
+    /**
+     * Gain a layer should play at, after mute and solo
+     * 
+     * An inactive layer keeps its solo, so the others stay silent while
+     * it is unloaded, just as the mixer shows.
+     */
+    getEffectiveGain(layer) {
+        if (layer.muted) return 0;
+        if (layer.soloed) return layer.gain;
+        
+        for (const layers of [this.layers, this.inactiveLayers]) {
+            for (const [name, other] of layers) {
+                if (other.soloed) return 0;
+            }
+        }
+        return layer.gain;
+    }
+
+    /**
+     * Move every layer's gain node to its effective gain, smoothed so
+     * mute and solo don't click
+     */
+    updateLayerGains() {
+        for (const [name, layer] of this.layers) {
+            if (!layer.gainNode) continue;
+            
+            layer.gainNode.gain.setTargetAtTime(
+                this.getEffectiveGain(layer),
+                this.audioContext.currentTime,
+                SpatialAudioEngine.GAIN_SMOOTHING
+            );
+        }
+    }
+
+    /**
+     * Current level of a layer, after its fader
+     * @returns {{rms: number, peak: number}|null} Linear levels, or null
+     *   before the layer has audio nodes
+     */
+    getLayerLevel(name) {
+        const layer = this.layers.get(name);
+        if (!layer || !layer.analyserNode) return null;
+        
+        if (!layer.meterData) {
+            layer.meterData = new Float32Array(layer.analyserNode.fftSize);
+        }
+        layer.analyserNode.getFloatTimeDomainData(layer.meterData);
+        
+        let sum = 0;
+        let peak = 0;
+        for (let i = 0; i < layer.meterData.length; i++) {
+            const sample = layer.meterData[i];
+            sum += sample * sample;
+            peak = Math.max(peak, Math.abs(sample));
+        }
+        
+        return { rms: Math.sqrt(sum / layer.meterData.length), peak };
+    }
+
     /**
      * Clear all layers
      */
@@ -1064,13 +2389,85 @@ class SpatialAudioEngine {
         
         // Disconnect all nodes
         for (const [name, layer] of this.layers) {
-            layer.pannerNode.disconnect();
+            this.disconnectLayer(layer);
+        }
+        
+        // Activations still decoding belong to the old file
+        for (const pending of this.pendingLayers.values()) {
+            pending.unloaded = true;
+            pending.controller.abort();
         }
         
         this.layers.clear();
+        this.inactiveLayers.clear();
+        this.pendingLayers.clear();
+        this.layerOrder = [];
         this.pauseTime = 0;
     }
+
+    /**
+     * Disconnect all of a layer's audio nodes
+     */
+    disconnectLayer(layer) {
+        for (const sourceNode of layer.sourceNodes) {
+            sourceNode.disconnect();
+        }
+        if (layer.pannerNode) {
+            layer.pannerNode.disconnect();
+        }
+        if (layer.rendererNode) {
+            layer.rendererNode.port.postMessage({ type: 'dispose' });
+            layer.rendererNode.disconnect();
+            layer.rendererOutput.disconnect();
+        }
+        if (layer.gainNode) {
+            layer.gainNode.disconnect();
+            layer.analyserNode.disconnect();
+        }
+        if (layer.automationNode) {
+            layer.automationNode.disconnect();
+        }
+        if (layer.speakerGains) {
+            layer.distanceNode.disconnect();
+            layer.speakerGains.forEach(gain => gain.disconnect());
+            layer.speakerMerger.disconnect();
+        }
+        if (layer.reverbSend) {
+            layer.reverbSend.disconnect();
+            layer.reverbDelay.disconnect();
+        }
+    }
 }
 
+// Renderer worklet location (relative to the page) and channels per renderer input
+SpatialAudioEngine.AMBISONIC_RENDERER_URL = './js/ambisonic-renderer-worklet.js';
+SpatialAudioEngine.AMBISONIC_GROUP_SIZE = 16;
+
+// Fade out/in around a seek (seconds each way)
+SpatialAudioEngine.SEEK_FADE_TIME = 0.015;
+
+// Panner settings for layers whose metadata doesn't say (omnidirectional)
+SpatialAudioEngine.PANNER_DEFAULTS = {
+    distanceModel: 'inverse',
+    refDistance: 1,
+    maxDistance: 100,
+    rolloffFactor: 1,
+    coneInnerAngle: 360,
+    coneOuterAngle: 360,
+    coneOuterGain: 0
+};
+
+// Mixer: fader/mute time constant (seconds) and meter window (samples)
+SpatialAudioEngine.GAIN_SMOOTHING = 0.01;
+SpatialAudioEngine.METER_WINDOW = 2048;
+
+// Reverb pre-delay glide time constant (seconds); slow enough not to warble
+SpatialAudioEngine.PREDELAY_SMOOTHING = 0.1;
+
+// Listener head radius for the spherical-head model (metres)
+SpatialAudioEngine.DEFAULT_HEAD_RADIUS = 0.0875;
+SpatialAudioEngine.MIN_HEAD_RADIUS = 0.05;
+SpatialAudioEngine.MAX_HEAD_RADIUS = 0.12;
+
 // Export for use in other modules
 window.SpatialAudioEngine = SpatialAudioEngine;
\ No newline at end of file
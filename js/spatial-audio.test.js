@@ -0,0 +1,237 @@
+/**
+ * Spatial Audio Engine Tests - run with `node --test`
+ *
+ * Loads the browser modules into Node's global scope, the way index.html
+ * loads them into the page, and drives the engine's mix and the offline
+ * renderer against a mock AudioContext that only records parameter values.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// The modules export through window
+globalThis.window = globalThis;
+for (const file of ['lru-cache.js', 'python-literal.js', 'shac-decoder.js', 'decoder-design.js', 'spatial-audio.js', 'offline-renderer.js']) {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), { filename: file });
+}
+
+/**
+ * AudioParam that jumps straight to every value it is given
+ */
+function createParam(value = 0) {
+    return {
+        value,
+        setValueAtTime(target) { this.value = target; },
+        setTargetAtTime(target) { this.value = target; },
+        linearRampToValueAtTime(target) { this.value = target; },
+        cancelScheduledValues() {}
+    };
+}
+
+function createNode(params = []) {
+    const node = { connect() {}, disconnect() {} };
+    for (const name of params) {
+        node[name] = createParam();
+    }
+    return node;
+}
+
+function createMockContext() {
+    const sources = [];
+    return {
+        currentTime: 0,
+        destination: createNode(),
+        listener: createNode(['positionX', 'positionY', 'positionZ', 'forwardX', 'forwardY', 'forwardZ', 'upX', 'upY', 'upZ']),
+        sources,
+        createGain: () => createNode(['gain']),
+        createAnalyser: () => createNode(),
+        createPanner: () => createNode(['positionX', 'positionY', 'positionZ', 'orientationX', 'orientationY', 'orientationZ']),
+        createBufferSource() {
+            const source = { ...createNode(), playing: false, start() { this.playing = true; }, stop() { this.playing = false; } };
+            sources.push(source);
+            return source;
+        }
+    };
+}
+
+/**
+ * OfflineAudioContext that renders nothing, but only runs on while it
+ * isn't suspended
+ */
+class MockOfflineContext {
+    constructor(channels, length, sampleRate) {
+        Object.assign(this, createMockContext());
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.suspensions = [];
+        this.suspended = false;
+        this.rendering = false;
+        this.finished = false;
+        MockOfflineContext.last = this;
+    }
+
+    suspend(time) {
+        return new Promise(resolve => this.suspensions.push({ time, resolve }));
+    }
+
+    resume() {
+        this.suspended = false;
+    }
+
+    async startRendering() {
+        this.rendering = true;
+        if (MockOfflineContext.onRender) MockOfflineContext.onRender(this);
+        for (const { resolve } of this.suspensions.sort((a, b) => a.time - b.time)) {
+            this.suspended = true;
+            resolve();
+            await new Promise(setImmediate);
+            // Never resumed: the render stays where it is
+            if (this.suspended) return new Promise(() => {});
+        }
+        this.finished = true;
+        return { length: this.length, numberOfChannels: 2 };
+    }
+}
+window.OfflineAudioContext = MockOfflineContext;
+
+/**
+ * A positioned layer as loadLayer() leaves it, without audio nodes
+ */
+function createLayer(position, mix = {}) {
+    return {
+        position,
+        metadata: {},
+        pannerSettings: { ...SpatialAudioEngine.PANNER_DEFAULTS },
+        automation: null,
+        sourceNodes: [],
+        gain: 1,
+        muted: false,
+        soloed: false,
+        ...mix
+    };
+}
+
+test('copySceneFrom: a soloed layer mutes the layers copied before it', async () => {
+    const source = new SpatialAudioEngine();
+    source.layers.set('rain', createLayer([1, 0, 0]));
+    source.layers.set('birds', createLayer([-1, 0, 0], { gain: 0.5 }));
+    source.layers.set('wind', createLayer([0, 0, 1], { soloed: true }));
+
+    const renderer = new SpatialAudioEngine();
+    renderer.audioContext = createMockContext();
+    await renderer.copySceneFrom(source);
+
+    assert.strictEqual(renderer.layers.get('rain').gainNode.gain.value, 0);
+    assert.strictEqual(renderer.layers.get('birds').gainNode.gain.value, 0);
+    assert.strictEqual(renderer.layers.get('wind').gainNode.gain.value, 1);
+});
+
+test('deactivateLayer: a soloed layer keeps the others silent while inactive', () => {
+    const engine = new SpatialAudioEngine();
+    engine.audioContext = createMockContext();
+    engine.decoder = { layerIndex: [{ id: 'rain' }, { id: 'wind' }] };
+    for (const [name, layer] of [['rain', createLayer([1, 0, 0])], ['wind', createLayer([0, 0, 1])]]) {
+        engine.createAudioNodes(layer);
+        engine.layers.set(name, layer);
+    }
+
+    engine.setLayerSolo('wind', true);
+    assert.ok(engine.deactivateLayer('wind'));
+    assert.strictEqual(engine.layers.get('rain').gainNode.gain.value, 0);
+
+    // Unsoloed from the mixer while inactive
+    engine.setLayerSolo('wind', false);
+    assert.strictEqual(engine.layers.get('rain').gainNode.gain.value, 1);
+});
+
+test('deactivateLayer: a layer unloaded while loading leaves no marker behind', async () => {
+    const engine = new SpatialAudioEngine();
+    engine.audioContext = createMockContext();
+    engine.decoder = {
+        header: {},
+        layerIndex: [{ id: 'wind' }],
+        describeLayer: () => ({ metadata: {} }),
+        releaseWorker() {}
+    };
+    engine.inactiveLayers.set('wind', { metadata: {}, position: [0, 0, 1], gain: 1, muted: false, soloed: false });
+
+    // Finishes creating the layer only once it has been deactivated
+    let finishLoading;
+    engine.loadLayer = async (name) => {
+        await new Promise(resolve => { finishLoading = resolve; });
+        const layer = createLayer([0, 0, 1]);
+        engine.createAudioNodes(layer);
+        engine.layers.set(name, layer);
+        engine.audioSources.push({ name, position: layer.position, metadata: {}, layerName: name });
+    };
+
+    const activation = engine.activateLayer('wind');
+    assert.ok(engine.deactivateLayer('wind'));
+    finishLoading();
+    assert.strictEqual(await activation, false);
+    assert.strictEqual(engine.layers.size, 0);
+    assert.deepStrictEqual(engine.audioSources, []);
+});
+
+/**
+ * Engine with two positioned layers, as far as the offline renderer looks
+ */
+function createRenderSource(duration) {
+    const engine = new SpatialAudioEngine();
+    engine.sampleRate = 48000;
+    engine.duration = duration;
+    engine.layers.set('rain', createLayer([1, 0, 0], { startTime: 0, audioBuffer: { duration } }));
+    engine.layers.set('birds', createLayer([-1, 0, 0], { startTime: 0, audioBuffer: { duration } }));
+    return engine;
+}
+
+test('OfflineRenderer.render: a render cancelled before it starts never renders', async () => {
+    const controller = new AbortController();
+    const render = OfflineRenderer.render(createRenderSource(1), {
+        path: [{ time: 0, position: [0, 0, 0] }],
+        signal: controller.signal
+    });
+    controller.abort();
+    await assert.rejects(render, { name: 'AbortError' });
+
+    const context = MockOfflineContext.last;
+    assert.strictEqual(context.rendering, false);
+    assert.ok(context.sources.every(source => !source.playing));
+});
+
+test('OfflineRenderer.render: a render shorter than a control step can be cancelled', async () => {
+    const controller = new AbortController();
+    MockOfflineContext.onRender = () => controller.abort();
+    try {
+        const render = OfflineRenderer.render(createRenderSource(0.01), {
+            path: [{ time: 0, position: [0, 0, 0] }],
+            signal: controller.signal
+        });
+        await assert.rejects(render, { name: 'AbortError' });
+    } finally {
+        MockOfflineContext.onRender = null;
+    }
+    assert.strictEqual(MockOfflineContext.last.suspensions.length, 0);
+});
+
+test('OfflineRenderer.render: an aborted render stops its sources and runs out', async () => {
+    const controller = new AbortController();
+    const render = OfflineRenderer.render(createRenderSource(1), {
+        path: [{ time: 0, position: [0, 0, 0] }],
+        signal: controller.signal,
+        onProgress: () => controller.abort()
+    });
+    await assert.rejects(render, { name: 'AbortError' });
+
+    // Every remaining control step has to resume
+    const context = MockOfflineContext.last;
+    for (let step = 0; step <= context.suspensions.length && !context.finished; step++) {
+        await new Promise(setImmediate);
+    }
+    assert.strictEqual(context.sources.length, 2);
+    assert.ok(context.sources.every(source => !source.playing));
+    assert.ok(context.finished);
+});
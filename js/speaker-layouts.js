@@ -0,0 +1,554 @@
+/**
+ * Speaker Layouts - Loudspeaker setups and ambisonic decoders for them
+ *
+ * A layout lists its speakers in output channel order. Directions follow
+ * ITU-R BS.2051 and the ambisonic frame: azimuth in degrees counter-clockwise
+ * from the front (left is positive), elevation in degrees up from the
+ * horizontal plane, distance in metres from the listening position.
+ * LFE channels are part of the channel order but get no decoded signal.
+ *
+ * Custom layouts are JSON of the same shape:
+ *   { "name": "Studio dome", "speakers": [
+ *       { "label": "L", "azimuth": 30, "elevation": 0, "distance": 2.1 },
+ *       { "label": "LFE", "lfe": true }, ... ] }
+ *
+ * Decoders map SN3D/ACN channels to speaker feeds:
+ *   'allrad' - All-round ambisonic decoding: a sampling decoder to a dense,
+ *              even grid of virtual speakers, each panned onto the real ones
+ *              with VBAP. Imaginary speakers close the dome where a layout
+ *              has no speakers overhead or below.
+ *   'epad'   - Energy-preserving decoding: the speakers' SH matrix with its
+ *              singular values set to one. Best on fairly even layouts; the
+ *              order is reduced to what the speaker count can carry.
+ * Both take a DecoderDesign order weighting (max-rE by default) and are
+ * scaled to unit average energy.
+ */
+
+class SpeakerLayouts {
+    /**
+     * @param {string} id - Registry id, e.g. '5.1'
+     * @returns {Object|null} Layout ({ id, name, speakers })
+     */
+    static get(id) {
+        return SpeakerLayouts.registry.get(id) || null;
+    }
+
+    /**
+     * Every registered layout, in registration order
+     * @returns {Array<{id: string, name: string, channels: number}>}
+     */
+    static list() {
+        return Array.from(SpeakerLayouts.registry.values()).map(layout => ({
+            id: layout.id,
+            name: layout.name,
+            channels: layout.speakers.length
+        }));
+    }
+
+    /**
+     * Validate a layout and add it to the registry (replacing any with the same id)
+     * @returns {Object} The registered layout
+     */
+    static register(id, definition) {
+        const layout = { ...SpeakerLayouts.parse(definition), id };
+        SpeakerLayouts.registry.set(id, layout);
+        return layout;
+    }
+
+    /**
+     * Validate a layout definition and fill in defaults
+     * @param {Object|string} input - Layout, or its JSON text
+     * @returns {{name: string, speakers: Array}} Speakers with label,
+     *   azimuth, elevation (degrees), distance (metres) and lfe set
+     */
+    static parse(input) {
+        let definition = input;
+        if (typeof input === 'string') {
+            try {
+                definition = JSON.parse(input);
+            } catch (error) {
+                throw new Error(`Speaker layout is not valid JSON: ${error.message}`);
+            }
+        }
+
+        const speakers = definition && definition.speakers;
+        if (!Array.isArray(speakers) || speakers.length === 0) {
+            throw new Error('Speaker layout needs a "speakers" list');
+        }
+        if (speakers.length > SpeakerLayouts.MAX_CHANNELS) {
+            throw new Error(`Speaker layouts can have at most ${SpeakerLayouts.MAX_CHANNELS} channels`);
+        }
+
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+        const parsed = speakers.map((speaker, index) => {
+            const { label = `${index + 1}`, lfe = false, azimuth = 0, elevation = 0 } = speaker || {};
+            const distance = speaker && speaker.distance !== undefined ? speaker.distance : SpeakerLayouts.DEFAULT_DISTANCE;
+
+            if (!lfe && (!isNumber(azimuth) || !isNumber(elevation) || Math.abs(elevation) > 90)) {
+                throw new Error(`Speaker ${index + 1}: azimuth and elevation must be degrees (elevation -90 to 90)`);
+            }
+            if (!isNumber(distance) || distance <= 0) {
+                throw new Error(`Speaker ${index + 1}: distance must be a positive number of metres`);
+            }
+
+            return { label: String(label), azimuth, elevation, distance, lfe: lfe === true };
+        });
+
+        if (parsed.filter(speaker => !speaker.lfe).length < 2) {
+            throw new Error('Speaker layout needs at least two full-range speakers');
+        }
+
+        return {
+            name: typeof definition.name === 'string' && definition.name ? definition.name : 'Custom layout',
+            speakers: parsed
+        };
+    }
+
+    /**
+     * Delay and gain that make every speaker sound as if it stood at the
+     * distance of the farthest one
+     * @returns {Array<{delay: number, gain: number}>} Per speaker, seconds and linear
+     */
+    static getCompensation(layout) {
+        const farthest = Math.max(...layout.speakers.map(speaker => speaker.distance));
+        return layout.speakers.map(speaker => ({
+            delay: (farthest - speaker.distance) / SpeakerLayouts.SOUND_SPEED,
+            gain: speaker.distance / farthest
+        }));
+    }
+
+    /**
+     * Decoding matrix for a layout
+     * @param {Object} layout
+     * @param {number} order - Ambisonic order of the input
+     * @param {string} type - 'allrad' or 'epad'
+     * @param {Function} harmonics - (order, azimuth, elevation) → SN3D ACN
+     *   coefficients, angles in radians
+     * @param {string} [weighting='max-re'] - One of DecoderDesign.WEIGHTINGS;
+     *   speaker feeds are plain gains, so 'dual-band' decodes as max-rE
+     * @returns {Float32Array[]} One row of (order+1)² weights per speaker
+     */
+    static createDecoder(layout, order, type, harmonics, weighting = 'max-re') {
+        const numChannels = (order + 1) * (order + 1);
+        const weights = DecoderDesign.getOrderWeights(order, weighting === 'dual-band' ? 'max-re' : weighting);
+        const fullRange = [];
+        layout.speakers.forEach((speaker, index) => {
+            if (!speaker.lfe) {
+                fullRange.push({ index, ...SpeakerLayouts.toVector(speaker.azimuth, speaker.elevation) });
+            }
+        });
+
+        let rows;
+        if (type === 'allrad') {
+            rows = SpeakerLayouts.computeAllRAD(fullRange, order, harmonics, weights);
+        } else if (type === 'epad') {
+            rows = SpeakerLayouts.computeEPAD(fullRange, order, harmonics, weights);
+        } else {
+            throw new Error(`Unknown speaker decoder: ${type}`);
+        }
+
+        SpeakerLayouts.normalizeEnergy(rows, order, harmonics);
+
+        const decoder = layout.speakers.map(() => new Float32Array(numChannels));
+        fullRange.forEach((speaker, i) => decoder[speaker.index].set(rows[i]));
+        return decoder;
+    }
+
+    /**
+     * AllRAD: sample the field on the virtual grid and pan each virtual
+     * speaker onto the layout
+     */
+    static computeAllRAD(speakers, order, harmonics, weights) {
+        const numChannels = (order + 1) * (order + 1);
+
+        // Close the hull over the top and bottom if the layout leaves them
+        // open. The top one's signal is shared among its neighbours; the
+        // bottom one's is dropped (nobody expects sound from the floor).
+        const points = speakers.slice();
+        const limit = Math.sin((SpeakerLayouts.IMAGINARY_ELEVATION * Math.PI) / 180);
+        let top = -1;
+        let bottom = -1;
+        if (!speakers.some(p => p.z >= limit)) {
+            top = points.length;
+            points.push({ x: 0, y: 0, z: 1 });
+        }
+        if (!speakers.some(p => p.z <= -limit)) {
+            bottom = points.length;
+            points.push({ x: 0, y: 0, z: -1 });
+        }
+
+        const triangles = SpeakerLayouts.triangulate(points);
+        const topNeighbours = new Set();
+        if (top >= 0) {
+            for (const { indices } of triangles) {
+                if (indices.includes(top)) {
+                    indices.forEach(i => { if (i !== top && i !== bottom) topNeighbours.add(i); });
+                }
+            }
+        }
+
+        const rows = speakers.map(() => new Float64Array(numChannels));
+        for (const point of SpeakerLayouts.fibonacciSphere(SpeakerLayouts.VIRTUAL_SPEAKERS)) {
+            const gains = SpeakerLayouts.vbapGains(triangles, point, points.length);
+            if (top >= 0 && gains[top] > 0 && topNeighbours.size) {
+                const share = gains[top] / Math.sqrt(topNeighbours.size);
+                topNeighbours.forEach(i => { gains[i] += share; });
+            }
+
+            const coeffs = harmonics(order, Math.atan2(point.y, point.x), Math.asin(point.z));
+            for (let s = 0; s < speakers.length; s++) {
+                if (gains[s] === 0) continue;
+                for (let l = 0; l <= order; l++) {
+                    const scale = gains[s] * (2 * l + 1) * weights[l];
+                    for (let n = l * l; n < (l + 1) * (l + 1); n++) {
+                        rows[s][n] += scale * coeffs[n];
+                    }
+                }
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * EPAD: D = Y (YᵀY)^(-1/2) in N3D, where Y holds the speakers' harmonics.
+     * Directions the layout can't resolve (tiny singular values) are dropped.
+     */
+    static computeEPAD(speakers, order, harmonics, weights) {
+        const numChannels = (order + 1) * (order + 1);
+
+        let usedOrder = order;
+        while (usedOrder > 0 && (usedOrder + 1) * (usedOrder + 1) > speakers.length) usedOrder--;
+        const size = (usedOrder + 1) * (usedOrder + 1);
+
+        // Speaker harmonics, SN3D → N3D
+        const y = speakers.map(p => {
+            const coeffs = harmonics(usedOrder, Math.atan2(p.y, p.x), Math.asin(p.z));
+            const row = new Float64Array(size);
+            for (let n = 0; n < size; n++) {
+                row[n] = coeffs[n] * Math.sqrt(2 * Math.floor(Math.sqrt(n)) + 1);
+            }
+            return row;
+        });
+
+        const gram = new Float64Array(size * size);
+        for (const row of y) {
+            for (let i = 0; i < size; i++) {
+                for (let j = 0; j < size; j++) gram[i * size + j] += row[i] * row[j];
+            }
+        }
+
+        const { values, vectors } = SpeakerLayouts.symmetricEigen(gram, size);
+        const largest = Math.max(...values);
+        const inverseRoot = new Float64Array(size * size);
+        for (let k = 0; k < size; k++) {
+            if (values[k] <= largest * SpeakerLayouts.EPAD_TOLERANCE) continue;
+            const scale = 1 / Math.sqrt(values[k]);
+            for (let i = 0; i < size; i++) {
+                for (let j = 0; j < size; j++) {
+                    inverseRoot[i * size + j] += vectors[i * size + k] * scale * vectors[j * size + k];
+                }
+            }
+        }
+
+        // Rows take SN3D input, so fold the N3D factor back in with the weights
+        return y.map(row => {
+            const out = new Float64Array(numChannels);
+            for (let n = 0; n < size; n++) {
+                let sum = 0;
+                for (let k = 0; k < size; k++) sum += row[k] * inverseRoot[k * size + n];
+                const l = Math.floor(Math.sqrt(n));
+                out[n] = sum * Math.sqrt(2 * l + 1) * weights[l];
+            }
+            return out;
+        });
+    }
+
+    /**
+     * Scale decoder rows so a plane wave from a random direction carries
+     * unit energy across the speakers
+     */
+    static normalizeEnergy(rows, order, harmonics) {
+        const grid = SpeakerLayouts.fibonacciSphere(SpeakerLayouts.VIRTUAL_SPEAKERS);
+        let energy = 0;
+        for (const point of grid) {
+            const coeffs = harmonics(order, Math.atan2(point.y, point.x), Math.asin(point.z));
+            for (const row of rows) {
+                let gain = 0;
+                for (let n = 0; n < row.length; n++) gain += row[n] * coeffs[n];
+                energy += gain * gain;
+            }
+        }
+
+        const scale = energy > 0 ? 1 / Math.sqrt(energy / grid.length) : 0;
+        for (const row of rows) {
+            for (let n = 0; n < row.length; n++) row[n] *= scale;
+        }
+    }
+
+    /**
+     * Convex hull of points on the sphere as triangles, each with the
+     * inverse of its vertex matrix for VBAP
+     *
+     * Brute force over all triples - layouts have at most a few dozen
+     * speakers and decoders are cached.
+     */
+    static triangulate(points) {
+        const triangles = [];
+        const n = points.length;
+
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                for (let k = j + 1; k < n; k++) {
+                    const a = points[i];
+                    const b = points[j];
+                    const c = points[k];
+                    const ux = b.x - a.x, uy = b.y - a.y, uz = b.z - a.z;
+                    const vx = c.x - a.x, vy = c.y - a.y, vz = c.z - a.z;
+                    const nx = uy * vz - uz * vy;
+                    const ny = uz * vx - ux * vz;
+                    const nz = ux * vy - uy * vx;
+                    if (Math.hypot(nx, ny, nz) < SpeakerLayouts.EPSILON) continue;
+
+                    // A hull face has every other point on one side of it
+                    const offset = nx * a.x + ny * a.y + nz * a.z;
+                    let above = false;
+                    let below = false;
+                    for (let m = 0; m < n && !(above && below); m++) {
+                        if (m === i || m === j || m === k) continue;
+                        const side = nx * points[m].x + ny * points[m].y + nz * points[m].z - offset;
+                        if (side > SpeakerLayouts.EPSILON) above = true;
+                        else if (side < -SpeakerLayouts.EPSILON) below = true;
+                    }
+                    if (above && below) continue;
+
+                    const inverse = SpeakerLayouts.invert3(a, b, c);
+                    if (inverse) triangles.push({ indices: [i, j, k], inverse });
+                }
+            }
+        }
+
+        return triangles;
+    }
+
+    /**
+     * VBAP gains for one direction, normalised to unit power
+     *
+     * Uses the first triangle that contains the direction; if none does
+     * (a layout that doesn't surround the listener) the nearest miss is
+     * used with its negative gains clipped.
+     */
+    static vbapGains(triangles, point, count) {
+        const gains = new Float64Array(count);
+        let best = null;
+        let bestMin = -Infinity;
+
+        for (const triangle of triangles) {
+            const m = triangle.inverse;
+            const g = [
+                m[0] * point.x + m[1] * point.y + m[2] * point.z,
+                m[3] * point.x + m[4] * point.y + m[5] * point.z,
+                m[6] * point.x + m[7] * point.y + m[8] * point.z
+            ];
+            const min = Math.min(g[0], g[1], g[2]);
+            if (min > bestMin) {
+                best = { triangle, g };
+                bestMin = min;
+                if (min >= -SpeakerLayouts.EPSILON) break;
+            }
+        }
+        if (!best) return gains;
+
+        const g = best.g.map(value => Math.max(0, value));
+        const power = Math.hypot(g[0], g[1], g[2]);
+        if (power > 0) {
+            best.triangle.indices.forEach((index, i) => { gains[index] = g[i] / power; });
+        }
+        return gains;
+    }
+
+    /**
+     * Inverse of the matrix whose columns are a, b and c (row-major),
+     * or null when they are coplanar with the origin
+     */
+    static invert3(a, b, c) {
+        const det = a.x * (b.y * c.z - b.z * c.y) - b.x * (a.y * c.z - a.z * c.y) + c.x * (a.y * b.z - a.z * b.y);
+        if (Math.abs(det) < SpeakerLayouts.EPSILON) return null;
+
+        return [
+            (b.y * c.z - c.y * b.z) / det, (b.z * c.x - c.z * b.x) / det, (b.x * c.y - c.x * b.y) / det,
+            (c.y * a.z - a.y * c.z) / det, (c.z * a.x - a.z * c.x) / det, (c.x * a.y - a.x * c.y) / det,
+            (a.y * b.z - b.y * a.z) / det, (a.z * b.x - b.z * a.x) / det, (a.x * b.y - b.x * a.y) / det
+        ];
+    }
+
+    /**
+     * Eigen-decomposition of a symmetric matrix (cyclic Jacobi)
+     * @returns {{values: Float64Array, vectors: Float64Array}} Eigenvectors
+     *   in the columns of a row-major size × size matrix
+     */
+    static symmetricEigen(matrix, size) {
+        const a = Float64Array.from(matrix);
+        const v = new Float64Array(size * size);
+        for (let i = 0; i < size; i++) v[i * size + i] = 1;
+
+        for (let sweep = 0; sweep < 50; sweep++) {
+            let offDiagonal = 0;
+            for (let p = 0; p < size; p++) {
+                for (let q = p + 1; q < size; q++) offDiagonal += a[p * size + q] * a[p * size + q];
+            }
+            if (offDiagonal < 1e-20) break;
+
+            for (let p = 0; p < size; p++) {
+                for (let q = p + 1; q < size; q++) {
+                    const apq = a[p * size + q];
+                    if (Math.abs(apq) < 1e-15) continue;
+
+                    const theta = (a[q * size + q] - a[p * size + p]) / (2 * apq);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+
+                    for (let k = 0; k < size; k++) {
+                        const akp = a[k * size + p];
+                        const akq = a[k * size + q];
+                        a[k * size + p] = c * akp - s * akq;
+                        a[k * size + q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < size; k++) {
+                        const apk = a[p * size + k];
+                        const aqk = a[q * size + k];
+                        a[p * size + k] = c * apk - s * aqk;
+                        a[q * size + k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < size; k++) {
+                        const vkp = v[k * size + p];
+                        const vkq = v[k * size + q];
+                        v[k * size + p] = c * vkp - s * vkq;
+                        v[k * size + q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+
+        const values = new Float64Array(size);
+        for (let i = 0; i < size; i++) values[i] = a[i * size + i];
+        return { values, vectors: v };
+    }
+
+    /**
+     * Nearly uniform points on the unit sphere (Fibonacci lattice)
+     */
+    static fibonacciSphere(count) {
+        const points = [];
+        const golden = Math.PI * (3 - Math.sqrt(5));
+        for (let i = 0; i < count; i++) {
+            const z = 1 - (2 * i + 1) / count;
+            const r = Math.sqrt(1 - z * z);
+            points.push({ x: r * Math.cos(golden * i), y: r * Math.sin(golden * i), z });
+        }
+        return points;
+    }
+
+    /**
+     * Unit vector (x front, y left, z up) for a direction in degrees
+     */
+    static toVector(azimuth, elevation) {
+        const az = (azimuth * Math.PI) / 180;
+        const el = (elevation * Math.PI) / 180;
+        return {
+            x: Math.cos(el) * Math.cos(az),
+            y: Math.cos(el) * Math.sin(az),
+            z: Math.sin(el)
+        };
+    }
+}
+
+// Standard layouts, ITU-R BS.2051 channel order
+SpeakerLayouts.LAYOUTS = {
+    'stereo': {
+        name: 'Stereo (0+2+0)',
+        speakers: [
+            { label: 'L', azimuth: 30, elevation: 0 },
+            { label: 'R', azimuth: -30, elevation: 0 }
+        ]
+    },
+    '5.1': {
+        name: '5.1 (0+5+0)',
+        speakers: [
+            { label: 'L', azimuth: 30, elevation: 0 },
+            { label: 'R', azimuth: -30, elevation: 0 },
+            { label: 'C', azimuth: 0, elevation: 0 },
+            { label: 'LFE', lfe: true },
+            { label: 'Ls', azimuth: 110, elevation: 0 },
+            { label: 'Rs', azimuth: -110, elevation: 0 }
+        ]
+    },
+    '7.1': {
+        name: '7.1 (0+7+0)',
+        speakers: [
+            { label: 'L', azimuth: 30, elevation: 0 },
+            { label: 'R', azimuth: -30, elevation: 0 },
+            { label: 'C', azimuth: 0, elevation: 0 },
+            { label: 'LFE', lfe: true },
+            { label: 'Lss', azimuth: 90, elevation: 0 },
+            { label: 'Rss', azimuth: -90, elevation: 0 },
+            { label: 'Lrs', azimuth: 135, elevation: 0 },
+            { label: 'Rrs', azimuth: -135, elevation: 0 }
+        ]
+    },
+    '5.1.4': {
+        name: '5.1.4 (4+5+0)',
+        speakers: [
+            { label: 'L', azimuth: 30, elevation: 0 },
+            { label: 'R', azimuth: -30, elevation: 0 },
+            { label: 'C', azimuth: 0, elevation: 0 },
+            { label: 'LFE', lfe: true },
+            { label: 'Ls', azimuth: 110, elevation: 0 },
+            { label: 'Rs', azimuth: -110, elevation: 0 },
+            { label: 'Ltf', azimuth: 30, elevation: 45 },
+            { label: 'Rtf', azimuth: -30, elevation: 45 },
+            { label: 'Ltr', azimuth: 110, elevation: 45 },
+            { label: 'Rtr', azimuth: -110, elevation: 45 }
+        ]
+    },
+    '7.1.4': {
+        name: '7.1.4 (4+7+0)',
+        speakers: [
+            { label: 'L', azimuth: 30, elevation: 0 },
+            { label: 'R', azimuth: -30, elevation: 0 },
+            { label: 'C', azimuth: 0, elevation: 0 },
+            { label: 'LFE', lfe: true },
+            { label: 'Lss', azimuth: 90, elevation: 0 },
+            { label: 'Rss', azimuth: -90, elevation: 0 },
+            { label: 'Lrs', azimuth: 135, elevation: 0 },
+            { label: 'Rrs', azimuth: -135, elevation: 0 },
+            { label: 'Ltf', azimuth: 45, elevation: 45 },
+            { label: 'Rtf', azimuth: -45, elevation: 45 },
+            { label: 'Ltb', azimuth: 135, elevation: 45 },
+            { label: 'Rtb', azimuth: -135, elevation: 45 }
+        ]
+    }
+};
+
+SpeakerLayouts.DEFAULT_DISTANCE = 2;       // metres, when a speaker doesn't say
+SpeakerLayouts.MAX_CHANNELS = 32;          // AudioContext destinations stop here
+SpeakerLayouts.SOUND_SPEED = 343;
+
+// AllRAD: virtual grid size, and how high a speaker has to be (degrees)
+// for the layout to count as covered overhead / underneath
+SpeakerLayouts.VIRTUAL_SPEAKERS = 2000;
+SpeakerLayouts.IMAGINARY_ELEVATION = 70;
+
+// EPAD drops singular values below this fraction of the largest (squared)
+SpeakerLayouts.EPAD_TOLERANCE = 1e-6;
+SpeakerLayouts.EPSILON = 1e-9;
+
+SpeakerLayouts.registry = new Map();
+for (const [id, definition] of Object.entries(SpeakerLayouts.LAYOUTS)) {
+    SpeakerLayouts.register(id, definition);
+}
+
+// Export for use in other modules
+window.SpeakerLayouts = SpeakerLayouts;
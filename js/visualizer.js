@@ -8,6 +8,7 @@ class SpatialVisualizer {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.layers = [];
+        this.timeSource = null;  // Playback position, for automated sources
         this.listenerPos = { x: 0, y: 0, z: 0 };
         this.listenerRot = { azimuth: 0, elevation: 0 };
         
@@ -126,6 +127,15 @@ class SpatialVisualizer {
         this.isDragging = false;
     }
 
+    /**
+     * Set where the playback position comes from, so sources with
+     * automation move in step with the audio
+     * @param {Function} timeSource - Returns the scene time in seconds
+     */
+    setTimeSource(timeSource) {
+        this.timeSource = timeSource;
+    }
+
     /**
      * Update visualization data
      */
@@ -321,8 +331,14 @@ class SpatialVisualizer {
      * Draw sound sources
      */
     drawSoundSources() {
+        const time = this.timeSource ? this.timeSource() : 0;
+        
         for (const layer of this.layers) {
-            const screenPos = this.worldToScreen(layer.position[0], layer.position[2]);
+            // Unloaded layers are silent, so not drawn
+            if (layer.active === false) continue;
+            
+            const position = (layer.automation && layer.automation.getPosition(time)) || layer.position;
+            const screenPos = this.worldToScreen(position[0], position[2]);
             
             // Skip if outside view
             if (!this.isInView(screenPos.x, screenPos.y)) continue;
@@ -335,6 +351,11 @@ class SpatialVisualizer {
             else if (layer.name.includes('melody')) color = '#40ff40';
             else if (layer.name.includes('pad')) color = '#ffff40';
             
+            // Directivity cone underneath the source
+            if (layer.panner) {
+                this.drawDirectivity(layer, position, screenPos, color);
+            }
+            
             // Draw source circle with subtle pulse
             const radius = 15 + Math.sin(this.time * 0.8 + layer.name.length) * 1;
             
@@ -359,13 +380,13 @@ class SpatialVisualizer {
             this.ctx.fill();
             
             // Height indicator (Y position)
-            if (Math.abs(layer.position[1]) > 0.1) {
+            if (Math.abs(position[1]) > 0.1) {
                 this.ctx.strokeStyle = color + '60';
                 this.ctx.lineWidth = 2;
                 this.ctx.setLineDash([5, 5]);
                 this.ctx.beginPath();
                 this.ctx.moveTo(screenPos.x, screenPos.y);
-                this.ctx.lineTo(screenPos.x, screenPos.y + layer.position[1] * this.scale * 0.5);
+                this.ctx.lineTo(screenPos.x, screenPos.y + position[1] * this.scale * 0.5);
                 this.ctx.stroke();
                 this.ctx.setLineDash([]);
             }
@@ -378,6 +399,48 @@ class SpatialVisualizer {
         }
     }
 
+    /**
+     * Draw a directional source's cones, seen from above
+     * 
+     * The inner cone (full level) is filled, the outer cone (fading to
+     * cone_outer_gain) is fainter; their length is the reference distance,
+     * where distance attenuation starts.
+     */
+    drawDirectivity(layer, position, screenPos, color) {
+        const { orientation, coneInnerAngle, coneOuterAngle, refDistance } = layer.panner;
+        if (!orientation || coneInnerAngle >= 360) return;
+        
+        // Facing direction projected onto the floor; skip sources pointing straight up/down
+        const ahead = this.worldToScreen(position[0] + orientation[0], position[2] + orientation[2]);
+        const dx = ahead.x - screenPos.x;
+        const dy = ahead.y - screenPos.y;
+        if (Math.hypot(dx, dy) < this.scale * 0.1) return;
+        
+        const facing = Math.atan2(dy, dx);
+        const length = Math.max(30, Math.min(refDistance * this.scale, 300));
+        
+        const wedge = (halfAngle, fill) => {
+            this.ctx.fillStyle = fill;
+            this.ctx.beginPath();
+            this.ctx.moveTo(screenPos.x, screenPos.y);
+            this.ctx.arc(screenPos.x, screenPos.y, length, facing - halfAngle, facing + halfAngle);
+            this.ctx.closePath();
+            this.ctx.fill();
+        };
+        
+        const outer = Math.max(coneInnerAngle, coneOuterAngle);
+        wedge((outer / 2) * Math.PI / 180, color + '18');
+        wedge((coneInnerAngle / 2) * Math.PI / 180, color + '30');
+        
+        // Facing line
+        this.ctx.strokeStyle = color + '80';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(screenPos.x, screenPos.y);
+        this.ctx.lineTo(screenPos.x + Math.cos(facing) * length, screenPos.y + Math.sin(facing) * length);
+        this.ctx.stroke();
+    }
+
     /**
      * Draw listener representation
      */
@@ -37,6 +37,8 @@ class ZusFileLoader {
 
     /**
      * Load file from Züs with caching
+     * @returns {Promise<Blob|ArrayBuffer>} The file (files cached by older
+     *   versions come back as ArrayBuffers)
      */
     async loadFromZus(shareUrl, options = {}) {
         const { 
@@ -94,20 +96,14 @@ class ZusFileLoader {
                 });
             }
 
-            // Combine chunks into single ArrayBuffer
-            const chunksAll = new Uint8Array(receivedLength);
-            let position = 0;
-            for (const chunk of chunks) {
-                chunksAll.set(chunk, position);
-                position += chunk.length;
-            }
-
-            const arrayBuffer = chunksAll.buffer;
+            // A Blob rather than one ArrayBuffer, so the browser can keep
+            // it on disk and reads of a few header bytes don't copy it all
+            const blob = new Blob(chunks, { type: 'application/octet-stream' });
 
             // Cache the file
-            await this.saveToCache(fileId, arrayBuffer, shareUrl);
+            await this.saveToCache(fileId, blob, shareUrl);
 
-            return arrayBuffer;
+            return blob;
 
         } catch (error) {
             console.error('Error loading from Züs:', error);
@@ -140,8 +136,9 @@ class ZusFileLoader {
 
     /**
      * Save file to IndexedDB cache
+     * @param {Blob} blob - The whole file
      */
-    async saveToCache(id, arrayBuffer, url) {
+    async saveToCache(id, blob, url) {
         if (!this.db) await this.initDB();
 
         return new Promise((resolve, reject) => {
@@ -151,8 +148,8 @@ class ZusFileLoader {
             const data = {
                 id,
                 url,
-                data: arrayBuffer,
-                size: arrayBuffer.byteLength,
+                data: blob,
+                size: blob.size,
                 timestamp: Date.now()
             };
 
@@ -3,17 +3,31 @@
  * Enables offline functionality and caching
  */
 
-const CACHE_NAME = 'shac-player-v3';
+const CACHE_NAME = 'shac-player-v15';
 const urlsToCache = [
   '/',
   '/index.html',
   '/styles.css',
+  '/js/ambisonic-renderer-worklet.js',
   '/js/app.js',
   '/js/controls.js',
+  '/js/decoder-design.js',
+  '/js/decoder-worker.js',
+  '/js/fft.js',
   '/js/file-loader.js',
+  '/js/hrir-set.js',
+  '/js/lru-cache.js',
+  '/js/mixer-panel.js',
   '/js/movement-presets.js',
+  '/js/offline-renderer.js',
   '/js/pako.min.js',
+  '/js/python-literal.js',
+  '/js/room-acoustics.js',
   '/js/shac-decoder.js',
+  '/js/shac-encoder.js',
+  '/js/sofa-loader.js',
+  '/js/source-automation.js',
+  '/js/speaker-layouts.js',
   '/js/spatial-audio.js',
   '/js/visualizer.js',
   '/js/zus-loader.js',